@@ -4,39 +4,305 @@ const dotenv = require('dotenv');
 const axios = require('axios');
 const mongoose = require('mongoose');
 const chrono = require('chrono-node');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { currentTime } = require('./lib/clock');
+const {
+  SERVER_TIME_ZONE,
+  DAY_RE,
+  isTimeZone,
+  wallClock,
+  fromWallClock,
+  zonedDate,
+  addLocalDays,
+  localDay,
+  localWeekday,
+  dayLabel,
+  localMinuteOfDay,
+  startOfLocalDay,
+  endOfLocalDay,
+  toClock,
+  minutesOf,
+  clockOf,
+} = require('./lib/time');
+const { escapeRegex, fuzzyTitleMatch } = require('./lib/text');
+const { parseDeleteCommand } = require('./lib/deleteParsing');
+const {
+  PLAN_TIME_RX,
+  PLAN_SENTENCE_SPLIT,
+  anchorSentences,
+  stripAnchorText,
+  planReferenceDate,
+  resolveTime,
+  taskAnchors,
+} = require('./lib/planAnchoring');
+const { toCsv, csvRecords } = require('./lib/csv');
+const {
+  DAY_MINUTES,
+  parseTemplateCommand,
+  findTemplate,
+  blocksFromTasks,
+  expandBlocks,
+} = require('./lib/templates');
+const {
+  DEFAULT_AVAILABILITY,
+  workWindow,
+  protectedBlocks,
+  suggestionWindow,
+} = require('./lib/availability');
 
 dotenv.config();
 
-/* =========================
-   MongoDB Connection
-========================= */
-mongoose
-  .connect(process.env.MONGO_URI)
-  .then(() => console.log('✅ MongoDB connected!'))
-  .catch((err) => console.error('❌ MongoDB connection error:', err));
-
 /* =========================
    Schemas
 ========================= */
+const UserSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, trim: true },
+  passwordHash: { type: String, required: true },
+  // bumped on logout so outstanding refresh tokens stop working
+  tokenVersion: { type: Number, default: 0 },
+  // IANA zone ("Europe/Berlin") that dates in commands are read in; null = the server's
+  timeZone: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+const User = mongoose.model('User', UserSchema);
+
+// how a journal entry came about: an /api/analyze call, a /api/plan session or a mood check-in
+const SCHEDULE_KINDS = ['analysis', 'plan', 'check-in'];
+const MAX_INTENSITY = 5;
+
+// A journal entry: what the user wrote, the model's read of it and, for check-ins,
+// how the user says they feel. `tasks` are the ones saved from the same plan session.
 const ScheduleSchema = new mongoose.Schema({
-  text: { type: String, required: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  kind: { type: String, enum: SCHEDULE_KINDS, default: 'analysis' },
+  text: { type: String, default: '' },
   sentiment: { type: String },
   detectedEmotion: { type: String },
   score: { type: Number },
+  selfReportedEmotion: { type: String, trim: true },
+  intensity: { type: Number, min: 1, max: MAX_INTENSITY },
+  tasks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
   createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date },
 });
+ScheduleSchema.index({ owner: 1, createdAt: -1 });
+ScheduleSchema.index({ owner: 1, detectedEmotion: 1, createdAt: -1 });
+ScheduleSchema.index({ text: 'text', selfReportedEmotion: 'text' });
 const Schedule = mongoose.model('Schedule', ScheduleSchema);
 
+const TASK_STATUSES = ['planned', 'in_progress', 'done', 'skipped'];
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+// who put the task on the calendar: the user, or /api/plan as a task or a suggested break
+const TASK_SOURCES = ['user', 'ai_task', 'ai_suggestion'];
+// how draining a task is; the auto-scheduler keeps heavy ones out of stressful hours
+const TASK_EFFORTS = ['light', 'normal', 'heavy'];
+// fields a client may set on a task (or on one occurrence of a series)
+const TASK_EDIT_FIELDS = [
+  'title', 'start', 'end', 'allDay', 'emotion', 'notes',
+  'status', 'completedAt', 'priority', 'category', 'tags', 'reminders',
+];
+// reminders can go off at most a day ahead of the task
+const MAX_REMINDER_MINUTES = 24 * 60;
+
+// RRULE-style repeat rule. `byWeekday` uses JS day numbers (0 = Sunday).
+const RecurrenceSchema = new mongoose.Schema(
+  {
+    freq: { type: String, enum: ['daily', 'weekly', 'monthly'], required: true },
+    interval: { type: Number, default: 1, min: 1 },
+    byWeekday: [{ type: Number, min: 0, max: 6 }],
+    until: { type: Date },
+    count: { type: Number, min: 1 },
+  },
+  { _id: false }
+);
+
+// "remind me N minutes before" (0 = when it starts)
+const ReminderRuleSchema = new mongoose.Schema(
+  { minutesBefore: { type: Number, required: true, min: 0, max: MAX_REMINDER_MINUTES } },
+  { _id: false }
+);
+
+// Per-occurrence edit, keyed by the occurrence's original (unmodified) start.
+const OccurrenceOverrideSchema = new mongoose.Schema(
+  {
+    occurrenceStart: { type: Date, required: true },
+    title: { type: String },
+    start: { type: Date },
+    end: { type: Date },
+    allDay: { type: Boolean },
+    emotion: { type: String },
+    notes: { type: String },
+    status: { type: String, enum: TASK_STATUSES },
+    completedAt: { type: Date },
+    priority: { type: String, enum: TASK_PRIORITIES },
+    category: { type: String },
+    tags: { type: [String], default: undefined },
+  },
+  { _id: false }
+);
+
 const TaskSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   title: { type: String, required: true },
-  start: { type: Date, required: true },
-  end: { type: Date, required: true },
+  // both null while the task sits in the backlog, waiting for a time
+  start: { type: Date, default: null },
+  end: { type: Date, default: null },
+  // how long a backlog task runs once it's dropped on the calendar
+  durationMinutes: { type: Number, min: 5, max: DAY_MINUTES },
+  // what the backlog auto-scheduler goes by: when it's due and how draining it is
+  deadline: { type: Date },
+  effort: { type: String, enum: TASK_EFFORTS },
+  // all-day tasks run from local midnight to the next midnight(s)
+  allDay: { type: Boolean, default: false },
   emotion: { type: String },
   notes: { type: String },
+  status: { type: String, enum: TASK_STATUSES, default: 'planned' },
+  completedAt: { type: Date, default: null },
+  priority: { type: String, enum: TASK_PRIORITIES, default: 'medium' },
+  category: { type: String, trim: true },
+  tags: [{ type: String, trim: true }],
+  source: { type: String, enum: TASK_SOURCES, default: 'user' },
+  reminders: [ReminderRuleSchema],
+  recurrence: { type: RecurrenceSchema, default: null },
+  exDates: [{ type: Date }],
+  overrides: [OccurrenceOverrideSchema],
+  // UID of the VEVENT this task was imported from, used to dedupe re-imports
+  icalUid: { type: String },
+  // bumped on every change; PUT can send the version it edited to detect concurrent edits
+  version: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now },
 });
+TaskSchema.pre('save', function bumpVersion() {
+  if (!this.isNew) this.version += 1;
+});
+// range scans by owner; the recurrence index lets us pull series masters separately
+TaskSchema.index({ owner: 1, start: 1, _id: 1 });
+TaskSchema.index({ owner: 1, 'recurrence.freq': 1, start: 1 });
+TaskSchema.index({ owner: 1, emotion: 1, start: 1 });
+TaskSchema.index({ owner: 1, icalUid: 1 }, { sparse: true });
+TaskSchema.index({ owner: 1, status: 1, start: 1 });
+TaskSchema.index({ owner: 1, category: 1, start: 1 });
 const Task = mongoose.model('Task', TaskSchema);
 
+// Soft-deleted tasks: a full snapshot of the document, kept for 30 days.
+const TrashedTaskSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  batchId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  task: { type: Object, required: true },
+  deletedAt: { type: Date, default: Date.now, expires: '30d' },
+});
+const TrashedTask = mongoose.model('TrashedTask', TrashedTaskSchema);
+
+// One undoable batch: a delete (snapshots live in the trash under the same id),
+// an edit (the "before" snapshots plus any tasks the edit created) or a create.
+const TaskOperationSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  kind: { type: String, enum: ['delete', 'update', 'create'], required: true },
+  snapshots: [{ type: Object }],
+  createdIds: [{ type: mongoose.Schema.Types.ObjectId }],
+  undoneAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now, expires: '30d' },
+});
+TaskOperationSchema.index({ owner: 1, createdAt: -1 });
+const TaskOperation = mongoose.model('TaskOperation', TaskOperationSchema);
+
+// One reminder that went off. `key` (task/occurrence + start + offset) is unique,
+// so a reminder is claimed once even across restarts, and a moved task gets a new key.
+const ReminderDeliverySchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  key: { type: String, required: true, unique: true },
+  task: { type: mongoose.Schema.Types.ObjectId, required: true },
+  occurrenceStart: { type: Date },
+  title: { type: String },
+  start: { type: Date, required: true },
+  minutesBefore: { type: Number, required: true },
+  fireAt: { type: Date, required: true },
+  channels: [{ channel: String, ok: Boolean, error: String, _id: false }],
+  createdAt: { type: Date, default: Date.now, expires: '30d' },
+});
+ReminderDeliverySchema.index({ owner: 1, fireAt: -1 });
+const ReminderDelivery = mongoose.model('ReminderDelivery', ReminderDeliverySchema);
+
+// One block of a day template: when it starts (minutes past local midnight) and
+// how long it runs, plus the task fields it fills in when the template is applied.
+const TemplateBlockSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true },
+    offsetMinutes: { type: Number, required: true, min: 0, max: DAY_MINUTES - 1 },
+    durationMinutes: { type: Number, required: true, min: 5, max: DAY_MINUTES },
+    notes: { type: String },
+    category: { type: String, trim: true },
+    priority: { type: String, enum: TASK_PRIORITIES, default: 'medium' },
+    tags: { type: [String], default: undefined },
+  },
+  { _id: false }
+);
+
+// A named day shape ("Focus day") the user can drop onto any date.
+const TemplateSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true },
+  description: { type: String },
+  blocks: [TemplateBlockSchema],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date },
+});
+TemplateSchema.index({ owner: 1, name: 1 });
+const Template = mongoose.model('Template', TemplateSchema);
+
+// Availability: when the user works, which hours are protected and how much
+// air to leave between blocks. One document per user; times are "HH:MM".
+const WorkingHoursSchema = new mongoose.Schema(
+  {
+    day: { type: Number, required: true, min: 0, max: 6 },
+    start: { type: String, required: true },
+    end: { type: String, required: true },
+  },
+  { _id: false }
+);
+const FocusBlockSchema = new mongoose.Schema(
+  {
+    label: { type: String, trim: true },
+    days: { type: [Number], required: true },
+    start: { type: String, required: true },
+    end: { type: String, required: true },
+  },
+  { _id: false }
+);
+const BreakTimeSchema = new mongoose.Schema(
+  {
+    label: { type: String, trim: true },
+    start: { type: String, required: true },
+    end: { type: String, required: true },
+  },
+  { _id: false }
+);
+const SettingsSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  workingHours: [WorkingHoursSchema],
+  focusBlocks: [FocusBlockSchema],
+  breakTimes: [BreakTimeSchema],
+  minBreakMinutes: { type: Number, min: 0, max: 120, default: DEFAULT_AVAILABILITY.minBreakMinutes },
+  updatedAt: { type: Date },
+});
+const Settings = mongoose.model('Settings', SettingsSchema);
+
+/**
+ * Tasks saved before `source` existed only hint at being AI suggestions in
+ * their notes; tag those once so nothing has to guess from the text again.
+ */
+async function backfillTaskSource() {
+  const { modifiedCount } = await Task.updateMany(
+    { source: { $exists: false }, notes: { $regex: /ai suggestion|recommended/i } },
+    { $set: { source: 'ai_suggestion' } }
+  );
+  await Task.updateMany({ source: { $exists: false } }, { $set: { source: 'user' } });
+  if (modifiedCount) console.log(`🏷️ Marked ${modifiedCount} saved suggestion(s) as source=ai_suggestion`);
+}
+
 /* =========================
    App setup
 ========================= */
@@ -44,241 +310,1236 @@ const app = express();
 const PORT = process.env.PORT || 5000;
 
 app.use(cors());
-app.use(express.json());
+// backups can be far bigger than a request; /api/import parses its own body
+const jsonBody = express.json();
+app.use((req, res, next) => (req.path === '/api/import' ? next() : jsonBody(req, res, next)));
 
 /* ============================================================
-   Helpers for delete parsing
+   🚦 Errors + request validation
+   Every error response has the same shape:
+     { error: 'human readable', code: 'VALIDATION_FAILED', fields?: [{ path, message }] }
+   400 malformed request (bad JSON, bad id), 401/403 auth, 404 missing,
+   409 conflicting state, 422 well-formed but invalid fields, 500 our fault.
 ============================================================ */
-const dayNames = [
-  'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday',
-];
+class ApiError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, ...this.extra };
+  }
+}
 
-function startOfLocalDay(d) {
-  const x = new Date(d);
-  x.setHours(0, 0, 0, 0);
-  return x;
+/** One or more invalid fields; `error` repeats the first one for clients that only show a line. */
+class ValidationError extends ApiError {
+  constructor(fields) {
+    const [first] = fields;
+    super(422, 'VALIDATION_FAILED', first.path ? `${first.path}: ${first.message}` : first.message, { fields });
+    this.fields = fields;
+  }
 }
-function endOfLocalDay(d) {
-  const x = new Date(d);
-  x.setHours(23, 59, 59, 999);
-  return x;
+
+const invalid = (path, message) => new ValidationError([{ path, message }]);
+const badRequest = (message, code = 'BAD_REQUEST') => new ApiError(400, code, message);
+const notFound = (message) => new ApiError(404, 'NOT_FOUND', message);
+const conflict = (message, extra, code = 'CONFLICT') => new ApiError(409, code, message, extra);
+
+/**
+ * Send `err` in the error contract. Anything that isn't an ApiError (or a
+ * Mongoose cast/validation error, which are the client's fault) is logged
+ * under `route` and answered with a 500 and `fallback`.
+ */
+function sendError(res, err, route, fallback = 'Something went wrong') {
+  if (err instanceof ApiError) return res.status(err.status).json(err.toJSON());
+  if (err instanceof mongoose.Error.CastError) {
+    return res.status(400).json({
+      error: `${err.path} is not a valid ${err.kind === 'ObjectId' ? 'id' : err.kind}`,
+      code: 'INVALID_ID',
+      fields: [{ path: err.path, message: 'invalid value' }],
+    });
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    const fields = Object.values(err.errors).map((e) => ({ path: e.path, message: e.message }));
+    return res.status(422).json(new ValidationError(fields).toJSON());
+  }
+  console.error(`${route}:`, err.message);
+  return res.status(500).json({ error: fallback, code: 'INTERNAL_ERROR' });
 }
 
-/** Parse a single date like “on 12 Nov” or “on Friday”. */
-function parseSingleDate(text) {
-  // Try chrono first
-  const d = chrono.parseDate(text, new Date(), { forwardDate: true });
-  if (d) return d;
+/**
+ * Field rules for validate(). Each rule takes `(value, path)` and returns the
+ * cleaned value or throws a ValidationError. Missing values (undefined, null,
+ * '') fail unless the rule is `optional`; an optional, missing value comes back
+ * as undefined (or null with `nullable`, so PUT can clear a field).
+ */
+const OBJECT_ID_RE = /^[0-9a-f]{24}$/i;
+const missing = (v) => v === undefined || v === null || v === '';
+function rule(check, { optional = false, nullable = false } = {}) {
+  return (value, path) => {
+    if (missing(value)) {
+      if (nullable && value !== undefined) return null;
+      if (optional || nullable) return undefined;
+      throw invalid(path, 'is required');
+    }
+    return check(value, path);
+  };
+}
+
+const is = {
+  string: ({ min = 1, max = 10000, trim = true, ...opts } = {}) =>
+    rule((v, path) => {
+      if (typeof v !== 'string') throw invalid(path, 'must be a string');
+      const s = trim ? v.trim() : v;
+      if (s.length < min) throw invalid(path, min > 1 ? `must be at least ${min} characters` : 'is required');
+      if (s.length > max) throw invalid(path, `must be at most ${max} characters`);
+      return s;
+    }, opts),
+  email: (opts) =>
+    rule((v, path) => {
+      const s = is.string({ max: 254 })(v, path).toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s)) throw invalid(path, 'must be an email address');
+      return s;
+    }, opts),
+  date: (opts) =>
+    rule((v, path) => {
+      const d = new Date(v);
+      if (typeof v === 'boolean' || isNaN(d)) throw invalid(path, 'must be a valid date');
+      return d;
+    }, opts),
+  int: ({ min = -Infinity, max = Infinity, ...opts } = {}) =>
+    rule((v, path) => {
+      const n = Number(v);
+      if (typeof v === 'boolean' || !Number.isInteger(n)) throw invalid(path, 'must be a whole number');
+      if (n < min || n > max) throw invalid(path, `must be between ${min} and ${max}`);
+      return n;
+    }, opts),
+  number: ({ min = -Infinity, max = Infinity, ...opts } = {}) =>
+    rule((v, path) => {
+      const n = Number(v);
+      if (typeof v === 'boolean' || !Number.isFinite(n)) throw invalid(path, 'must be a number');
+      if (n < min || n > max) throw invalid(path, `must be between ${min} and ${max}`);
+      return n;
+    }, opts),
+  bool: (opts) =>
+    rule((v, path) => {
+      if (typeof v === 'boolean') return v;
+      if (v === 'true' || v === 'false') return v === 'true';
+      throw invalid(path, 'must be true or false');
+    }, opts),
+  oneOf: (values, opts) =>
+    rule((v, path) => {
+      if (!values.includes(v)) throw invalid(path, `must be one of ${values.join(', ')}`);
+      return v;
+    }, opts),
+  objectId: (opts) =>
+    rule((v, path) => {
+      if (typeof v !== 'string' || !OBJECT_ID_RE.test(v)) throw invalid(path, 'must be a valid id');
+      return v;
+    }, opts),
+  array: (item, { min = 0, max = 1000, ...opts } = {}) =>
+    rule((v, path) => {
+      if (!Array.isArray(v)) throw invalid(path, 'must be a list');
+      if (v.length < min) throw invalid(path, min === 1 ? 'must not be empty' : `needs at least ${min} items`);
+      if (v.length > max) throw invalid(path, `must have at most ${max} items`);
+      return collect(v.map((x, i) => () => item(x, `${path}[${i}]`)));
+    }, opts),
+  // a calendar day: "2026-11-12" is kept as text so it means that day in any zone
+  day: (opts) =>
+    rule((v, path) => (typeof v === 'string' && DAY_RE.test(v) ? v : is.date()(v, path)), opts),
+  // a time of day on the user's clock, "9:30" -> "09:30"; "24:00" ends the day
+  clock: (opts) =>
+    rule((v, path) => {
+      const minutes = hhmmMinutes(v);
+      if (isNaN(minutes) || minutes > DAY_MINUTES) throw invalid(path, 'must be a time like "09:00"');
+      return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }, opts),
+  timeZone: (opts) =>
+    rule((v, path) => {
+      if (!isTimeZone(v)) throw invalid(path, 'must be an IANA time zone like Europe/Berlin');
+      return v;
+    }, opts),
+  object: (shape, opts) => rule((v, path) => validate(v, shape, `${path}.`), opts),
+  // a list of strings, or one comma-separated string ("work, urgent"); trimmed and deduped
+  stringList: (opts) =>
+    rule((v, path) => {
+      const list = typeof v === 'string' ? v.split(',') : v;
+      if (!Array.isArray(list) || list.some((t) => typeof t !== 'string'))
+        throw invalid(path, 'must be a list of strings');
+      return [...new Set(list.map((t) => t.trim()).filter(Boolean))];
+    }, opts),
+};
+
+/** Run every thunk, gathering the field errors of all of them before throwing. */
+function collect(thunks) {
+  const fields = [];
+  const out = thunks.map((fn) => {
+    try {
+      return fn();
+    } catch (e) {
+      if (!(e instanceof ValidationError)) throw e;
+      fields.push(...e.fields);
+      return undefined;
+    }
+  });
+  if (fields.length) throw new ValidationError(fields);
+  return out;
+}
+
+/**
+ * Check `input` against `shape` ({ field: rule }) and return only the known,
+ * cleaned fields; unknown ones are dropped. All invalid fields are reported
+ * together. `prefix` nests paths (`items[0].`).
+ */
+function validate(input, shape, prefix = '') {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    if (!prefix) throw badRequest('Request body must be a JSON object');
+    throw invalid(prefix.slice(0, -1), 'must be an object');
+  }
+  const out = {};
+  const keys = Object.keys(shape);
+  collect(keys.map((k) => () => shape[k](input[k], prefix + k))).forEach((v, i) => {
+    if (v !== undefined) out[keys[i]] = v;
+  });
+  return out;
+}
+
+/** `:id` route params must be ObjectIds; anything else is a 400 rather than a CastError 500. */
+app.param('id', (req, res, next, id) => {
+  if (OBJECT_ID_RE.test(id)) return next();
+  sendError(res, new ApiError(400, 'INVALID_ID', `"${id}" is not a valid id`, {
+    fields: [{ path: 'id', message: 'must be a valid id' }],
+  }));
+});
 
-  // Fallback short “12th Nov (opt year)”
-  const rx = /(\d{1,2})(st|nd|rd|th)?\s*(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s*(\d{4})?/i;
-  const m = text.toLowerCase().match(rx);
-  if (m) {
-    const monthMap = { jan:0,feb:1,mar:2,apr:3,may:4,jun:5,jul:6,aug:7,sep:8,sept:8,oct:9,nov:10,dec:11 };
-    const day = parseInt(m[1], 10);
-    const month = monthMap[m[3].slice(0,3)];
-    const year = m[4] ? parseInt(m[4],10) : new Date().getFullYear();
-    return new Date(year, month, day);
+/**
+ * `req.timeZone` for everything behind requireAuth: an `X-Time-Zone` header
+ * (the zone the calendar is showing) wins over the one saved on the user,
+ * which wins over the server's.
+ */
+async function resolveTimeZone(req, res, next) {
+  try {
+    const header = req.get('X-Time-Zone');
+    if (header) {
+      req.timeZone = is.timeZone()(header, 'X-Time-Zone');
+    } else {
+      const user = await User.findById(req.userId, 'timeZone').lean();
+      req.timeZone = user?.timeZone || SERVER_TIME_ZONE;
+    }
+    next();
+  } catch (e) {
+    sendError(res, e, 'resolveTimeZone', 'Error reading the time zone');
   }
+}
 
-  // Fallback weekday only (“on Wednesday”)
-  const lower = text.toLowerCase();
-  const idx = dayNames.findIndex(dn => lower.includes(dn));
-  if (idx !== -1) {
-    const now = new Date();
-    const diff = (idx - now.getDay() + 7) % 7;
-    const t = new Date(now);
-    t.setDate(now.getDate() + diff);
-    return t;
+/* ============================================================
+   🔐 Auth (JWT access + refresh tokens)
+============================================================ */
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-access-secret';
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'dev-refresh-secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+
+// anyone can sign tokens with the development secrets, so production refuses to start without real ones
+if (!process.env.JWT_SECRET || !process.env.JWT_REFRESH_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET and JWT_REFRESH_SECRET must be set in production');
   }
+  console.warn('⚠️ JWT_SECRET / JWT_REFRESH_SECRET not set, using development secrets.');
+}
+
+function issueTokens(user) {
+  const token = jwt.sign({ sub: String(user._id) }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  const refreshToken = jwt.sign(
+    { sub: String(user._id), v: user.tokenVersion },
+    JWT_REFRESH_SECRET,
+    { expiresIn: REFRESH_TOKEN_TTL }
+  );
+  return { token, refreshToken };
+}
+
+function publicUser(user) {
+  return { id: user._id, email: user.email, name: user.name, timeZone: user.timeZone || null };
+}
 
-  return null;
+/**
+ * Rejects the request unless it carries a valid `Authorization: Bearer <token>`.
+ * EventSource can't send headers, so event streams may pass `?access_token=` instead.
+ * Tokens with a `purpose` (delete previews, plan sessions) share the secret
+ * but only work for their own route, never as an access token.
+ */
+function requireAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  let [scheme, token] = header.split(' ');
+  if (!token && req.headers.accept === 'text/event-stream' && req.query.access_token) {
+    scheme = 'Bearer';
+    token = String(req.query.access_token);
+  }
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required', code: 'UNAUTHORIZED' });
+  }
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (payload.purpose) throw new Error('not an access token');
+    req.userId = payload.sub;
+    next();
+  } catch {
+    res.status(401).json({ error: 'Invalid or expired token', code: 'TOKEN_EXPIRED' });
+  }
 }
 
-/** Parse a range like “between Wed and Fri”, “from 12 Nov to 14 Nov” */
-function parseDateRange(text) {
-  const lower = text.toLowerCase();
-  // “from X to Y / between X and Y”
-  const rangeMatch =
-    lower.match(/from (.+?) to (.+)$/i) ||
-    lower.match(/between (.+?) and (.+)$/i);
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { email, password, name } = validate(req.body, {
+      email: is.email(),
+      password: is.string({ min: 8, max: 200, trim: false }),
+      name: is.string({ max: 100, optional: true }),
+    });
+
+    const existing = await User.findOne({ email });
+    if (existing) {
+      const fields = [{ path: 'email', message: 'is already registered' }];
+      throw conflict('Email already registered', { fields }, 'EMAIL_TAKEN');
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const user = new User({ email, name, passwordHash });
+    await user.save();
+
+    res.status(201).json({ user: publicUser(user), ...issueTokens(user) });
+  } catch (e) {
+    sendError(res, e, 'POST /api/auth/register', 'Error registering user');
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = validate(req.body, {
+      email: is.email(),
+      password: is.string({ trim: false }),
+    });
+
+    const user = await User.findOne({ email });
+    if (!user || !(await bcrypt.compare(password, user.passwordHash)))
+      throw new ApiError(401, 'INVALID_CREDENTIALS', 'Invalid email or password');
+
+    res.json({ user: publicUser(user), ...issueTokens(user) });
+  } catch (e) {
+    sendError(res, e, 'POST /api/auth/login', 'Error logging in');
+  }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = validate(req.body, { refreshToken: is.string() });
+    const expired = new ApiError(401, 'TOKEN_EXPIRED', 'Invalid or expired refresh token');
+
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+    } catch {
+      throw expired;
+    }
+
+    const user = await User.findById(payload.sub);
+    if (!user || user.tokenVersion !== payload.v) throw expired;
+
+    res.json({ user: publicUser(user), ...issueTokens(user) });
+  } catch (e) {
+    sendError(res, e, 'POST /api/auth/refresh', 'Error refreshing token');
+  }
+});
+
+// Everything under /api registered after this line requires a logged-in user.
+app.use('/api', requireAuth, resolveTimeZone);
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.userId, { $inc: { tokenVersion: 1 } });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e, 'POST /api/auth/logout', 'Error logging out');
+  }
+});
+
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) throw notFound('User not found');
+    res.json(publicUser(user));
+  } catch (e) {
+    sendError(res, e, 'GET /api/auth/me', 'Error fetching user');
+  }
+});
 
-  if (!rangeMatch) return null;
+/** PUT /api/auth/me  { name?, timeZone? }  (timeZone null = follow the server) */
+app.put('/api/auth/me', async (req, res) => {
+  try {
+    const updates = validate(req.body, {
+      name: is.string({ max: 100, optional: true }),
+      timeZone: is.timeZone({ nullable: true }),
+    });
+    const user = await User.findByIdAndUpdate(req.userId, updates, { new: true });
+    if (!user) throw notFound('User not found');
+    res.json(publicUser(user));
+  } catch (e) {
+    sendError(res, e, 'PUT /api/auth/me', 'Error updating user');
+  }
+});
 
-  const a = parseSingleDate(rangeMatch[1]);
-  const b = parseSingleDate(rangeMatch[2]);
-  if (!a || !b) return null;
+/* ============================================================
+   ⚙️ Availability settings
+   Working hours per weekday, protected focus blocks, preferred breaks and
+   the shortest gap between blocks. The calendar shades the working hours,
+   /api/plan keeps suggestions inside them and out of focus blocks, and the
+   auto-scheduler only fills working time nothing else protects.
+============================================================ */
+const MAX_FOCUS_BLOCKS = 20;
+const MAX_BREAK_TIMES = 10;
+const CLOCK_RANGE_RULES = { start: is.clock(), end: is.clock() };
+const SETTINGS_RULES = {
+  workingHours: is.array(is.object({ day: is.int({ min: 0, max: 6 }), ...CLOCK_RANGE_RULES }), {
+    max: 7,
+    optional: true,
+  }),
+  focusBlocks: is.array(
+    is.object({
+      label: is.string({ max: 60, optional: true }),
+      days: is.array(is.int({ min: 0, max: 6 }), { min: 1, max: 7 }),
+      ...CLOCK_RANGE_RULES,
+    }),
+    { max: MAX_FOCUS_BLOCKS, optional: true }
+  ),
+  breakTimes: is.array(is.object({ label: is.string({ max: 60, optional: true }), ...CLOCK_RANGE_RULES }), {
+    max: MAX_BREAK_TIMES,
+    optional: true,
+  }),
+  minBreakMinutes: is.int({ min: 0, max: 120, optional: true }),
+};
 
-  const start = a <= b ? a : b;
-  const end = a <= b ? b : a;
-  return { start, end };
+/**
+ * Validates a settings update; only the fields present are returned. Every
+ * range must end after it starts and a weekday gets one set of hours.
+ */
+function parseSettings(body) {
+  const settings = validate(body, SETTINGS_RULES);
+  const ranges = ['workingHours', 'focusBlocks', 'breakTimes'].flatMap((key) =>
+    (settings[key] || []).map((range, i) => [`${key}[${i}]`, range])
+  );
+  const hours = settings.workingHours || [];
+  collect([
+    ...ranges.map(([path, range]) => () => {
+      if (minutesOf(range.end) <= minutesOf(range.start)) throw invalid(`${path}.end`, 'must be after start');
+    }),
+    ...hours.map((h, i) => () => {
+      if (hours.findIndex((other) => other.day === h.day) !== i) throw invalid(`workingHours[${i}].day`, 'is listed twice');
+    }),
+  ]);
+  if (settings.workingHours) settings.workingHours.sort((a, b) => a.day - b.day);
+  if (settings.focusBlocks)
+    settings.focusBlocks = settings.focusBlocks.map((f) => ({ ...f, days: [...new Set(f.days)].sort((a, b) => a - b) }));
+  return settings;
 }
 
-/** Try to pull a title filter out of the command, e.g. “delete short meditation from friday” */
-function extractTitleLike(text) {
-  // remove obvious command/temporal words to leave probable title
-  let s = text.toLowerCase();
+/** The saved settings of `owner` without the bookkeeping fields, or the defaults. */
+async function availabilityOf(owner) {
+  const saved = await Settings.findOne({ owner }).lean();
+  const { workingHours, focusBlocks, breakTimes, minBreakMinutes, updatedAt } = saved || DEFAULT_AVAILABILITY;
+  return { workingHours, focusBlocks, breakTimes, minBreakMinutes, updatedAt: updatedAt || null };
+}
 
-  // strip common verbs and preps
-  s = s
-    .replace(/\b(delete|remove|clear|erase|drop)\b/gi, '')
-    .replace(/\b(all|every|tasks|events|entries|everything)\b/gi, '')
-    .replace(/\b(on|for|from|at|in|between|to|by|this|next|coming)\b/gi, '')
-    .replace(/\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/gi, '')
-    .replace(/\b(today|tomorrow|tonight)\b/gi, '')
-    .replace(/\d{1,2}(st|nd|rd|th)?/gi, '')
-    .replace(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\b/gi, '')
-    .replace(/\b(\d{4})\b/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
+/** GET /api/settings  (the defaults until the user saves their own) */
+app.get('/api/settings', async (req, res) => {
+  try {
+    res.json(await availabilityOf(req.userId));
+  } catch (e) {
+    sendError(res, e, 'GET /api/settings', 'Error fetching settings');
+  }
+});
 
-  // quoted title takes precedence “delete "team sync" on wednesday”
-  const quoted = text.match(/"(.*?)"|'(.*?)'/);
-  if (quoted && (quoted[1] || quoted[2])) {
-    return (quoted[1] || quoted[2]).trim();
+/**
+ * PUT /api/settings  { workingHours?, focusBlocks?, breakTimes?, minBreakMinutes? }
+ * Each field given replaces the saved one; the rest keep their current value.
+ */
+app.put('/api/settings', async (req, res) => {
+  try {
+    const updates = parseSettings(req.body);
+    const defaults = Object.fromEntries(
+      Object.entries(DEFAULT_AVAILABILITY).filter(([key]) => updates[key] === undefined)
+    );
+    await Settings.updateOne(
+      { owner: req.userId },
+      { $set: { ...updates, updatedAt: new Date() }, ...(Object.keys(defaults).length && { $setOnInsert: defaults }) },
+      { upsert: true, runValidators: true }
+    );
+    res.json(await availabilityOf(req.userId));
+  } catch (e) {
+    sendError(res, e, 'PUT /api/settings', 'Error saving settings');
   }
+});
+
+/* ============================================================
+   ♻️ Trash + undo helpers
+============================================================ */
+/**
+ * Move tasks to the trash as one undoable batch. `seriesBefore` holds series
+ * that lost single occurrences in the same batch, as they looked before.
+ * Returns the batch id.
+ */
+async function trashTasks(owner, docs, seriesBefore = []) {
+  const op = new TaskOperation({
+    owner,
+    kind: 'delete',
+    snapshots: seriesBefore.map((d) => (d.toObject ? d.toObject() : d)),
+  });
+  await TrashedTask.insertMany(
+    docs.map((d) => ({ owner, batchId: op._id, task: d.toObject ? d.toObject() : d }))
+  );
+  await Task.deleteMany({ owner, _id: { $in: docs.map((d) => d._id) } });
+  await op.save();
+  return op._id;
+}
+
+/** Remember how tasks looked before an edit so it can be undone. Returns the batch id. */
+async function recordUpdate(owner, beforeDocs, createdIds = []) {
+  const op = await TaskOperation.create({
+    owner,
+    kind: 'update',
+    snapshots: beforeDocs.map((d) => (d.toObject ? d.toObject() : d)),
+    createdIds,
+  });
+  return op._id;
+}
+
+/** Put a task back the way a snapshot recorded it, as a newer version than what's there now. */
+async function restoreSnapshot(owner, snap) {
+  const current = await Task.findOne({ _id: snap._id, owner }, { version: 1 });
+  const version = Math.max(snap.version || 0, current ? current.version : 0) + 1;
+  await Task.replaceOne({ _id: snap._id, owner }, { ...snap, version }, { upsert: true });
+}
 
-  // if after removing temporals we still have 2+ words, consider it a title hint
-  if (s.split(' ').filter(Boolean).length >= 2) return s;
-  return null;
+/** Put trashed tasks back under their original ids. Returns how many came back. */
+async function restoreFromTrash(owner, filter) {
+  const entries = await TrashedTask.find({ owner, ...filter });
+  if (!entries.length) return 0;
+  // a task with the same id may already be back (e.g. restored twice); skip it
+  await Task.insertMany(entries.map((e) => e.task), { ordered: false }).catch((err) => {
+    if (err.code !== 11000 && !err.writeErrors) throw err;
+  });
+  await TrashedTask.deleteMany({ _id: { $in: entries.map((e) => e._id) } });
+  return entries.length;
 }
 
 /* ============================================================
    🧹 DELETE TASKS (by explicit list, by natural language, ranges)
 ============================================================ */
-app.post('/api/delete', async (req, res) => {
-  try {
-    const { tasks, text } = req.body;
-
-    // 1) Explicit task array (old flow)
-    if (tasks && Array.isArray(tasks) && tasks.length > 0) {
-      const summary = [];
-      for (const t of tasks) {
-        const q = { title: { $regex: new RegExp(t.title, 'i') } };
-        if (t.date) {
-          const s = startOfLocalDay(new Date(t.date));
-          const e = endOfLocalDay(new Date(t.date));
-          q.start = { $gte: s, $lte: e };
-        }
-        const result = await Task.deleteMany(q);
-        if (result.deletedCount > 0) summary.push({ title: t.title, count: result.deletedCount });
+const DELETE_PREVIEW_TTL = '10m';
+
+/**
+ * Find the tasks a delete request targets without touching anything. Series
+ * are expanded, so a match can be a single occurrence (`seriesId` set).
+ * Returns `{ interpretation, matches, summary? }`; a command that can't be
+ * understood throws a ValidationError on `text`.
+ */
+async function findDeleteTargets(owner, { tasks, text }, tz = SERVER_TIME_ZONE) {
+  // 1) Explicit task array (old flow)
+  if (tasks && Array.isArray(tasks) && tasks.length > 0) {
+    const summary = [];
+    const matches = [];
+    for (const t of tasks) {
+      const q = { owner, title: { $regex: new RegExp(escapeRegex(String(t.title || '')), 'i') } };
+      if (t.date) {
+        const day = localDay(t.date, tz);
+        q.start = { $gte: day, $lte: endOfLocalDay(day, tz) };
       }
-      return res.json({ message: `🗑️ ${summary.reduce((a,b)=>a+b.count,0) || 0} tasks removed.`, deleted: summary });
+      const found = await Task.find({ ...q, _id: { $nin: matches.map((d) => d._id) } }).sort({ start: 1 });
+      if (found.length > 0) summary.push({ title: t.title, count: found.length });
+      matches.push(...found.map((d) => d.toObject()));
     }
+    return {
+      interpretation: { mode: 'explicit', tasks: tasks.map((t) => ({ title: t.title, date: t.date })) },
+      matches,
+      summary,
+    };
+  }
+
+  // 2) Natural language
+  if (!text) throw invalid('text', 'is required');
+  const interpretation = parseDeleteCommand(text, currentTime(), tz);
+  if (interpretation.error) throw invalid('text', interpretation.error);
 
-    // 2) Natural language
-    if (!text || !text.trim()) return res.status(400).json({ error: 'No text provided' });
-    const cmd = text.trim();
+  const { from, to, titleLike, timeWindow, ordinal } = interpretation;
+  let matches = (await tasksOverlapping(owner, from, to, tz))
+    .filter((t) => new Date(t.start) >= from && new Date(t.start) <= to)
+    .filter((t) => !titleLike || fuzzyTitleMatch(t.title, titleLike))
+    .filter((t) => {
+      if (!timeWindow) return true;
+      const minute = localMinuteOfDay(t.start, tz);
+      const after = minutesOf(timeWindow.after);
+      const before = minutesOf(timeWindow.before);
+      // “between 10pm and 2am” runs across midnight
+      return after <= before ? minute >= after && minute < before : minute >= after || minute < before;
+    })
+    .sort(compareByStart);
+
+  if (ordinal) {
+    const pick = matches[ordinal > 0 ? ordinal - 1 : matches.length + ordinal];
+    matches = pick ? [pick] : [];
+  }
+  return { interpretation, matches };
+}
+
+/**
+ * Delete matched tasks as one undoable batch: one-off tasks go to the trash,
+ * single occurrences become exDates on their series. Returns the batch id
+ * (null when nothing matched).
+ */
+async function deleteTargets(owner, targets) {
+  const singles = targets.filter((t) => !t.seriesId);
+  const bySeries = new Map();
+  for (const t of targets.filter((x) => x.seriesId)) {
+    const key = String(t.seriesId);
+    bySeries.set(key, [...(bySeries.get(key) || []), new Date(t.occurrenceStart)]);
+  }
+
+  const series = bySeries.size
+    ? await Task.find({ owner, _id: { $in: [...bySeries.keys()] } })
+    : [];
+  if (!singles.length && !series.length) return null;
+
+  const before = series.map((d) => d.toObject());
+  const batchId = await trashTasks(owner, singles, before);
+  for (const doc of series) {
+    doc.exDates.push(...bySeries.get(String(doc._id)));
+    await doc.save();
+  }
+  if (singles.length) publishTaskChange(owner, 'deleted', { ids: singles.map((t) => t._id) });
+  if (series.length) publishTaskChange(owner, 'updated', { tasks: series });
+  return batchId;
+}
+
+/** Previewed ids back into delete targets: plain task ids or `<seriesId>:<ms>` occurrences. */
+async function targetsFromIds(owner, ids) {
+  const occurrences = [];
+  const plain = [];
+  for (const id of ids) {
+    const [seriesId, ms] = id.split(':');
+    if (!mongoose.isValidObjectId(seriesId)) continue;
+    if (ms) occurrences.push({ _id: id, seriesId, occurrenceStart: new Date(Number(ms)) });
+    else plain.push(id);
+  }
+  const docs = plain.length ? await Task.find({ owner, _id: { $in: plain } }) : [];
+  return [...docs.map((d) => d.toObject()), ...occurrences];
+}
+
+/**
+ * POST /api/delete
+ *   { text } or { tasks: [{ title, date }] }  deletes immediately
+ *   { ..., dryRun: true }  only previews: returns the parsed interpretation, the
+ *   matching tasks and a short-lived `previewToken` for POST /api/delete/confirm
+ *
+ * A title without a date (“delete gym”) looks months ahead, so it is only
+ * deleted through a preview: without `dryRun` it answers 409 PREVIEW_REQUIRED.
+ *
+ * `text` understands days and ranges (“on Friday”, “between Wed and Fri”,
+ * “this week”), time-of-day windows (“after 6pm”, “in the morning”), fuzzy
+ * titles (“all meditation”) and ordinals (“the first meeting tomorrow”).
+ */
+app.post('/api/delete', async (req, res) => {
+  try {
+    const body = validate(req.body, {
+      text: is.string({ optional: true }),
+      tasks: is.array(is.object({ title: is.string(), date: is.day({ optional: true }) }), { optional: true }),
+      dryRun: is.bool({ optional: true }),
+    });
+    const { dryRun } = body;
+    const { interpretation, matches, summary } = await findDeleteTargets(req.userId, body, req.timeZone);
+    if (interpretation.mode === 'upcoming' && !dryRun) {
+      throw conflict('This delete names no date, please preview it first', undefined, 'PREVIEW_REQUIRED');
+    }
 
-    // 2a) date range?
-    const range = parseDateRange(cmd);
-    if (range) {
-      const s = startOfLocalDay(range.start);
-      const e = endOfLocalDay(range.end);
-      // optional title filter within range
-      const titleLike = extractTitleLike(cmd);
-      const q = { start: { $gte: s, $lte: e } };
-      if (titleLike) q.title = { $regex: new RegExp(titleLike, 'i') };
+    const { mode, from, to, titleLike, timeWindow } = interpretation;
+    if (mode !== 'explicit') {
+      console.log(
+        `🧹 ${dryRun ? 'Preview' : 'Delete'} (${mode}) ` +
+          `${from.toISOString()} -> ${to.toISOString()} title~${titleLike || '*'}` +
+          (timeWindow ? ` ${timeWindow.after}-${timeWindow.before}` : '')
+      );
+    }
 
-      console.log(`🧹 Range delete ${s.toISOString()} -> ${e.toISOString()} title~${titleLike || '*'}`);
-      const out = await Task.deleteMany(q);
-      return res.json({ message: `🗑️ ${out.deletedCount} task(s) deleted in range.` });
+    if (dryRun) {
+      const previewToken = jwt.sign(
+        { sub: req.userId, purpose: 'delete-preview', ids: matches.map((t) => String(t._id)) },
+        JWT_SECRET,
+        { expiresIn: DELETE_PREVIEW_TTL }
+      );
+      return res.json({ interpretation, tasks: matches, previewToken });
     }
 
-    // 2b) single day?
-    const day = parseSingleDate(cmd);
-    if (!day) {
-      return res.status(400).json({ message: '❌ No valid date or weekday detected.' });
+    const batchId = await deleteTargets(req.userId, matches);
+    if (mode === 'explicit') {
+      return res.json({ message: `🗑️ ${summary.reduce((a,b)=>a+b.count,0) || 0} tasks removed.`, deleted: summary, batchId });
     }
+    if (mode === 'day') {
+      return res.json({
+        message: `🗑️ ${matches.length} task(s) deleted for ${dayLabel(interpretation.date, req.timeZone)}.`,
+        batchId,
+      });
+    }
+    return res.json({ message: `🗑️ ${matches.length} task(s) deleted in range.`, batchId });
+  } catch (e) {
+    sendError(res, e, 'POST /api/delete', 'Failed to delete tasks');
+  }
+});
 
-    const start = startOfLocalDay(day);
-    const end = endOfLocalDay(day);
+/**
+ * POST /api/delete/confirm  { previewToken, ids? }
+ * Deletes exactly the previewed tasks, or the subset of them listed in `ids`.
+ */
+app.post('/api/delete/confirm', async (req, res) => {
+  try {
+    const { previewToken, ids } = validate(req.body, {
+      previewToken: is.string(),
+      ids: is.array(is.string(), { optional: true }),
+    });
 
-    // optional title filter for single day
-    const titleLike = extractTitleLike(cmd);
-    const query = { start: { $gte: start, $lte: end } };
-    if (titleLike) query.title = { $regex: new RegExp(titleLike, 'i') };
+    // a stale preview (409) can simply be previewed again; a token that was
+    // never valid (400) or isn't this user's preview (404) cannot
+    let payload;
+    try {
+      payload = jwt.verify(previewToken, JWT_SECRET);
+    } catch (e) {
+      if (e instanceof jwt.TokenExpiredError)
+        throw conflict('Preview expired, please preview the delete again', undefined, 'PREVIEW_EXPIRED');
+      throw badRequest('Preview token is not valid', 'INVALID_TOKEN');
+    }
+    if (payload.purpose !== 'delete-preview' || payload.sub !== req.userId) throw notFound('Preview not found');
 
-    console.log(`🧹 Day delete ${start.toISOString()} -> ${end.toISOString()} title~${titleLike || '*'}`);
-    const del = await Task.deleteMany(query);
+    const previewed = new Set(payload.ids);
+    const targets = ids || payload.ids;
+    const outside = targets.filter((id) => !previewed.has(id));
+    if (outside.length) throw invalid('ids', `must come from the preview (not ${outside.join(', ')})`);
 
-    return res.json({
-      message: `🗑️ ${del.deletedCount} task(s) deleted for ${day.toDateString()}.`,
+    const found = await targetsFromIds(req.userId, targets);
+    const batchId = await deleteTargets(req.userId, found);
+    res.json({
+      message: `🗑️ ${found.length} task(s) deleted.`,
+      deleted: found.map((d) => d._id),
+      batchId,
     });
   } catch (e) {
-    console.error('❌ /api/delete error:', e);
-    res.status(500).json({ error: 'Failed to delete tasks' });
+    sendError(res, e, 'POST /api/delete/confirm', 'Failed to delete tasks');
   }
 });
 
+/* ============================================================
+   🤖 AI providers
+   Every provider exposes `plan(text)` and resolves to the AI service's
+   response shape: { tasks, suggestions, sentiment, score, detectedEmotion, message }.
+   AI_PROVIDER=auto (default) tries the AI service first and falls back to
+   the built-in rule-based planner; `http` or `rules` pins one of them.
+============================================================ */
+const AI_PROVIDER = process.env.AI_PROVIDER || 'auto';
+const AI_SERVICE_URL = (process.env.AI_SERVICE_URL || 'http://localhost:5001').replace(/\/+$/, '');
+const AI_TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS, 10) || 20000;
+const AI_RETRIES = parseInt(process.env.AI_RETRIES, 10) >= 0 ? parseInt(process.env.AI_RETRIES, 10) : 1;
+const AI_BREAKER_THRESHOLD = parseInt(process.env.AI_BREAKER_THRESHOLD, 10) || 3;
+const AI_BREAKER_COOLDOWN_MS = parseInt(process.env.AI_BREAKER_COOLDOWN_MS, 10) || 30000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Stops calling a failing dependency for `cooldownMs` after `threshold`
+ * consecutive failures, then lets a single trial request through.
+ */
+function createCircuitBreaker({ threshold, cooldownMs }) {
+  let failures = 0;
+  let openedAt = null;
+  return {
+    canRequest() {
+      if (openedAt === null) return true;
+      return Date.now() - openedAt >= cooldownMs; // half-open: allow a trial call
+    },
+    success() {
+      failures = 0;
+      openedAt = null;
+    },
+    failure() {
+      failures += 1;
+      if (failures >= threshold) openedAt = Date.now();
+    },
+    get state() {
+      if (openedAt === null) return 'closed';
+      return Date.now() - openedAt >= cooldownMs ? 'half-open' : 'open';
+    },
+  };
+}
+
+/** The Flask/Groq AI service, with timeout, retries and a circuit breaker. */
+function createHttpAiProvider({ url, timeoutMs, retries, breaker }) {
+  return {
+    name: 'ai-service',
+    degraded: false,
+    async plan(text) {
+      if (!breaker.canRequest()) throw new Error('circuit open, AI service recently failing');
+      let lastErr;
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        try {
+          const res = await axios.post(`${url}/api/plan`, { text }, { timeout: timeoutMs });
+          breaker.success();
+          return res.data;
+        } catch (err) {
+          lastErr = err;
+          // the service understood us and said no; retrying won't help
+          const status = err.response && err.response.status;
+          if (status && status < 500) break;
+          if (attempt < retries) await sleep(300 * 2 ** attempt);
+        }
+      }
+      breaker.failure();
+      throw lastErr;
+    },
+  };
+}
+
+// Small sentiment lexicon (word -> weight, -3..3) for the offline planner.
+const SENTIMENT_LEXICON = {
+  happy: 3, great: 3, excited: 3, love: 3, amazing: 3, awesome: 3, relaxed: 2, calm: 2,
+  good: 2, fun: 2, enjoy: 2, nice: 2, productive: 2, energized: 2, motivated: 2, rested: 2,
+  easy: 1, fine: 1, ok: 1, okay: 1, free: 1, light: 1, chill: 1, ready: 1, hope: 1,
+  tired: -2, stressed: -3, stress: -3, stressful: -3, anxious: -3, anxiety: -3, overwhelmed: -3,
+  exhausted: -3, hectic: -2, busy: -1, rushed: -2, worried: -2, worry: -2, nervous: -2,
+  sad: -2, angry: -3, annoyed: -2, frustrated: -2, bad: -2, awful: -3, terrible: -3,
+  deadline: -1, deadlines: -1, late: -1, pressure: -2, behind: -1, sick: -2, hate: -3,
+  difficult: -1, hard: -1, problem: -1, problems: -1, urgent: -2, panic: -3, burnout: -3,
+};
+const NEGATIONS = new Set(['not', 'no', 'never', "don't", 'dont', "isn't", 'isnt', "can't", 'cant', 'without']);
+
+/** Lexicon sentiment: POSITIVE/NEGATIVE like the DistilBERT model, with a 0.5-1 confidence. */
+function lexiconSentiment(text) {
+  const words = text.toLowerCase().match(/[a-z']+/g) || [];
+  let total = 0;
+  let hits = 0;
+  words.forEach((w, i) => {
+    const weight = SENTIMENT_LEXICON[w];
+    if (!weight) return;
+    // "not stressed" flips the word that follows the negation
+    const negated = NEGATIONS.has(words[i - 1]) || NEGATIONS.has(words[i - 2]);
+    total += negated ? -weight : weight;
+    hits += 1;
+  });
+  const sentiment = total < 0 ? 'NEGATIVE' : 'POSITIVE';
+  const score = hits ? Math.min(1, 0.5 + Math.abs(total) / (hits * 3) / 2) : 0.5;
+  return { sentiment, score };
+}
+
+const BARE_TIME_RX = /(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/gi;
+
+const OFFLINE_BREAKS = ['Stretch break 🧘', 'Mindful tea ☕', 'Quick walk 🚶'];
+
+/**
+ * Offline planner: one task per timed sentence (same rule as the AI service),
+ * times read with chrono-node where it can and the bare-number rules otherwise,
+ * plus short breaks in the gaps between tasks.
+ */
+function createRuleBasedProvider() {
+  return {
+    name: 'rules',
+    degraded: true,
+    async plan(text) {
+      const tasks = [];
+      for (const sentence of text.split(PLAN_SENTENCE_SPLIT).map((s) => s.trim()).filter(Boolean)) {
+        if (!PLAN_TIME_RX.test(sentence)) continue;
+
+        let start = null;
+        let end = null;
+        const timed = chrono
+          .parse(sentence, new Date())
+          .find((r) => r.start.isCertain('hour'));
+        if (timed) {
+          start = clockOf(timed.start.get('hour') * 60 + timed.start.get('minute'));
+          if (timed.end) end = clockOf(timed.end.get('hour') * 60 + timed.end.get('minute'));
+        } else {
+          const found = [...sentence.matchAll(BARE_TIME_RX)].slice(0, 2);
+          start = toClock(found[0], found[1] && found[1][3]);
+          if (found[1]) end = toClock(found[1], found[0][3]);
+        }
+
+        const title = sentence.replace(/\b\d.*$/, '').trim();
+        tasks.push({
+          title: title ? title.charAt(0).toUpperCase() + title.slice(1).toLowerCase() : 'Task',
+          start,
+          end,
+        });
+      }
+
+      const { sentiment, score } = lexiconSentiment(text);
+      const hectic = tasks.length >= 8;
+      const detectedEmotion = sentiment === 'NEGATIVE' || hectic ? 'Stressed' : 'Balanced';
+
+      // a 10-minute break at the start of every daytime gap of 30+ minutes, at most three
+      const timedTasks = tasks
+        .filter((t) => t.start)
+        .map((t) => ({ s: minutesOf(t.start), e: t.end ? minutesOf(t.end) : minutesOf(t.start) + 30 }))
+        .sort((a, b) => a.s - b.s);
+      const suggestions = [];
+      for (let i = 0; i + 1 < timedTasks.length && suggestions.length < 3; i++) {
+        const gapStart = timedTasks[i].e;
+        const daytime = gapStart >= 7 * 60 && gapStart <= 21 * 60;
+        if (daytime && timedTasks[i + 1].s - gapStart >= 30) {
+          suggestions.push({
+            title: OFFLINE_BREAKS[suggestions.length],
+            start: clockOf(gapStart),
+            end: clockOf(gapStart + 10),
+          });
+        }
+      }
+
+      return {
+        sentiment,
+        score,
+        detectedEmotion,
+        taskCount: tasks.length,
+        tasks,
+        suggestions,
+        message: hectic
+          ? 'Day looks hectic. I’ve suggested some breaks below.'
+          : 'Your plan seems balanced. Here are some gentle wellness suggestions.',
+      };
+    },
+  };
+}
+
+const aiBreaker = createCircuitBreaker({
+  threshold: AI_BREAKER_THRESHOLD,
+  cooldownMs: AI_BREAKER_COOLDOWN_MS,
+});
+const httpAiProvider = createHttpAiProvider({
+  url: AI_SERVICE_URL,
+  timeoutMs: AI_TIMEOUT_MS,
+  retries: AI_RETRIES,
+  breaker: aiBreaker,
+});
+const ruleBasedProvider = createRuleBasedProvider();
+const aiProviders =
+  AI_PROVIDER === 'http' ? [httpAiProvider]
+  : AI_PROVIDER === 'rules' ? [ruleBasedProvider]
+  : [httpAiProvider, ruleBasedProvider];
+
+/**
+ * Ask each configured provider in turn. Resolves to the planner response plus
+ * `provider` (who answered) and `degraded` (true for the offline fallback).
+ */
+async function planWithAi(text) {
+  const failures = [];
+  for (const provider of aiProviders) {
+    try {
+      const data = await provider.plan(text);
+      return { ...data, provider: provider.name, degraded: provider.degraded };
+    } catch (err) {
+      console.warn(`⚠️ AI provider "${provider.name}" failed: ${err.message}`);
+      failures.push(`${provider.name}: ${err.message}`);
+    }
+  }
+  console.error(`❌ All AI providers failed (${failures.join('; ')})`);
+  throw new ApiError(503, 'AI_UNAVAILABLE', 'AI is unavailable right now, please try again shortly');
+}
+
 /* ============================================================
    🧠 AI-Driven Smart Planning
+   POST /api/plan only returns a draft (nothing is saved); the client edits it
+   and sends the accepted items to POST /api/plan/commit. Sentences naming a
+   saved template add that template's blocks to the draft. Suggestions are
+   kept inside the user's working hours and out of their focus blocks.
 ============================================================ */
+// how long a /api/plan draft can wait before it's committed
+const PLAN_SESSION_TTL = '1d';
+
+/**
+ * Pulls template commands ("apply my focus day template on Thursday") out of
+ * plan text. Returns the text left to plan, a task draft per template block
+ * and a note per applied template. An unknown template name is a 404.
+ */
+async function applyTemplateCommands(owner, text, now, tz) {
+  const commands = text
+    .split(PLAN_SENTENCE_SPLIT)
+    .map((sentence) => parseTemplateCommand(sentence, now, tz))
+    .filter(Boolean);
+  if (!commands.length) return { planText: text, templateDrafts: [], templateNotes: [] };
+
+  const templates = await Template.find({ owner }).lean();
+  const templateDrafts = [];
+  const templateNotes = [];
+  for (const cmd of commands) {
+    const template = findTemplate(templates, cmd.name);
+    if (!template) throw notFound(`No template called "${cmd.name}"`);
+    const assignedDate = startOfLocalDay(cmd.date, tz);
+    for (const block of expandBlocks(template.blocks, assignedDate, tz)) {
+      templateDrafts.push({
+        draftId: crypto.randomUUID(),
+        kind: 'task',
+        title: block.title,
+        start: block.start,
+        end: block.end,
+        assignedDate,
+        anchoredBy: cmd.dateText,
+        notes: block.notes,
+        category: block.category,
+        priority: block.priority,
+        tags: block.tags,
+        template: { _id: template._id, name: template.name },
+        conflicts: [],
+      });
+    }
+    templateNotes.push(`📋 "${template.name}" planned for ${dayLabel(assignedDate, tz)}.`);
+  }
+
+  const planText = commands
+    .reduce((rest, cmd) => rest.replace(cmd.text, ' '), text)
+    .replace(/^[\s.,;]+|[\s.,;]+$/g, '');
+  return { planText, templateDrafts, templateNotes };
+}
+
 app.post('/api/plan', async (req, res) => {
   try {
-    const { text } = req.body;
-    if (!text) return res.status(400).json({ error: 'No text provided' });
-
-    const aiRes = await axios.post('http://localhost:5001/api/plan', { text });
-    const { tasks, suggestions, sentiment, detectedEmotion, message } = aiRes.data;
-
-    // detect a date to anchor times
-    const dateRegex = /(\d{1,2})(?:st|nd|rd|th)?\s+(January|February|March|April|May|June|July|August|September|October|November|December)/i;
-    const match = text.match(dateRegex);
-    let referenceDate = new Date();
-    if (match) {
-      const day = parseInt(match[1], 10);
-      const month = new Date(`${match[2]} 1, 2000`).getMonth();
-      const year = new Date().getFullYear();
-      referenceDate = new Date(year, month, day);
-      console.log(`📅 Explicit date detected: ${referenceDate}`);
-    } else {
-      const chronoParsed = chrono.parseDate(text, new Date(), { forwardDate: true });
-      if (chronoParsed) {
-        referenceDate = chronoParsed;
-        console.log(`📆 Chrono detected date: ${referenceDate}`);
-      }
-    }
+    const { text, reschedule = 'none' } = validate(req.body, {
+      text: is.string(),
+      reschedule: is.oneOf(RESCHEDULE_MODES, { optional: true }),
+    });
 
-    const resolveTime = (timeStr) => {
-      if (!timeStr) return null;
-      const parsed = chrono.parseDate(timeStr, referenceDate, { forwardDate: true });
-      if (!parsed) return null;
-      parsed.setFullYear(referenceDate.getFullYear());
-      parsed.setMonth(referenceDate.getMonth());
-      parsed.setDate(referenceDate.getDate());
-      return parsed;
-    };
+    // "apply my focus day template on Thursday" sentences become the template's
+    // blocks; the rest of the text is planned as usual
+    const tz = req.timeZone;
+    const now = currentTime();
+    const { planText, templateDrafts, templateNotes } = await applyTemplateCommands(req.userId, text, now, tz);
+
+    const ai = planText ? await planWithAi(planText) : { tasks: [], suggestions: [] };
+    const { tasks, suggestions, sentiment, detectedEmotion, score, message, provider, degraded } = ai;
+
+    // every task sentence gets its own date; `referenceDate` is the fallback
+    // for sentences that never mention one. All of it on the user's clock.
+    const sentences = anchorSentences(planText, now, tz);
+    const reference = planReferenceDate(planText, sentences, now, tz);
+    const referenceDate = reference.date;
+    if (reference.source !== 'now') {
+      console.log(`📅 Plan date (${reference.source}): ${referenceDate.toISOString()} (${tz})`);
+    }
+    const anchors = taskAnchors(sentences, tasks || []);
 
-    const allEvents = [...(tasks || []), ...(suggestions || [])].map((ev) => {
-      const start = resolveTime(ev.start) || referenceDate;
-      const end = resolveTime(ev.end) || new Date(start.getTime() + 30 * 60 * 1000);
+    const toDraft = (ev, kind, anchor) => {
+      const day = anchor ? anchor.date : referenceDate;
+      const start = resolveTime(ev.start, day, tz) || day;
+      const end = resolveTime(ev.end, day, tz) || new Date(start.getTime() + 30 * 60 * 1000);
       return {
-        title: (ev.title || 'Untitled').trim(),
+        draftId: crypto.randomUUID(),
+        kind,
+        title: stripAnchorText((ev.title || 'Untitled').trim(), anchor),
         start,
         end,
+        assignedDate: startOfLocalDay(day, tz),
+        anchoredBy: anchor ? anchor.text : null,
         emotion: detectedEmotion,
         notes: message,
+        conflicts: [],
       };
+    };
+
+    const taskDrafts = [
+      ...(tasks || []).map((t, i) => toDraft(t, 'task', anchors[i])),
+      ...templateDrafts.map((d) => ({ ...d, emotion: detectedEmotion })),
+    ];
+
+    // Suggestions only carry a time of day: put each on the day of the task
+    // closest to it in time, so a 10:45 stretch lands next to the 10-11 block.
+    const minuteOfDay = (d) => localMinuteOfDay(d, tz);
+    const suggestionDrafts = (suggestions || []).map((sg) => {
+      const at = resolveTime(sg.start, referenceDate, tz);
+      if (!at || !taskDrafts.length) return toDraft(sg, 'suggestion', null);
+      const nearest = taskDrafts.reduce((best, t) =>
+        Math.abs(minuteOfDay(t.start) - minuteOfDay(at)) < Math.abs(minuteOfDay(best.start) - minuteOfDay(at))
+          ? t
+          : best
+      );
+      const anchor = nearest.anchoredBy ? { date: nearest.assignedDate, text: nearest.anchoredBy } : null;
+      return toDraft(sg, 'suggestion', anchor);
     });
 
-    const saved = [];
+    const allEvents = [...taskDrafts, ...suggestionDrafts];
+
+    // check everything against what's already on the calendar for those days,
+    // the user's focus blocks, and the items placed earlier in this same plan
+    const dayStart = startOfLocalDay(Math.min(...allEvents.map((e) => e.start), referenceDate), tz);
+    const dayEnd = endOfLocalDay(Math.max(...allEvents.map((e) => e.end), referenceDate), tz);
+    const [existing, settings] = await Promise.all([
+      tasksOverlapping(req.userId, dayStart, dayEnd, tz),
+      availabilityOf(req.userId),
+    ]);
+    const focus = protectedBlocks(settings, dayStart, dayEnd, tz).filter((b) => b.kind === 'focus');
+    const busy = [...existing, ...focus];
+    const conflicts = [];
+    const canMove = (ev) => reschedule === 'all' || (reschedule === 'suggestions' && ev.kind === 'suggestion');
+    // moved items keep the user's minimum break from their neighbours
+    const gapMs = settings.minBreakMinutes * 60 * 1000;
+    const freeSlot = (ev, from, to) => {
+      const padded = busy.map((b) => ({
+        start: new Date(new Date(b.start).getTime() - gapMs),
+        end: new Date(new Date(b.end).getTime() + gapMs),
+      }));
+      return nearestFreeSlot(padded, ev.start, ev.end - ev.start, from, to);
+    };
+    const moveTo = (ev, slot) => {
+      const duration = ev.end - ev.start;
+      ev.start = slot;
+      ev.end = new Date(slot.getTime() + duration);
+    };
+
     for (const ev of allEvents) {
-      const doc = new Task(ev);
-      await doc.save();
-      saved.push(doc);
+      // suggestions stay inside the user's day (working hours, stretched to the
+      // tasks they planned themselves) and out of focus blocks
+      const bounds = ev.kind === 'suggestion' ? suggestionWindow(settings, ev.start, taskDrafts, tz) : null;
+      if (bounds) {
+        const outside = ev.start < bounds.start || ev.end > bounds.end;
+        if (outside || focus.some((f) => overlaps(f, ev))) {
+          const slot = freeSlot(ev, bounds.start, bounds.end);
+          if (slot) {
+            ev.movedFrom = {
+              start: ev.start,
+              end: ev.end,
+              reason: outside ? 'outside your working hours' : 'during a focus block',
+            };
+            moveTo(ev, slot);
+          }
+        }
+      }
+
+      const clashes = busy.filter((b) => overlaps(b, ev));
+      if (clashes.length) {
+        ev.conflicts = clashes.map(conflictSummary);
+        const conflict = {
+          task: { draftId: ev.draftId, title: ev.title, start: ev.start, end: ev.end, kind: ev.kind },
+          conflictsWith: ev.conflicts,
+        };
+        if (canMove(ev)) {
+          const slot = bounds
+            ? freeSlot(ev, bounds.start, bounds.end)
+            : freeSlot(ev, startOfLocalDay(ev.start, tz), endOfLocalDay(ev.start, tz));
+          if (slot) {
+            moveTo(ev, slot);
+            conflict.movedTo = { start: ev.start, end: ev.end };
+          }
+        }
+        conflicts.push(conflict);
+      }
+      busy.push(ev);
     }
 
+    // nothing is saved yet: committing the draft with this token puts the
+    // session in the journal, linked to the tasks it saved
+    const sessionToken = jwt.sign(
+      { sub: req.userId, purpose: 'plan-session', text, sentiment, detectedEmotion, score },
+      JWT_SECRET,
+      { expiresIn: PLAN_SESSION_TTL }
+    );
+
     res.json({
-      tasks: saved,
+      sessionToken,
+      tasks: allEvents.filter((ev) => ev.kind === 'task'),
+      suggestions: allEvents.filter((ev) => ev.kind === 'suggestion'),
+      conflicts,
       detectedEmotion,
       sentiment,
-      message,
+      message: [message, ...templateNotes].filter(Boolean).join(' '),
       referenceDate,
+      provider,
+      degraded,
+    });
+  } catch (err) {
+    sendError(res, err, 'POST /api/plan', 'AI planning failed');
+  }
+});
+
+/** The plan session a `sessionToken` from /api/plan describes; 409 once stale, 404 if not this user's. */
+function planSessionFrom(token, owner) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (e) {
+    if (e instanceof jwt.TokenExpiredError)
+      throw conflict('Plan session expired, please plan again', undefined, 'SESSION_EXPIRED');
+    throw badRequest('Plan session token is not valid', 'INVALID_TOKEN');
+  }
+  if (payload.purpose !== 'plan-session' || payload.sub !== owner) throw notFound('Plan session not found');
+  const { text, sentiment, detectedEmotion, score } = payload;
+  return { text, sentiment, detectedEmotion, score };
+}
+
+/**
+ * POST /api/plan/commit
+ *   { items: [{ draftId, kind, title, start, end, emotion?, notes?, category?, priority?, tags? }], sessionToken? }
+ * Saves the accepted draft items as one undoable batch; `kind` ('task' or
+ * 'suggestion') becomes the task's `source`. With the `sessionToken` /api/plan
+ * returned, the session goes in the journal linked to the saved tasks.
+ */
+app.post('/api/plan/commit', async (req, res) => {
+  try {
+    const { items, sessionToken } = validate(req.body, {
+      sessionToken: is.string({ optional: true }),
+      items: is.array(
+        is.object({
+          draftId: is.string({ optional: true }),
+          kind: is.oneOf(['task', 'suggestion'], { optional: true }),
+          title: is.string({ max: 200 }),
+          start: is.date(),
+          end: is.date(),
+          emotion: is.string({ optional: true }),
+          notes: is.string({ optional: true }),
+          category: is.string({ max: 50, optional: true }),
+          priority: is.oneOf(TASK_PRIORITIES, { optional: true }),
+          tags: is.stringList({ optional: true }),
+        }),
+        { min: 1 }
+      ),
+    });
+    collect(items.map((it, i) => () => {
+      if (it.end <= it.start) throw invalid(`items[${i}].end`, 'must be after start');
+    }));
+    const session = sessionToken && planSessionFrom(sessionToken, req.userId);
+
+    const docs = items.map((it) => ({
+      owner: req.userId,
+      title: it.title,
+      start: it.start,
+      end: it.end,
+      emotion: it.emotion,
+      notes: it.notes,
+      category: it.category,
+      priority: it.priority,
+      tags: it.tags,
+      source: it.kind === 'suggestion' ? 'ai_suggestion' : 'ai_task',
+    }));
+
+    const saved = await Task.insertMany(docs);
+    publishTaskChange(req.userId, 'created', { tasks: saved });
+    const op = await TaskOperation.create({
+      owner: req.userId,
+      kind: 'create',
+      createdIds: saved.map((t) => t._id),
+    });
+    const entry =
+      session &&
+      (await Schedule.create({ owner: req.userId, kind: 'plan', ...session, tasks: saved.map((t) => t._id) }));
+
+    res.json({
+      message: `✅ ${saved.length} item(s) added to your calendar.`,
+      tasks: saved,
+      batchId: op._id,
+      scheduleId: entry ? entry._id : null,
     });
   } catch (err) {
-    console.error('❌ /api/plan error:', err.message);
-    res.status(500).json({ error: 'AI planning failed' });
+    sendError(res, err, 'POST /api/plan/commit', 'Saving the plan failed');
   }
 });
 
@@ -287,85 +1548,2466 @@ app.post('/api/plan', async (req, res) => {
 ============================================================ */
 app.post('/api/analyze', async (req, res) => {
   try {
-    const { text } = req.body;
-    if (!text) return res.status(400).json({ error: 'No text provided' });
+    const { text } = validate(req.body, { text: is.string() });
 
-    const aiResponse = await axios.post('http://localhost:5001/api/plan', { text });
-    const { sentiment, detectedEmotion, score } = aiResponse.data;
+    const ai = await planWithAi(text);
+    const { sentiment, detectedEmotion, score } = ai;
 
-    const newSchedule = new Schedule({ text, sentiment, detectedEmotion, score });
+    const newSchedule = new Schedule({
+      owner: req.userId,
+      text,
+      sentiment,
+      detectedEmotion,
+      score,
+    });
     await newSchedule.save();
 
-    res.json(aiResponse.data);
+    res.json(ai);
   } catch (error) {
-    console.error('Error in /api/analyze:', error.message);
-    res.status(500).json({ error: 'Error processing your request' });
+    sendError(res, error, 'POST /api/analyze', 'Error processing your request');
   }
 });
 
 /* ============================================================
-   📋 Emotion Log (GET)
+   🔎 Query helpers (ranges, filters, cursors)
 ============================================================ */
-app.get('/api/schedules', async (req, res) => {
+const MAX_PAGE_SIZE = 500;
+
+/** Opaque pagination cursor: the sort key of the last item on the previous page. */
+function encodeCursor(date, id) {
+  return Buffer.from(JSON.stringify({ t: new Date(date).getTime(), id: String(id) })).toString(
+    'base64url'
+  );
+}
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof t !== 'number' || typeof id !== 'string') return null;
+    return { date: new Date(t), id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read `from`, `to`, `limit` and `cursor` from a query string.
+ * Throws a ValidationError naming the malformed parameter.
+ */
+function parseRangeQuery(query) {
+  const out = validate(query, {
+    from: is.date({ optional: true }),
+    to: is.date({ optional: true }),
+    limit: is.int({ min: 1, optional: true }),
+    cursor: is.string({ optional: true }),
+  });
+  if (out.limit) out.limit = Math.min(out.limit, MAX_PAGE_SIZE);
+  if (out.cursor) {
+    out.cursor = decodeCursor(out.cursor);
+    if (!out.cursor) throw invalid('cursor', 'is not a valid cursor');
+  }
+  return out;
+}
+
+/** `?emotion=Stressed,Balanced` -> case-insensitive exact-match regexes */
+function parseListFilter(value) {
+  if (!value) return null;
+  const items = String(value).split(',').map((v) => v.trim()).filter(Boolean);
+  return items.length ? items.map((v) => new RegExp(`^${escapeRegex(v)}$`, 'i')) : null;
+}
+
+/* ============================================================
+   📋 Emotion Log (journal)
+   GET ?from&to (createdAt), ?emotion (detected or self-reported), ?sentiment,
+   ?kind, ?q (full-text), ?text (substring), ?limit&cursor
+   With `limit` the response is `{ items, nextCursor }`, otherwise a plain array.
+   Entries come with the tasks saved from their plan session (`tasks`).
+============================================================ */
+const LINKED_TASK_FIELDS = 'title start end status source';
+// only `owner`'s own tasks are filled in, whatever ids an entry holds
+const linkedTasks = (owner) => ({ path: 'tasks', select: LINKED_TASK_FIELDS, match: { owner } });
+
+app.get('/api/schedules', async (req, res) => {
   try {
-    const schedules = await Schedule.find().sort({ createdAt: -1 });
-    res.json(schedules);
+    const { from, to, limit, cursor } = parseRangeQuery(req.query);
+    const { q: search, kind } = validate(req.query, {
+      q: is.string({ max: 200, optional: true }),
+      kind: is.oneOf(SCHEDULE_KINDS, { optional: true }),
+    });
+
+    const q = { owner: req.userId, $and: [] };
+    if (from || to) {
+      q.createdAt = {};
+      if (from) q.createdAt.$gte = from;
+      if (to) q.createdAt.$lt = to;
+    }
+    if (kind) q.kind = kind;
+    const emotions = parseListFilter(req.query.emotion);
+    if (emotions) {
+      q.$and.push({ $or: [{ detectedEmotion: { $in: emotions } }, { selfReportedEmotion: { $in: emotions } }] });
+    }
+    const sentiments = parseListFilter(req.query.sentiment);
+    if (sentiments) q.sentiment = { $in: sentiments };
+    if (search) q.$text = { $search: search };
+    if (req.query.text) q.text = { $regex: escapeRegex(String(req.query.text)), $options: 'i' };
+    if (cursor) {
+      q.$and.push({
+        $or: [
+          { createdAt: { $lt: cursor.date } },
+          { createdAt: cursor.date, _id: { $lt: cursor.id } },
+        ],
+      });
+    }
+    if (!q.$and.length) delete q.$and;
+
+    const find = Schedule.find(q).sort({ createdAt: -1, _id: -1 }).populate(linkedTasks(req.userId));
+    if (!limit) return res.json(await find);
+
+    const page = await find.limit(limit + 1);
+    const items = page.slice(0, limit);
+    const last = items[items.length - 1];
+    const nextCursor = page.length > limit ? encodeCursor(last.createdAt, last._id) : null;
+    res.json({ items, nextCursor });
   } catch (error) {
-    console.error('Error in /api/schedules:', error.message);
-    res.status(500).json({ error: 'Error fetching schedules' });
+    sendError(res, error, 'GET /api/schedules', 'Error fetching schedules');
+  }
+});
+
+/** What a client writes in a journal entry; on PUT (`clearable`) null or '' clears a field. */
+function journalRules(clearable) {
+  const opts = clearable ? { nullable: true } : { optional: true };
+  return {
+    text: is.string({ max: 5000, ...opts }),
+    selfReportedEmotion: is.string({ max: 50, ...opts }),
+    intensity: is.int({ min: 1, max: MAX_INTENSITY, ...opts }),
+  };
+}
+
+/** The model's read of journal text; unset when the AI is down, so the entry is still kept. */
+async function detectMood(text) {
+  const none = { sentiment: undefined, detectedEmotion: undefined, score: undefined };
+  if (!text) return none;
+  try {
+    const { sentiment, detectedEmotion, score } = await planWithAi(text);
+    return { sentiment, detectedEmotion, score };
+  } catch {
+    return none;
+  }
+}
+
+/** An entry needs something in it: text, or at least how the user feels. */
+function checkEntryContent(entry, prefix = '') {
+  if (!entry.text && !entry.selfReportedEmotion) {
+    throw invalid(`${prefix}text`, 'is required without a self-reported emotion');
+  }
+  if (entry.intensity && !entry.selfReportedEmotion) {
+    throw invalid(`${prefix}selfReportedEmotion`, 'is required with an intensity');
+  }
+}
+
+/** POST /api/schedules  { text?, selfReportedEmotion?, intensity? }  a mood check-in */
+app.post('/api/schedules', async (req, res) => {
+  try {
+    const fields = validate(req.body, journalRules(false));
+    checkEntryContent(fields);
+    const entry = await Schedule.create({
+      owner: req.userId,
+      kind: 'check-in',
+      ...fields,
+      ...(await detectMood(fields.text)),
+    });
+    res.status(201).json(entry);
+  } catch (error) {
+    sendError(res, error, 'POST /api/schedules', 'Error saving check-in');
+  }
+});
+
+/**
+ * PUT /api/schedules/:id  { text?, selfReportedEmotion?, intensity? }
+ * null clears the self-report; changed text is read by the model again.
+ */
+app.put('/api/schedules/:id', async (req, res) => {
+  try {
+    const fields = validate(req.body, journalRules(true));
+    const entry = await Schedule.findOne({ _id: req.params.id, owner: req.userId });
+    if (!entry) throw notFound('Journal entry not found');
+
+    // without an emotion there's nothing for the intensity to measure
+    if (fields.selfReportedEmotion === null && fields.intensity === undefined) fields.intensity = null;
+    const textChanged = fields.text !== undefined && (fields.text || '') !== entry.text;
+    Object.entries(fields).forEach(([k, v]) => entry.set(k, v === null ? undefined : v));
+    if (fields.text === null) entry.text = '';
+    checkEntryContent(entry);
+    if (textChanged) Object.assign(entry, await detectMood(entry.text));
+    entry.updatedAt = new Date();
+    await entry.save();
+
+    res.json(await entry.populate(linkedTasks(req.userId)));
+  } catch (error) {
+    sendError(res, error, 'PUT /api/schedules/:id', 'Error updating journal entry');
+  }
+});
+
+/** DELETE /api/schedules/:id  removes the entry; its linked tasks stay on the calendar */
+app.delete('/api/schedules/:id', async (req, res) => {
+  try {
+    const { deletedCount } = await Schedule.deleteOne({ _id: req.params.id, owner: req.userId });
+    if (!deletedCount) throw notFound('Journal entry not found');
+    res.json({ ok: true });
+  } catch (error) {
+    sendError(res, error, 'DELETE /api/schedules/:id', 'Error deleting journal entry');
   }
 });
 
+/* ============================================================
+   📊 Analytics (emotions + workload over a date range)
+============================================================ */
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 366;
+const WEEKDAY_SHORT = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/** The calendar day `d` falls on in `tz`, as "YYYY-MM-DD". */
+const dayKey = (d, tz = SERVER_TIME_ZONE) => wallClock(d, tz).toISOString().slice(0, 10);
+
+/** Saved AI suggestions are the breaks; everything else counts as work. */
+const isSuggestionTask = (t) => t.source === 'ai_suggestion';
+
+/** Pearson correlation of two equally long number lists; null when it isn't defined. */
+function correlation(xs, ys) {
+  const n = xs.length;
+  if (n < 3) return null;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  if (!vx || !vy) return null;
+  return Math.round((cov / Math.sqrt(vx * vy)) * 100) / 100;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * GET /api/analytics?from&to  (days like "2026-10-19", or dates)
+ * Defaults to the last 30 days. Everything is bucketed by calendar day on the
+ * user's clock; task hours are clipped to each day and recurring tasks count
+ * per occurrence.
+ */
+app.get('/api/analytics', async (req, res) => {
+  try {
+    const tz = req.timeZone;
+    const { from: qFrom, to: qTo } = validate(req.query, {
+      from: is.day({ optional: true }),
+      to: is.day({ optional: true }),
+    });
+
+    const to = endOfLocalDay(qTo ? localDay(qTo, tz) : currentTime(), tz);
+    const from = qFrom ? localDay(qFrom, tz) : startOfLocalDay(addLocalDays(to, 1 - ANALYTICS_DEFAULT_DAYS, tz), tz);
+    if (from > to) throw invalid('to', 'must be after from');
+    if (to - from > ANALYTICS_MAX_DAYS * DAY_MS)
+      throw invalid('to', `range is limited to ${ANALYTICS_MAX_DAYS} days`);
+
+    const [entries, tasks] = await Promise.all([
+      Schedule.find({ owner: req.userId, createdAt: { $gte: from, $lte: to } }).sort({ createdAt: 1 }),
+      tasksOverlapping(req.userId, from, to, tz),
+    ]);
+
+    // one bucket per calendar day in the range, so charts have no gaps
+    const days = new Map();
+    for (let d = from; d <= to; d = addLocalDays(d, 1, tz)) {
+      days.set(dayKey(d, tz), { date: dayKey(d, tz), emotions: {}, entries: 0, stressed: 0, workHours: 0, breakHours: 0 });
+    }
+
+    const emotionTotals = {};
+    const weekdays = WEEKDAY_SHORT.map((weekday) => ({ weekday, total: 0, count: 0 }));
+    for (const e of entries) {
+      const day = days.get(dayKey(e.createdAt, tz));
+      // how the user says they feel beats the model's guess
+      const emotion = e.selfReportedEmotion || e.detectedEmotion || 'Neutral';
+      emotionTotals[emotion] = (emotionTotals[emotion] || 0) + 1;
+      if (day) {
+        day.emotions[emotion] = (day.emotions[emotion] || 0) + 1;
+        day.entries += 1;
+        if (/stress/i.test(emotion)) day.stressed += 1;
+      }
+      if (typeof e.score === 'number') {
+        const w = weekdays[localWeekday(e.createdAt, tz)];
+        w.total += e.score;
+        w.count += 1;
+      }
+    }
+
+    const taskEmotions = {};
+    let breakCount = 0;
+    let taskCount = 0;
+    for (const t of tasks) {
+      const isBreak = isSuggestionTask(t);
+      if (isBreak) breakCount += 1;
+      else taskCount += 1;
+      if (t.emotion) taskEmotions[t.emotion] = (taskEmotions[t.emotion] || 0) + 1;
+
+      // split the task across the days it touches
+      let cursor = new Date(Math.max(new Date(t.start), from));
+      const end = new Date(Math.min(new Date(t.end), to));
+      while (cursor < end) {
+        const dayEnd = new Date(Math.min(endOfLocalDay(cursor, tz).getTime() + 1, end.getTime()));
+        const day = days.get(dayKey(cursor, tz));
+        if (day) day[isBreak ? 'breakHours' : 'workHours'] += (dayEnd - cursor) / 3600000;
+        cursor = dayEnd;
+      }
+    }
+
+    const daily = [...days.values()].map((d) => ({
+      ...d,
+      workHours: round2(d.workHours),
+      breakHours: round2(d.breakHours),
+    }));
+    const workHours = daily.reduce((a, d) => a + d.workHours, 0);
+    const breakHours = daily.reduce((a, d) => a + d.breakHours, 0);
+    // only days with something going on say anything about stress vs. workload
+    const active = daily.filter((d) => d.entries || d.workHours);
+
+    res.json({
+      range: { from, to },
+      emotionsOverTime: daily.map(({ date, emotions }) => ({ date, emotions })),
+      emotionTotals,
+      taskEmotions,
+      scoreByWeekday: weekdays.map(({ weekday, total, count }) => ({
+        weekday,
+        avgScore: count ? round2(total / count) : null,
+        count,
+      })),
+      hoursPerDay: daily.map(({ date, workHours: work, breakHours: brk }) => ({
+        date,
+        workHours: work,
+        breakHours: brk,
+      })),
+      breakToWork: {
+        taskCount,
+        breakCount,
+        workHours: round2(workHours),
+        breakHours: round2(breakHours),
+        ratio: workHours ? round2(breakHours / workHours) : null,
+      },
+      busyVsStressed: {
+        days: active.map(({ date, workHours: hours, stressed, entries: n }) => ({ date, hours, stressed, entries: n })),
+        correlation: correlation(active.map((d) => d.workHours), active.map((d) => d.stressed)),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'GET /api/analytics', 'Error building analytics');
+  }
+});
+
+/* ============================================================
+   🔁 Recurrence helpers
+============================================================ */
+const RECURRENCE_FREQS = ['daily', 'weekly', 'monthly'];
+const MAX_OCCURRENCES = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate and clean a recurrence rule from a request body: the rule, or null
+ * for "doesn't repeat". `prefix` nests error paths (`tasks[2].`).
+ */
+function parseRecurrence(r, prefix = '') {
+  if (!r || !r.freq) return null;
+  const rule = validate(
+    r,
+    {
+      freq: is.oneOf(RECURRENCE_FREQS),
+      interval: is.int({ min: 1, max: 365, optional: true }),
+      byWeekday: is.array(is.int({ min: 0, max: 6 }), { max: 7, optional: true }),
+      until: is.date({ optional: true }),
+      count: is.int({ min: 1, max: MAX_OCCURRENCES, optional: true }),
+    },
+    `${prefix}recurrence.`
+  );
+  rule.interval = rule.interval || 1;
+  rule.byWeekday = [...new Set(rule.byWeekday || [])].sort((a, b) => a - b);
+  return rule;
+}
+
+/**
+ * Original start times of a recurring task's occurrences in [from, to), `from`
+ * defaulting to the series start. Days, weekdays and months are counted on
+ * the wall clock in `tz`, so a 9:00 series stays at 9:00 past a DST change.
+ * The loop starts at the window, not the first occurrence; `count` still
+ * counts from the first (excluded dates too) and MAX_OCCURRENCES caps only
+ * what is returned.
+ */
+function listOccurrenceStarts(task, to, tz = SERVER_TIME_ZONE, from = null) {
+  const rule = task.recurrence;
+  const first = wallClock(task.start, tz);
+  const until = rule.until ? new Date(rule.until) : null;
+  const interval = rule.interval || 1;
+  // whole periods between the first occurrence and the window, less one to be
+  // safe around DST changes
+  const skipped = (periodMs) =>
+    from ? Math.max(0, Math.floor((wallClock(from, tz) - first) / periodMs / interval) - 1) : 0;
+  const out = [];
+  let index = 0;
+
+  // returns false once the series (or the window) is exhausted
+  const accept = (wall) => {
+    const d = fromWallClock(wall, tz);
+    if (until && d > until) return false;
+    if (d >= to) return false;
+    if (rule.count && index >= rule.count) return false;
+    index++;
+    if (from && d < from) return true;
+    out.push(d);
+    return out.length < MAX_OCCURRENCES;
+  };
+
+  if (rule.freq === 'daily') {
+    index = skipped(DAY_MS);
+    for (let k = index; ; k++) {
+      const d = new Date(first);
+      d.setUTCDate(first.getUTCDate() + k * interval);
+      if (!accept(d)) break;
+    }
+  } else if (rule.freq === 'weekly') {
+    const days = rule.byWeekday && rule.byWeekday.length ? rule.byWeekday : [first.getUTCDay()];
+    const weekStart = new Date(first);
+    weekStart.setUTCDate(first.getUTCDate() - first.getUTCDay());
+    const skippedWeeks = skipped(7 * DAY_MS);
+    // the first week only has the days from the series start on
+    const firstWeek = days.filter((wd) => wd >= first.getUTCDay()).length;
+    index = skippedWeeks ? firstWeek + (skippedWeeks - 1) * days.length : 0;
+    weeks: for (let k = skippedWeeks; ; k++) {
+      for (const wd of days) {
+        const d = new Date(weekStart);
+        d.setUTCDate(weekStart.getUTCDate() + k * 7 * interval + wd);
+        if (d < first) continue;
+        if (!accept(d)) break weeks;
+      }
+    }
+  } else if (rule.freq === 'monthly') {
+    // months without that day (e.g. the 31st) are skipped, like RRULE does
+    const monthOf = (k) => {
+      const d = new Date(first);
+      d.setUTCDate(1);
+      d.setUTCMonth(first.getUTCMonth() + k * interval);
+      const daysInMonth = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+      if (first.getUTCDate() > daysInMonth) return null;
+      d.setUTCDate(first.getUTCDate());
+      return d;
+    };
+    const fromWall = from && wallClock(from, tz);
+    const months = from
+      ? (fromWall.getUTCFullYear() - first.getUTCFullYear()) * 12 + fromWall.getUTCMonth() - first.getUTCMonth()
+      : 0;
+    const skippedMonths = Math.max(0, Math.floor(months / interval) - 1);
+    // only months that have the day count towards `count`
+    for (let k = 0; k < skippedMonths; k++) if (monthOf(k)) index++;
+    for (let k = skippedMonths; k < skippedMonths + MAX_OCCURRENCES * 12; k++) {
+      const d = monthOf(k);
+      if (d && !accept(d)) break;
+    }
+  }
+  return out;
+}
+
+/** Expand a task into the occurrences overlapping [from, to) in `tz`. One-off tasks pass through. */
+function expandTask(task, from, to, tz = SERVER_TIME_ZONE) {
+  const doc = task.toObject ? task.toObject() : task;
+  if (!doc.recurrence || !doc.recurrence.freq) return [doc];
+
+  const { exDates, overrides, ...series } = doc;
+  const duration = new Date(doc.end) - new Date(doc.start);
+  const excluded = new Set((exDates || []).map((d) => new Date(d).getTime()));
+  const overrideMap = new Map(
+    (overrides || []).map((o) => [new Date(o.occurrenceStart).getTime(), o])
+  );
+
+  // occurrences starting early enough to still run into the window, plus
+  // any that an override moved in from outside it
+  const windowStart = new Date(new Date(from).getTime() - duration);
+  const movedIn = [...overrideMap.keys()]
+    .map((ms) => new Date(ms))
+    .filter((s) => (s < windowStart || s >= to) && listOccurrenceStarts(doc, new Date(s.getTime() + 1), tz, s).length);
+
+  return [...movedIn, ...listOccurrenceStarts(doc, to, tz, windowStart)]
+    .filter((s) => !excluded.has(s.getTime()))
+    .map((s) => {
+      const o = overrideMap.get(s.getTime()) || {};
+      const start = o.start ? new Date(o.start) : s;
+      const end = o.end ? new Date(o.end) : new Date(start.getTime() + duration);
+      const edited = {};
+      TASK_EDIT_FIELDS.forEach((k) => {
+        if (o[k] !== undefined) edited[k] = o[k];
+      });
+      return {
+        ...series,
+        _id: `${doc._id}:${s.getTime()}`,
+        seriesId: doc._id,
+        occurrenceStart: s,
+        ...edited,
+        start,
+        end,
+      };
+    })
+    .filter((o) => o.end > from && o.start < to);
+}
+
+/**
+ * Apply an edit to every occurrence, moving the series by however far `occ`
+ * was moved on the wall clock in `tz`.
+ */
+function applyToSeries(task, occ, update, tz = SERVER_TIME_ZONE) {
+  TASK_EDIT_FIELDS.filter((k) => k !== 'start' && k !== 'end').forEach((k) => {
+    if (update[k] !== undefined) task[k] = update[k];
+  });
+  if (update.recurrence !== undefined) task.recurrence = update.recurrence;
+
+  if (update.start || update.end) {
+    const duration = task.end - task.start;
+    const newStart = update.start ? new Date(update.start) : occ;
+    const newEnd = update.end ? new Date(update.end) : new Date(newStart.getTime() + duration);
+    const delta = wallClock(newStart, tz) - wallClock(occ, tz);
+    const shift = (d) => fromWallClock(new Date(wallClock(d, tz).getTime() + delta), tz);
+
+    if (delta !== 0) {
+      const dayShift = Math.round(
+        (wallClock(startOfLocalDay(newStart, tz), tz) - wallClock(startOfLocalDay(occ, tz), tz)) / DAY_MS
+      );
+      if (dayShift && task.recurrence && task.recurrence.byWeekday?.length) {
+        task.recurrence.byWeekday = task.recurrence.byWeekday
+          .map((wd) => (((wd + dayShift) % 7) + 7) % 7)
+          .sort((a, b) => a - b);
+      }
+      task.exDates = (task.exDates || []).map(shift);
+      // overrides are keyed by the old slots, which no longer exist
+      task.overrides = [];
+    }
+    task.start = shift(task.start);
+    task.end = new Date(task.start.getTime() + (newEnd - newStart));
+  }
+}
+
+/** Edit one occurrence, that occurrence and all later ones, or the whole series (days read in `tz`). */
+async function updateOccurrences(task, occ, scope, update, tz = SERVER_TIME_ZONE) {
+  if (scope === 'this') {
+    const key = occ.getTime();
+    const existing = task.overrides.find((o) => o.occurrenceStart.getTime() === key);
+    const override = existing ? existing.toObject() : { occurrenceStart: occ };
+    TASK_EDIT_FIELDS.forEach((k) => {
+      if (update[k] !== undefined) override[k] = update[k];
+    });
+    task.overrides = [
+      ...task.overrides.filter((o) => o.occurrenceStart.getTime() !== key),
+      override,
+    ];
+    await task.save();
+    return task;
+  }
+
+  if (scope === 'following' && occ > task.start) {
+    const before = listOccurrenceStarts(task, occ, tz).length;
+    const rule = task.recurrence.toObject();
+    const tail = new Task({
+      owner: task.owner,
+      title: task.title,
+      emotion: task.emotion,
+      notes: task.notes,
+      priority: task.priority,
+      category: task.category,
+      tags: task.tags,
+      source: task.source,
+      start: occ,
+      end: new Date(occ.getTime() + (task.end - task.start)),
+      recurrence: { ...rule, count: rule.count ? Math.max(1, rule.count - before) : undefined },
+      exDates: task.exDates.filter((d) => d >= occ),
+      overrides: task.overrides.filter((o) => o.occurrenceStart >= occ),
+    });
+    applyToSeries(tail, occ, update, tz);
+
+    task.recurrence.until = new Date(occ.getTime() - 1);
+    task.exDates = task.exDates.filter((d) => d < occ);
+    task.overrides = task.overrides.filter((o) => o.occurrenceStart < occ);
+    await task.save();
+    await tail.save();
+    return tail;
+  }
+
+  // 'all' (or 'following' from the very first occurrence)
+  applyToSeries(task, occ, update, tz);
+  await task.save();
+  return task;
+}
+
 /* ============================================================
    📅 Task Routes
 ============================================================ */
+const OCCURRENCE_SCOPES = ['this', 'following', 'all'];
+// how long a new backlog task is when it's dropped on the calendar
+const BACKLOG_DEFAULT_MINUTES = 60;
+
+// every editable task field; all optional so PUT can send just what changed,
+// and `nullable` ones can be cleared with null or ''
+const TASK_FIELD_RULES = {
+  title: is.string({ max: 200, optional: true }),
+  // null for both moves the task to the backlog
+  start: is.date({ nullable: true }),
+  end: is.date({ nullable: true }),
+  durationMinutes: is.int({ min: 5, max: DAY_MINUTES, optional: true }),
+  deadline: is.date({ nullable: true }),
+  effort: is.oneOf(TASK_EFFORTS, { optional: true }),
+  allDay: is.bool({ optional: true }),
+  emotion: is.string({ max: 50, nullable: true }),
+  notes: is.string({ max: 5000, trim: false, nullable: true }),
+  status: is.oneOf(TASK_STATUSES, { optional: true }),
+  completedAt: is.date({ nullable: true }),
+  priority: is.oneOf(TASK_PRIORITIES, { optional: true }),
+  category: is.string({ max: 50, nullable: true }),
+  tags: is.stringList({ nullable: true }),
+  // whole minutes, or { minutesBefore } as the API returns them
+  reminders: is.array(
+    rule((r, path) =>
+      is.int({ min: 0, max: MAX_REMINDER_MINUTES })(typeof r === 'object' ? r.minutesBefore : r, path)
+    ),
+    { max: 10, nullable: true }
+  ),
+};
+
+/**
+ * Pick the editable fields out of a request body and check them. The end has
+ * to come after the start, taking whichever of the two isn't sent from
+ * `previous`; clearing one of them means clearing both (unscheduling). A
+ * status change stamps `completedAt` when it becomes done and clears it
+ * otherwise, unless the body sets `completedAt` itself.
+ * Returns the fields; throws a ValidationError listing every bad one.
+ */
+function parseTaskFields(body, previous = {}) {
+  const fields = validate(body, TASK_FIELD_RULES);
+  if (body.title !== undefined && !fields.title) throw invalid('title', 'is required');
+  if (fields.start === null && fields.end !== null) throw invalid('end', 'must be cleared along with start');
+  if (fields.end === null && fields.start !== null) throw invalid('start', 'must be cleared along with end');
+
+  const start = fields.start || previous.start;
+  const end = fields.end || previous.end;
+  if (start && end && new Date(end) <= new Date(start)) throw invalid('end', 'must be after start');
+  if (fields.tags === null) fields.tags = [];
+  if (fields.reminders !== undefined) {
+    const minutes = fields.reminders || [];
+    fields.reminders = [...new Set(minutes)].sort((a, b) => b - a).map((m) => ({ minutesBefore: m }));
+  }
+  if (fields.status !== undefined && fields.completedAt === undefined && fields.status !== previous.status)
+    fields.completedAt = fields.status === 'done' ? new Date() : null;
+
+  return fields;
+}
+
+/* ============================================================
+   📆 iCalendar (.ics) helpers
+============================================================ */
+const ICS_PRODID = '-//Smart AI Activity Planner//EN';
+const ICS_UID_DOMAIN = 'smart-ai-planner';
+const ICS_EMOTION_PROP = 'X-SMART-PLANNER-EMOTION';
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const icsEscape = (str) =>
+  String(str).replace(/([\\;,])/g, '\\$1').replace(/\r?\n/g, '\\n');
+const icsUnescape = (str) =>
+  str.replace(/\\([\\;,nN])/g, (m, c) => (c === 'n' || c === 'N' ? '\n' : c));
+
+/** 2026-10-19T09:00:00.000Z -> 20261019T090000Z */
+const icsDate = (d) => new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+// all-day events use the calendar date on the user's clock: 20261019
+const icsDay = (d, tz) => dayKey(d, tz).replace(/-/g, '');
+
+/** Lines longer than 75 octets are folded with CRLF + space (RFC 5545 §3.1). */
+function icsFold(line) {
+  const out = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    out.push(rest.slice(0, cut));
+    rest = ' ' + rest.slice(cut);
+  }
+  out.push(rest);
+  return out.join('\r\n');
+}
+
+const taskUid = (t) => t.icalUid || `${t._id}@${ICS_UID_DOMAIN}`;
+
+function icsRRule(rule) {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byWeekday && rule.byWeekday.length)
+    parts.push(`BYDAY=${rule.byWeekday.map((d) => ICS_DAYS[d]).join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${icsDate(rule.until)}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+}
+
+function icsEvent(t, extra = [], tz = SERVER_TIME_ZONE) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${taskUid(t)}`,
+    `DTSTAMP:${icsDate(new Date())}`,
+    ...extra,
+    ...(t.allDay
+      ? [`DTSTART;VALUE=DATE:${icsDay(t.start, tz)}`, `DTEND;VALUE=DATE:${icsDay(t.end, tz)}`]
+      : [`DTSTART:${icsDate(t.start)}`, `DTEND:${icsDate(t.end)}`]),
+    `SUMMARY:${icsEscape(t.title)}`,
+  ];
+  if (t.notes) lines.push(`DESCRIPTION:${icsEscape(t.notes)}`);
+  if (t.emotion) {
+    lines.push(`CATEGORIES:${icsEscape(t.emotion)}`);
+    lines.push(`${ICS_EMOTION_PROP}:${icsEscape(t.emotion)}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Serialize tasks (recurring ones as RRULE + EXDATE + RECURRENCE-ID overrides).
+ * All-day dates are the days the tasks fall on in `tz`.
+ */
+function tasksToIcs(tasks, tz = SERVER_TIME_ZONE) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODID}`, 'CALSCALE:GREGORIAN'];
+  for (const t of tasks) {
+    if (!t.recurrence || !t.recurrence.freq) {
+      lines.push(...icsEvent(t, [], tz));
+      continue;
+    }
+    const extra = [`RRULE:${icsRRule(t.recurrence)}`];
+    const occurrenceProp = (name, dates) =>
+      t.allDay
+        ? `${name};VALUE=DATE:${dates.map((d) => icsDay(d, tz)).join(',')}`
+        : `${name}:${dates.map(icsDate).join(',')}`;
+    if (t.exDates && t.exDates.length) extra.push(occurrenceProp('EXDATE', t.exDates));
+    lines.push(...icsEvent(t, extra, tz));
+
+    const duration = new Date(t.end) - new Date(t.start);
+    for (const o of t.overrides || []) {
+      const start = o.start || o.occurrenceStart;
+      lines.push(
+        ...icsEvent(
+          {
+            ...t,
+            title: o.title ?? t.title,
+            notes: o.notes ?? t.notes,
+            emotion: o.emotion ?? t.emotion,
+            start,
+            end: o.end || new Date(new Date(start).getTime() + duration),
+          },
+          [occurrenceProp('RECURRENCE-ID', [o.occurrenceStart])],
+          tz
+        )
+      );
+    }
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse an iCalendar date value. UTC (`...Z`) is exact; TZID times are read in
+ * that zone when we know it, floating times in `tz`; `VALUE=DATE` values are
+ * all-day, starting at midnight in `tz`.
+ */
+function parseIcsDate(value, params = {}, tz = SERVER_TIME_ZONE) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, sec, z] = m;
+  if (h === undefined || params.VALUE === 'DATE') {
+    return { date: zonedDate(tz, +y, +mo - 1, +d), allDay: true };
+  }
+  const zone = isTimeZone(params.TZID) ? params.TZID : tz;
+  const date = z
+    ? new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +(sec || 0)))
+    : zonedDate(zone, +y, +mo - 1, +d, +h, +mi, +(sec || 0));
+  return { date, allDay: false };
+}
+
+/** PT1H30M / P1D -> milliseconds */
+function parseIcsDuration(value) {
+  const m = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const [, sign, w, d, h, mi, sec] = m;
+  const ms = ((+w || 0) * 7 * 24 * 3600 + (+d || 0) * 24 * 3600 + (+h || 0) * 3600 + (+mi || 0) * 60 + (+sec || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/** RRULE value -> our recurrence rule (dates in `tz`), or null when it uses something we can't represent. */
+function parseIcsRRule(value, tz = SERVER_TIME_ZONE) {
+  const parts = Object.fromEntries(
+    value.split(';').map((p) => {
+      const [k, v] = p.split('=');
+      return [k.toUpperCase(), v];
+    })
+  );
+  const freq = (parts.FREQ || '').toLowerCase();
+  if (!RECURRENCE_FREQS.includes(freq)) return null;
+  const rule = { freq, interval: parseInt(parts.INTERVAL, 10) || 1, byWeekday: [] };
+  if (parts.BYDAY) {
+    // "1MO" style (nth weekday of month) has no equivalent; keep just the day
+    rule.byWeekday = parts.BYDAY.split(',')
+      .map((d) => ICS_DAYS.indexOf(d.replace(/^[+-]?\d+/, '').toUpperCase()))
+      .filter((d) => d !== -1);
+  }
+  if (parts.UNTIL) {
+    const until = parseIcsDate(parts.UNTIL, {}, tz);
+    if (until) rule.until = until.allDay ? endOfLocalDay(until.date, tz) : until.date;
+  }
+  if (parts.COUNT) rule.count = parseInt(parts.COUNT, 10) || undefined;
+  return rule;
+}
+
+/** Read the VEVENTs out of an .ics file into plain objects; floating and all-day dates are read in `tz`. */
+function parseIcs(text, tz = SERVER_TIME_ZONE) {
+  // unfold continuation lines, then split into "NAME;PARAMS:VALUE"
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = { props: {}, exDates: [] };
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) events.push(current);
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    const [name, ...rawParams] = line.slice(0, colon).split(';');
+    const value = line.slice(colon + 1);
+    const params = Object.fromEntries(
+      rawParams.map((p) => {
+        const [k, v] = p.split('=');
+        return [k.toUpperCase(), v];
+      })
+    );
+    const key = name.toUpperCase();
+    if (key === 'EXDATE') {
+      value.split(',').forEach((v) => {
+        const d = parseIcsDate(v, params, tz);
+        if (d) current.exDates.push(d.date);
+      });
+    } else {
+      current.props[key] = { value, params };
+    }
+  }
+
+  return events.map(({ props, exDates }) => {
+    const get = (k) => (props[k] ? props[k].value : undefined);
+    const start = props.DTSTART ? parseIcsDate(get('DTSTART'), props.DTSTART.params, tz) : null;
+    let end = props.DTEND ? parseIcsDate(get('DTEND'), props.DTEND.params, tz) : null;
+    if (!end && start && props.DURATION) {
+      const ms = parseIcsDuration(get('DURATION'));
+      if (ms !== null) end = { date: new Date(start.date.getTime() + ms), allDay: start.allDay };
+    }
+    if (!end && start) {
+      // RFC 5545: no end means one day for all-day events, zero length otherwise
+      end = { date: start.allDay ? addLocalDays(start.date, 1, tz) : new Date(start.date), allDay: start.allDay };
+    }
+    const recurrenceId = props['RECURRENCE-ID']
+      ? parseIcsDate(get('RECURRENCE-ID'), props['RECURRENCE-ID'].params, tz)
+      : null;
+    return {
+      uid: get('UID'),
+      title: get('SUMMARY') ? icsUnescape(get('SUMMARY')) : undefined,
+      notes: get('DESCRIPTION') ? icsUnescape(get('DESCRIPTION')) : undefined,
+      emotion: get(ICS_EMOTION_PROP)
+        ? icsUnescape(get(ICS_EMOTION_PROP))
+        : get('CATEGORIES')
+        ? icsUnescape(get('CATEGORIES').split(',')[0])
+        : undefined,
+      start: start && start.date,
+      end: end && end.date,
+      allDay: Boolean(start && start.allDay),
+      rrule: get('RRULE'),
+      recurrenceId: recurrenceId && recurrenceId.date,
+      exDates,
+    };
+  });
+}
+
+/* ============================================================
+   ⏱️ Conflict helpers
+============================================================ */
+const RESCHEDULE_MODES = ['none', 'suggestions', 'all'];
+
+const overlaps = (a, b) => new Date(a.start) < new Date(b.end) && new Date(a.end) > new Date(b.start);
+
+/** Every task (one-off or recurring occurrence, expanded in `tz`) overlapping [from, to). */
+async function tasksOverlapping(owner, from, to, tz = SERVER_TIME_ZONE) {
+  const [singles, series] = await Promise.all([
+    Task.find({ owner, recurrence: null, start: { $lt: to }, end: { $gt: from } }),
+    Task.find({
+      owner,
+      'recurrence.freq': { $exists: true },
+      start: { $lt: to },
+      $or: [{ 'recurrence.until': null }, { 'recurrence.until': { $gte: from } }],
+    }),
+  ]);
+  return [
+    ...singles.map((t) => t.toObject()),
+    ...series.flatMap((t) => expandTask(t, from, to, tz)),
+  ];
+}
+
+/** The short form of a task used in `conflicts` payloads. */
+const conflictSummary = (t) => ({
+  _id: t._id,
+  seriesId: t.seriesId,
+  title: t.title,
+  start: t.start,
+  end: t.end,
+});
+
+/** Existing tasks that overlap `task`, ignoring the task itself (and its own series). */
+async function findConflicts(owner, task, tz = SERVER_TIME_ZONE) {
+  const start = new Date(task.start);
+  const end = new Date(task.end);
+  const self = task._id ? String(task._id) : null;
+  const existing = await tasksOverlapping(owner, start, end, tz);
+  return existing
+    .filter((t) => !self || (String(t._id) !== self && String(t.seriesId) !== self))
+    .filter((t) => overlaps(t, { start, end }))
+    .map(conflictSummary);
+}
+
+/**
+ * Nearest start for a block of `duration` ms to `desired` that overlaps none of
+ * `busy` and stays inside [dayStart, dayEnd]. Returns null when the day is full.
+ */
+function nearestFreeSlot(busy, desired, duration, dayStart, dayEnd) {
+  // a free gap always begins at a busy end or the day's start, or finishes at
+  // a busy start or the day's end
+  const candidates = [
+    desired.getTime(),
+    dayStart.getTime(),
+    dayEnd.getTime() - duration,
+    ...busy.map((b) => new Date(b.end).getTime()),
+    ...busy.map((b) => new Date(b.start).getTime() - duration),
+  ].filter((c) => c >= dayStart.getTime() && c + duration <= dayEnd.getTime() + 1);
+
+  let best = null;
+  for (const c of candidates) {
+    const slot = { start: new Date(c), end: new Date(c + duration) };
+    if (busy.some((b) => overlaps(b, slot))) continue;
+    if (best === null || Math.abs(c - desired) < Math.abs(best - desired)) best = c;
+  }
+  return best === null ? null : new Date(best);
+}
+
+/** Sort key shared by the Mongo query and the merged, expanded list. */
+function compareByStart(a, b) {
+  const d = new Date(a.start) - new Date(b.start);
+  if (d) return d;
+  return String(a._id) < String(b._id) ? -1 : String(a._id) > String(b._id) ? 1 : 0;
+}
+
+/**
+ * GET /api/tasks
+ *   ?from&to      only tasks overlapping the window; recurring series are expanded
+ *                 inside it (default for series: -30 / +90 days from now)
+ *   ?emotion      comma-separated list, case-insensitive
+ *   ?status ?priority ?category ?source ?tags
+ *                 comma-separated lists too; `tags` matches tasks with any of them
+ *   ?title        case-insensitive substring
+ *   ?limit&cursor page through results ordered by start; with `limit` the
+ *                 response is `{ items, nextCursor }`, otherwise a plain array
+ */
 app.get('/api/tasks', async (req, res) => {
   try {
-    const tasks = await Task.find().sort({ start: 1 });
-    res.json(tasks);
+    const { from, to, limit, cursor } = parseRangeQuery(req.query);
+    const seriesFrom = from || new Date(Date.now() - 30 * DAY_MS);
+    const seriesTo = to || new Date(Date.now() + 90 * DAY_MS);
+
+    const base = { owner: req.userId };
+    const emotions = parseListFilter(req.query.emotion);
+    if (emotions) base.emotion = { $in: emotions };
+    const titleRx = req.query.title ? new RegExp(escapeRegex(String(req.query.title)), 'i') : null;
+    if (titleRx) base.title = titleRx;
+    // single occurrences can override these, so series are filtered after expanding
+    const fieldFilters = {};
+    ['status', 'priority', 'category', 'source', 'tags'].forEach((k) => {
+      const list = parseListFilter(req.query[k]);
+      if (list) fieldFilters[k] = list;
+    });
+    const matchesFields = (t) =>
+      Object.entries(fieldFilters).every(([k, list]) =>
+        [].concat(t[k] ?? []).some((v) => list.some((rx) => rx.test(v)))
+      );
+
+    // one-off tasks: range + cursor pushed down to Mongo
+    const single = { ...base, recurrence: null };
+    Object.entries(fieldFilters).forEach(([k, list]) => {
+      single[k] = { $in: list };
+    });
+    if (from) single.end = { $gt: from };
+    // backlog tasks have no start and are listed by GET /api/tasks/backlog
+    single.start = to ? { $lt: to } : { $ne: null };
+    if (cursor) {
+      single.$and = [
+        mongoose.isValidObjectId(cursor.id)
+          ? {
+              $or: [
+                { start: { $gt: cursor.date } },
+                { start: cursor.date, _id: { $gt: cursor.id } },
+              ],
+            }
+          : { start: { $gte: cursor.date } },
+      ];
+    }
+    let singleFind = Task.find(single).sort({ start: 1, _id: 1 });
+    if (limit) singleFind = singleFind.limit(limit + 1);
+
+    // recurring series that may have occurrences in the window
+    const seriesQuery = {
+      ...base,
+      'recurrence.freq': { $exists: true },
+      start: { $lt: seriesTo },
+      $or: [{ 'recurrence.until': null }, { 'recurrence.until': { $gte: seriesFrom } }],
+    };
+
+    const [singles, series] = await Promise.all([singleFind, Task.find(seriesQuery)]);
+    let tasks = [
+      ...singles.map((t) => t.toObject()),
+      ...series
+        .flatMap((t) => expandTask(t, seriesFrom, seriesTo, req.timeZone))
+        // overrides can retitle a single occurrence
+        .filter((o) => (!titleRx || titleRx.test(o.title)) && matchesFields(o)),
+    ].sort(compareByStart);
+
+    if (cursor) {
+      tasks = tasks.filter((t) => compareByStart(t, { start: cursor.date, _id: cursor.id }) > 0);
+    }
+    if (!limit) return res.json(tasks);
+
+    const items = tasks.slice(0, limit);
+    const last = items[items.length - 1];
+    const nextCursor = tasks.length > limit ? encodeCursor(last.start, last._id) : null;
+    res.json({ items, nextCursor });
   } catch (e) {
-    console.error('GET /api/tasks:', e.message);
-    res.status(500).json({ error: 'Error fetching tasks' });
+    sendError(res, e, 'GET /api/tasks', 'Error fetching tasks');
   }
 });
 
 app.post('/api/tasks', async (req, res) => {
   try {
-    const { title, start, end, emotion, notes } = req.body;
-    if (!title || !start || !end)
-      return res.status(400).json({ error: 'title, start, end required' });
-    const t = new Task({ title, start, end, emotion, notes });
+    const { source } = validate(req.body, {
+      title: is.string({ max: 200 }),
+      start: is.date(),
+      end: is.date(),
+      source: is.oneOf(TASK_SOURCES, { optional: true }),
+    });
+    const recurrence = parseRecurrence(req.body.recurrence);
+    const fields = parseTaskFields(req.body);
+    const t = new Task({ ...fields, owner: req.userId, source, recurrence });
     await t.save();
-    res.json(t);
+    publishTaskChange(req.userId, 'created', { tasks: [t] });
+    const conflicts = recurrence ? [] : await findConflicts(req.userId, t, req.timeZone);
+    res.json({ ...t.toObject(), conflicts });
   } catch (e) {
-    console.error('POST /api/tasks:', e.message);
-    res.status(500).json({ error: 'Error creating task' });
+    sendError(res, e, 'POST /api/tasks', 'Error creating task');
   }
 });
 
+// `scope` / `occurrenceStart` pick part of a series (body on PUT, query on DELETE)
+const OCCURRENCE_PARAM_RULES = {
+  scope: is.oneOf(OCCURRENCE_SCOPES, { optional: true }),
+  occurrenceStart: is.date({ optional: true }),
+  version: is.int({ min: 0, optional: true }),
+};
+
+function checkOccurrenceScope(series, occurrenceStart) {
+  if (!occurrenceStart) throw invalid('occurrenceStart', 'is required with scope');
+  if (!series.recurrence) throw invalid('scope', 'only applies to recurring tasks');
+}
+
+/** 409 for an edit based on an out-of-date copy; carries the current task so the client can reload it. */
+const staleTask = (task) =>
+  conflict('Task was changed elsewhere, reload and try again', { task }, 'VERSION_CONFLICT');
+
+/**
+ * Moving a task into or out of the backlog. Unscheduling remembers how long
+ * the task ran; a backlog task given only a start runs for that long. Series
+ * always keep their times.
+ */
+function backlogUpdate(current, update, scope) {
+  if (update.start === null) {
+    if (scope || current.recurrence || update.recurrence) throw invalid('start', "a repeating task can't be unscheduled");
+    if (current.start && update.durationMinutes === undefined) {
+      const minutes = Math.round((current.end - current.start) / 60000);
+      update.durationMinutes = Math.min(Math.max(minutes, 5), DAY_MINUTES);
+    }
+    return;
+  }
+  if (!update.start) {
+    if (update.end || update.recurrence) throw invalid('start', 'is required to schedule a task');
+    return;
+  }
+  if (!update.end) {
+    const minutes = update.durationMinutes || current.durationMinutes || BACKLOG_DEFAULT_MINUTES;
+    update.end = new Date(update.start.getTime() + minutes * 60000);
+  }
+}
+
 app.put('/api/tasks/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const update = {};
-    ['title', 'start', 'end', 'emotion', 'notes'].forEach((k) => {
-      if (req.body[k] !== undefined) update[k] = req.body[k];
-    });
-    const t = await Task.findByIdAndUpdate(id, update, { new: true });
-    if (!t) return res.status(404).json({ error: 'Task not found' });
-    res.json(t);
+    const { scope, occurrenceStart: occ, version } = validate(req.body, OCCURRENCE_PARAM_RULES);
+    const current = await Task.findOne({ _id: id, owner: req.userId });
+    if (!current) throw notFound('Task not found');
+    // the client edited an older copy: let it reload instead of overwriting someone else's change
+    if (version !== undefined && version !== current.version) throw staleTask(current);
+    // an occurrence's own times aren't the series' times, so only compare what was sent
+    const previous = scope ? { status: current.status } : current;
+    const update = parseTaskFields(req.body, previous);
+    if (req.body.recurrence !== undefined) update.recurrence = parseRecurrence(req.body.recurrence);
+    if (update.start === null || !current.start) backlogUpdate(current, update, scope);
+
+    // editing part of a recurring series
+    if (scope) {
+      checkOccurrenceScope(current, occ);
+      const series = current;
+      const before = series.toObject();
+      const saved = await updateOccurrences(series, occ, scope, update, req.timeZone);
+      const created = saved._id.equals(series._id) ? [] : [saved._id];
+      const batchId = await recordUpdate(req.userId, [before], created);
+      publishTaskChange(req.userId, 'updated', { tasks: created.length ? [series, saved] : [saved] });
+      return res.json({ ...saved.toObject(), batchId });
+    }
+
+    // only apply on top of the version we just read (tasks from before `version` have none)
+    const t = await Task.findOneAndUpdate(
+      { _id: id, owner: req.userId, version: current.version || { $in: [0, null] } },
+      { ...update, $inc: { version: 1 } },
+      { new: true, runValidators: true }
+    );
+    if (!t) {
+      const latest = await Task.findOne({ _id: id, owner: req.userId });
+      throw latest ? staleTask(latest) : notFound('Task not found');
+    }
+    const batchId = await recordUpdate(req.userId, [current]);
+    publishTaskChange(req.userId, 'updated', { tasks: [t] });
+    const conflicts = t.recurrence || !t.start ? [] : await findConflicts(req.userId, t, req.timeZone);
+    res.json({ ...t.toObject(), batchId, conflicts });
   } catch (e) {
-    console.error('PUT /api/tasks/:id', e.message);
-    res.status(500).json({ error: 'Error updating task' });
+    sendError(res, e, 'PUT /api/tasks/:id', 'Error updating task');
   }
 });
 
 app.delete('/api/tasks/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    await Task.findByIdAndDelete(id);
-    res.json({ ok: true });
+    const { scope, occurrenceStart: occ } = validate(req.query, OCCURRENCE_PARAM_RULES);
+
+    if (scope && scope !== 'all') {
+      const series = await Task.findOne({ _id: id, owner: req.userId });
+      if (!series) throw notFound('Task not found');
+      checkOccurrenceScope(series, occ);
+
+      // trimming a series is an edit of the series, not a delete
+      const before = series.toObject();
+      if (scope === 'this') {
+        series.exDates.push(occ);
+        series.overrides = series.overrides.filter(
+          (o) => o.occurrenceStart.getTime() !== occ.getTime()
+        );
+        await series.save();
+        publishTaskChange(req.userId, 'updated', { tasks: [series] });
+        return res.json({ ok: true, batchId: await recordUpdate(req.userId, [before]) });
+      }
+      if (occ > series.start) {
+        series.recurrence.until = new Date(occ.getTime() - 1);
+        series.exDates = series.exDates.filter((d) => d < occ);
+        series.overrides = series.overrides.filter((o) => o.occurrenceStart < occ);
+        await series.save();
+        publishTaskChange(req.userId, 'updated', { tasks: [series] });
+        return res.json({ ok: true, batchId: await recordUpdate(req.userId, [before]) });
+      }
+      // "this and following" from the first occurrence removes the whole series
+    }
+
+    const t = await Task.findOne({ _id: id, owner: req.userId });
+    if (!t) throw notFound('Task not found');
+    const batchId = await trashTasks(req.userId, [t]);
+    publishTaskChange(req.userId, 'deleted', { ids: [t._id] });
+    res.json({ ok: true, batchId });
   } catch (e) {
-    res.status(500).json({ error: 'Error deleting task' });
+    sendError(res, e, 'DELETE /api/tasks/:id', 'Error deleting task');
+  }
+});
+
+/* ============================================================
+   📥 Backlog: tasks without a time yet
+   They're ordinary tasks with a null start and end. PUT /api/tasks/:id with
+   a start schedules one; `{ start: null, end: null }` sends a task back.
+============================================================ */
+app.get('/api/tasks/backlog', async (req, res) => {
+  try {
+    const tasks = await Task.find({ owner: req.userId, start: null }).sort({ createdAt: 1, _id: 1 });
+    res.json(tasks);
+  } catch (e) {
+    sendError(res, e, 'GET /api/tasks/backlog', 'Error fetching the backlog');
+  }
+});
+
+/** POST /api/tasks/backlog  { title, durationMinutes?, deadline?, effort?, notes?, priority?, category?, ... } */
+app.post('/api/tasks/backlog', async (req, res) => {
+  try {
+    validate(req.body, { title: is.string({ max: 200 }) });
+    const { start, end, ...fields } = parseTaskFields(req.body);
+    if (start || end) throw invalid(start ? 'start' : 'end', 'must be empty for a backlog task');
+    const t = await Task.create({
+      durationMinutes: BACKLOG_DEFAULT_MINUTES,
+      ...fields,
+      owner: req.userId,
+      start: null,
+      end: null,
+    });
+    publishTaskChange(req.userId, 'created', { tasks: [t] });
+    res.status(201).json(t);
+  } catch (e) {
+    sendError(res, e, 'POST /api/tasks/backlog', 'Error saving the task');
+  }
+});
+
+/* ============================================================
+   📆 iCalendar export / import
+============================================================ */
+/**
+ * Mongo filter for an export of `owner`'s tasks between `from` and `to`
+ * (either may be missing): one-off tasks overlapping the range, and whole
+ * series with an occurrence that may fall in it.
+ */
+function exportedTasksFilter(owner, from, to) {
+  const q = { owner };
+  if (!from && !to) return q;
+  const single = { recurrence: null };
+  const series = { 'recurrence.freq': { $exists: true } };
+  if (from) {
+    single.end = { $gt: from };
+    series.$or = [{ 'recurrence.until': null }, { 'recurrence.until': { $gte: from } }];
+  }
+  if (to) {
+    single.start = { $lt: to };
+    series.start = { $lt: to };
+  }
+  q.$or = [single, series];
+  return q;
+}
+
+/** GET /api/tasks/export.ics?from&to  (range optional; recurring series are exported whole) */
+app.get('/api/tasks/export.ics', async (req, res) => {
+  try {
+    const { from, to } = parseRangeQuery(req.query);
+    // backlog tasks have no time to put in a calendar
+    const tasks = await Task.find({ ...exportedTasksFilter(req.userId, from, to), start: { $ne: null } }).sort({ start: 1 });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="planner.ics"');
+    res.send(tasksToIcs(tasks, req.timeZone));
+  } catch (e) {
+    sendError(res, e, 'GET /api/tasks/export.ics', 'Error exporting tasks');
+  }
+});
+
+/**
+ * POST /api/tasks/import  body: the .ics file (Content-Type: text/calendar) or `{ ics }`.
+ * Events whose UID is already in the calendar are skipped.
+ */
+app.post(
+  '/api/tasks/import',
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    try {
+      const text = typeof req.body === 'string' ? req.body : req.body && req.body.ics;
+      if (typeof text !== 'string' || !text.includes('BEGIN:VCALENDAR'))
+        throw invalid('ics', 'must be an iCalendar (.ics) file');
+
+      const events = parseIcs(text, req.timeZone);
+      const masters = events.filter((e) => !e.recurrenceId);
+      const exceptions = events.filter((e) => e.recurrenceId);
+
+      // UIDs we already have: imported ones, and our own exports (<id>@smart-ai-planner)
+      const uids = masters.map((e) => e.uid).filter(Boolean);
+      const ownIds = uids
+        .filter((u) => u.endsWith(`@${ICS_UID_DOMAIN}`))
+        .map((u) => u.split('@')[0])
+        .filter((id) => mongoose.isValidObjectId(id));
+      const existing = await Task.find({
+        owner: req.userId,
+        $or: [{ icalUid: { $in: uids } }, { _id: { $in: ownIds } }],
+      });
+      const known = new Set(existing.map(taskUid));
+
+      const docs = [];
+      const skipped = [];
+      const errors = [];
+      const seen = new Set();
+      for (const ev of masters) {
+        if (ev.uid && (known.has(ev.uid) || seen.has(ev.uid))) {
+          skipped.push({ uid: ev.uid, title: ev.title, reason: 'duplicate' });
+          continue;
+        }
+        if (!ev.start || !ev.end || isNaN(ev.start) || isNaN(ev.end)) {
+          errors.push({ uid: ev.uid, title: ev.title, error: 'missing or invalid DTSTART/DTEND' });
+          continue;
+        }
+        if (ev.uid) seen.add(ev.uid);
+
+        const recurrence = ev.rrule ? parseIcsRRule(ev.rrule, req.timeZone) : null;
+        if (ev.rrule && !recurrence) {
+          errors.push({ uid: ev.uid, title: ev.title, error: 'unsupported RRULE, imported first occurrence only' });
+        }
+        const overrides = exceptions
+          .filter((x) => x.uid === ev.uid && recurrence)
+          .map((x) => ({
+            occurrenceStart: x.recurrenceId,
+            title: x.title,
+            notes: x.notes,
+            emotion: x.emotion,
+            start: x.start,
+            end: x.end,
+          }));
+
+        docs.push({
+          owner: req.userId,
+          title: ev.title || 'Untitled',
+          notes: ev.notes,
+          emotion: ev.emotion,
+          start: ev.start,
+          end: ev.end > ev.start ? ev.end : new Date(ev.start.getTime() + 30 * 60 * 1000),
+          allDay: ev.allDay,
+          recurrence,
+          exDates: recurrence ? ev.exDates : [],
+          overrides,
+          icalUid: ev.uid,
+        });
+      }
+
+      const created = docs.length ? await Task.insertMany(docs) : [];
+      if (created.length) publishTaskChange(req.userId, 'created', { tasks: created });
+      const batchId = created.length
+        ? (
+            await TaskOperation.create({
+              owner: req.userId,
+              kind: 'create',
+              createdIds: created.map((t) => t._id),
+            })
+          )._id
+        : null;
+
+      res.json({
+        message: `📥 Imported ${created.length} task(s), skipped ${skipped.length} duplicate(s).`,
+        created: created.length,
+        skipped,
+        errors,
+        batchId,
+      });
+    } catch (e) {
+      sendError(res, e, 'POST /api/tasks/import', 'Error importing calendar');
+    }
+  }
+);
+
+/* ============================================================
+   💾 Backup: export / import (JSON and CSV)
+   JSON is the full backup: tasks and the journal in one file. CSV holds one
+   collection at a time, for spreadsheets; lists and objects are JSON cells.
+   Both formats can be imported again.
+============================================================ */
+const BACKUP_VERSION = 1;
+const BACKUP_COLLECTIONS = ['tasks', 'schedules'];
+const IMPORT_MODES = ['merge', 'replace'];
+const IMPORT_MAX_BYTES = '20mb';
+const IMPORT_MAX_RECORDS = 10000;
+// the import report lists at most this many duplicates (the counts are always complete)
+const IMPORT_MAX_REPORTED = 200;
+
+// exported fields, in CSV column order
+const TASK_BACKUP_FIELDS = [
+  '_id', 'title', 'start', 'end', 'allDay', 'status', 'completedAt', 'priority', 'category', 'tags',
+  'emotion', 'notes', 'source', 'reminders', 'recurrence', 'exDates', 'overrides', 'icalUid', 'createdAt',
+  'durationMinutes', 'deadline', 'effort',
+];
+const SCHEDULE_BACKUP_FIELDS = [
+  '_id', 'kind', 'text', 'sentiment', 'detectedEmotion', 'score', 'selfReportedEmotion', 'intensity',
+  'tasks', 'createdAt', 'updatedAt',
+];
+
+/** Documents as plain JSON (ids and dates as strings) with only `fields`. */
+const backupRecords = (docs, fields) =>
+  JSON.parse(JSON.stringify(docs)).map((d) => Object.fromEntries(fields.map((f) => [f, d[f]])));
+
+/**
+ * GET /api/export?format=json|csv&data=all|tasks|schedules&from&to
+ * Tasks in the range (series whole) and journal entries written in it.
+ * CSV needs `data` to be tasks or schedules.
+ */
+app.get('/api/export', async (req, res) => {
+  try {
+    const { from, to } = parseRangeQuery(req.query);
+    const { format = 'json', data = 'all' } = validate(req.query, {
+      format: is.oneOf(['json', 'csv'], { optional: true }),
+      data: is.oneOf(['all', ...BACKUP_COLLECTIONS], { optional: true }),
+    });
+    if (format === 'csv' && data === 'all') throw invalid('data', 'CSV holds one collection: tasks or schedules');
+
+    const written = {};
+    if (from) written.$gte = from;
+    if (to) written.$lt = to;
+    const [tasks, schedules] = await Promise.all([
+      data === 'schedules' ? null : Task.find(exportedTasksFilter(req.userId, from, to)).sort({ start: 1 }),
+      data === 'tasks'
+        ? null
+        : Schedule.find({ owner: req.userId, ...(from || to ? { createdAt: written } : {}) }).sort({ createdAt: 1 }),
+    ]);
+
+    const today = wallClock(currentTime(), req.timeZone).toISOString().slice(0, 10);
+    const name = `planner-${data === 'all' ? 'backup' : data}-${today}`;
+    if (format === 'csv') {
+      const csv = tasks
+        ? toCsv(backupRecords(tasks, TASK_BACKUP_FIELDS), TASK_BACKUP_FIELDS)
+        : toCsv(backupRecords(schedules, SCHEDULE_BACKUP_FIELDS), SCHEDULE_BACKUP_FIELDS);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${name}.csv"`);
+      return res.send(csv);
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${name}.json"`);
+    res.json({
+      version: BACKUP_VERSION,
+      exportedAt: currentTime(),
+      range: { from: from || null, to: to || null },
+      ...(tasks && { tasks: backupRecords(tasks, TASK_BACKUP_FIELDS) }),
+      ...(schedules && { schedules: backupRecords(schedules, SCHEDULE_BACKUP_FIELDS) }),
+    });
+  } catch (e) {
+    sendError(res, e, 'GET /api/export', 'Error exporting data');
+  }
+});
+
+const OVERRIDE_BACKUP_RULES = {
+  occurrenceStart: is.date(),
+  title: is.string({ max: 200, optional: true }),
+  start: is.date({ optional: true }),
+  end: is.date({ optional: true }),
+  allDay: is.bool({ optional: true }),
+  emotion: is.string({ max: 50, optional: true }),
+  notes: is.string({ max: 5000, trim: false, optional: true }),
+  status: is.oneOf(TASK_STATUSES, { optional: true }),
+  completedAt: is.date({ optional: true }),
+  priority: is.oneOf(TASK_PRIORITIES, { optional: true }),
+  category: is.string({ max: 50, optional: true }),
+  tags: is.stringList({ optional: true }),
+};
+
+const TASK_BACKUP_RULES = {
+  ...TASK_FIELD_RULES,
+  _id: is.objectId({ optional: true }),
+  title: is.string({ max: 200 }),
+  // both empty for a backlog task
+  start: is.date({ optional: true }),
+  end: is.date({ optional: true }),
+  source: is.oneOf(TASK_SOURCES, { optional: true }),
+  exDates: is.array(is.date(), { max: MAX_OCCURRENCES, optional: true }),
+  overrides: is.array(is.object(OVERRIDE_BACKUP_RULES), { max: MAX_OCCURRENCES, optional: true }),
+  icalUid: is.string({ max: 500, optional: true }),
+  createdAt: is.date({ optional: true }),
+};
+
+const SCHEDULE_BACKUP_RULES = {
+  _id: is.objectId({ optional: true }),
+  kind: is.oneOf(SCHEDULE_KINDS, { optional: true }),
+  text: is.string({ max: 5000, optional: true }),
+  sentiment: is.string({ max: 50, optional: true }),
+  detectedEmotion: is.string({ max: 50, optional: true }),
+  score: is.number({ optional: true }),
+  selfReportedEmotion: is.string({ max: 50, optional: true }),
+  intensity: is.int({ min: 1, max: MAX_INTENSITY, optional: true }),
+  tasks: is.array(is.objectId(), { optional: true }),
+  createdAt: is.date({ optional: true }),
+  updatedAt: is.date({ optional: true }),
+};
+
+/** One task from a backup file, checked and ready to insert (`path` prefixes error paths). */
+function importedTask(record, path) {
+  const p = `${path}.`;
+  const [fields, recurrence] = collect([
+    () => validate(record, TASK_BACKUP_RULES, p),
+    () => parseRecurrence(record.recurrence, p),
+  ]);
+  if (!fields.start !== !fields.end) throw invalid(`${p}${fields.start ? 'end' : 'start'}`, 'is required');
+  if (!fields.start && recurrence) throw invalid(`${p}start`, 'is required to repeat a task');
+  if (fields.end <= fields.start) throw invalid(`${p}end`, 'must be after start');
+  Object.keys(fields).forEach((k) => fields[k] === null && delete fields[k]);
+  if (fields.reminders) fields.reminders = fields.reminders.map((m) => ({ minutesBefore: m }));
+  return { ...fields, recurrence };
+}
+
+/** One journal entry from a backup file, checked and ready to insert. */
+function importedSchedule(record, path) {
+  const entry = validate(record, SCHEDULE_BACKUP_RULES, `${path}.`);
+  checkEntryContent(entry, `${path}.`);
+  return entry;
+}
+
+/** Every record of `list` (the file's `key` collection) through `check`, all errors reported together. */
+function importedRecords(list, key, check) {
+  if (list === undefined) return undefined;
+  if (!Array.isArray(list)) throw invalid(key, 'must be a list');
+  if (list.length > IMPORT_MAX_RECORDS) throw invalid(key, `must have at most ${IMPORT_MAX_RECORDS} items`);
+  return collect(list.map((r, i) => () => check(r, `${key}[${i}]`)));
+}
+
+const taskKey = (t) => `${t.title}|${t.start ? new Date(t.start).getTime() : ''}|${t.end ? new Date(t.end).getTime() : ''}`;
+const scheduleKey = (s) => s.createdAt && `${new Date(s.createdAt).getTime()}|${s.text || ''}|${s.selfReportedEmotion || ''}`;
+
+/**
+ * Split `records` into the ones to insert and the duplicates: the same id or
+ * the same content (`keyOf`) as a record already saved (`existing`, empty on
+ * replace) or earlier in the file. `ids` maps file ids to the id each record
+ * ends up with, so journal entries can keep their task links. Ids another
+ * user already has are swapped for fresh ones.
+ */
+function sortOutDuplicates(records, existing, takenIds, keyOf, ids) {
+  const byId = new Map(existing.map((d) => [String(d._id), d]));
+  const byKey = new Map(existing.map((d) => [keyOf(d), d]));
+  const fresh = [];
+  const duplicates = [];
+  records.forEach((r, index) => {
+    const key = keyOf(r);
+    const same = (r._id && byId.get(r._id)) || (key && byKey.get(key));
+    if (same) {
+      if (r._id) ids.set(r._id, same._id);
+      duplicates.push({ index, id: String(same._id), reason: same.imported ? 'repeated in the file' : 'already saved' });
+      return;
+    }
+    const _id = r._id && !takenIds.has(r._id) ? r._id : new mongoose.Types.ObjectId();
+    if (r._id) ids.set(r._id, _id);
+    const doc = { ...r, _id };
+    fresh.push(doc);
+    const seen = { _id, imported: true };
+    byId.set(String(_id), seen);
+    if (r._id) byId.set(r._id, seen);
+    if (key) byKey.set(key, seen);
+  });
+  return { fresh, duplicates };
+}
+
+/**
+ * Put `owner`'s data back the way it was when an import fails halfway: remove
+ * what it inserted, then bring back the tasks and journal it replaced.
+ */
+async function undoFailedImport(owner, { replacedBatchId, replacedSchedules, inserting, taskDocs, scheduleDocs }) {
+  if (inserting) {
+    await Task.deleteMany({ owner, _id: { $in: taskDocs.map((d) => d._id) } });
+    await Schedule.deleteMany({ owner, _id: { $in: scheduleDocs.map((d) => d._id) } });
+  }
+  if (replacedBatchId) {
+    await restoreFromTrash(owner, { batchId: replacedBatchId });
+    await TaskOperation.deleteOne({ _id: replacedBatchId, owner });
+  }
+  if (replacedSchedules.length) await Schedule.insertMany(replacedSchedules);
+}
+
+/**
+ * POST /api/import?mode=merge|replace&dryRun=true
+ *   body: a JSON backup ({ tasks?, schedules? }), or a CSV export sent as
+ *   text/csv with ?data=tasks|schedules
+ * Every record is checked first and one bad record rejects the file (422 with
+ * paths like `tasks[3].start`). `merge` adds what isn't there yet and reports
+ * the rest as duplicates; `replace` first clears the collections the file
+ * holds (replaced tasks go to the trash) and puts them back if saving the file
+ * fails. `dryRun` only reports.
+ */
+app.post(
+  '/api/import',
+  express.json({ limit: IMPORT_MAX_BYTES }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_MAX_BYTES }),
+  async (req, res) => {
+    try {
+      const { mode = 'merge', dryRun = false, data } = validate(req.query, {
+        mode: is.oneOf(IMPORT_MODES, { optional: true }),
+        dryRun: is.bool({ optional: true }),
+        data: is.oneOf(BACKUP_COLLECTIONS, { optional: true }),
+      });
+
+      let file = req.body;
+      if (typeof file === 'string') {
+        if (!data) throw invalid('data', 'is required for a CSV file: tasks or schedules');
+        file = { [data]: csvRecords(file) };
+      }
+      if (!file || typeof file !== 'object' || Array.isArray(file)) {
+        throw badRequest('Send a JSON backup or a CSV export');
+      }
+      if (file.tasks === undefined && file.schedules === undefined) {
+        throw invalid('tasks', 'the file holds no tasks or schedules');
+      }
+      if (file.version > BACKUP_VERSION) {
+        throw invalid('version', `backups up to version ${BACKUP_VERSION} can be imported`);
+      }
+
+      const [tasks, schedules] = collect([
+        () => importedRecords(file.tasks, 'tasks', importedTask),
+        () => importedRecords(file.schedules, 'schedules', importedSchedule),
+      ]);
+
+      const owner = req.userId;
+      const replace = mode === 'replace';
+      const fileIds = (records) => (records || []).map((r) => r._id).filter(Boolean);
+      const [savedTasks, savedSchedules, tasksElsewhere, schedulesElsewhere] = await Promise.all([
+        tasks && !replace
+          ? Task.find(
+              { owner, $or: [{ _id: { $in: fileIds(tasks) } }, { start: { $in: tasks.map((t) => t.start) } }] },
+              'title start end'
+            )
+          : [],
+        schedules && !replace
+          ? Schedule.find(
+              {
+                owner,
+                $or: [
+                  { _id: { $in: fileIds(schedules) } },
+                  { createdAt: { $in: schedules.map((s) => s.createdAt).filter(Boolean) } },
+                ],
+              },
+              'text selfReportedEmotion createdAt'
+            )
+          : [],
+        Task.find({ _id: { $in: fileIds(tasks) }, owner: { $ne: owner } }, '_id'),
+        Schedule.find({ _id: { $in: fileIds(schedules) }, owner: { $ne: owner } }, '_id'),
+      ]);
+
+      const taskIds = new Map();
+      const taskResult = sortOutDuplicates(
+        tasks || [],
+        savedTasks,
+        new Set(tasksElsewhere.map((d) => String(d._id))),
+        taskKey,
+        taskIds
+      );
+      const scheduleResult = sortOutDuplicates(
+        schedules || [],
+        savedSchedules,
+        new Set(schedulesElsewhere.map((d) => String(d._id))),
+        scheduleKey,
+        new Map()
+      );
+      const duplicates = [
+        ...taskResult.duplicates.map((d) => ({ collection: 'tasks', title: tasks[d.index].title, ...d })),
+        ...scheduleResult.duplicates.map((d) => ({ collection: 'schedules', text: schedules[d.index].text, ...d })),
+      ];
+      const report = {
+        mode,
+        dryRun,
+        tasks: tasks && { total: tasks.length, imported: taskResult.fresh.length },
+        schedules: schedules && { total: schedules.length, imported: scheduleResult.fresh.length },
+        duplicateCount: duplicates.length,
+        duplicates: duplicates.slice(0, IMPORT_MAX_REPORTED),
+      };
+      const counts = `${taskResult.fresh.length} task(s) and ${scheduleResult.fresh.length} journal entr(ies)`;
+      const skipped = duplicates.length ? `, ${duplicates.length} duplicate(s) skipped` : '';
+
+      if (dryRun) {
+        return res.json({ message: `🔎 Ready to import ${counts}${skipped}.`, ...report });
+      }
+
+      const linkIds = scheduleResult.fresh.flatMap((s) => s.tasks || []).filter((id) => !taskIds.has(id));
+      const ownLinks = new Set(
+        linkIds.length ? (await Task.find({ owner, _id: { $in: linkIds } }, '_id')).map((t) => String(t._id)) : []
+      );
+
+      // every document is built and checked before anything is replaced
+      const taskDocs = taskResult.fresh.map((t) => new Task({ ...t, owner, version: 0 }));
+      const scheduleDocs = scheduleResult.fresh.map(
+        (s) =>
+          new Schedule({
+            ...s,
+            owner,
+            // links follow tasks that got a new id, or that were already saved;
+            // anything else (e.g. another user's task) is dropped
+            tasks: (s.tasks || []).map((id) => taskIds.get(id) || (ownLinks.has(id) && id)).filter(Boolean),
+          })
+      );
+      await Promise.all([...taskDocs, ...scheduleDocs].map((d) => d.validate()));
+
+      const swap = { replacedBatchId: null, replacedSchedules: [], inserting: false, taskDocs, scheduleDocs };
+      let created;
+      try {
+        if (replace && tasks) {
+          const current = await Task.find({ owner });
+          if (current.length) swap.replacedBatchId = await trashTasks(owner, current);
+        }
+        if (replace && schedules) {
+          swap.replacedSchedules = await Schedule.find({ owner }).lean();
+          await Schedule.deleteMany({ owner });
+        }
+        swap.inserting = true;
+        created = await Task.insertMany(taskDocs);
+        await Schedule.insertMany(scheduleDocs);
+      } catch (e) {
+        await undoFailedImport(owner, swap);
+        throw e;
+      }
+      const { replacedBatchId } = swap;
+      const batchId = created.length
+        ? (await TaskOperation.create({ owner, kind: 'create', createdIds: created.map((t) => t._id) }))._id
+        : null;
+      if (created.length || replacedBatchId) publishTaskChange(owner, 'resync');
+
+      res.json({
+        message: `📥 ${replace ? 'Replaced your data with' : 'Imported'} ${counts}${skipped}.`,
+        ...report,
+        batchId,
+        replacedBatchId,
+      });
+    } catch (e) {
+      sendError(res, e, 'POST /api/import', 'Error importing data');
+    }
+  }
+);
+
+/* ============================================================
+   ♻️ Trash + Undo
+============================================================ */
+app.get('/api/tasks/trash', async (req, res) => {
+  try {
+    const items = await TrashedTask.find({ owner: req.userId }).sort({ deletedAt: -1 });
+    res.json(items);
+  } catch (e) {
+    sendError(res, e, 'GET /api/tasks/trash', 'Error fetching trash');
+  }
+});
+
+/** POST /api/tasks/restore  { ids: [trash entry ids] } or { batchId } */
+app.post('/api/tasks/restore', async (req, res) => {
+  try {
+    const { ids, batchId } = validate(req.body, {
+      ids: is.array(is.objectId(), { optional: true }),
+      batchId: is.objectId({ optional: true }),
+    });
+    let filter;
+    if (ids && ids.length) filter = { _id: { $in: ids } };
+    else if (batchId) filter = { batchId };
+    else throw invalid('ids', 'ids or batchId required');
+
+    const restored = await restoreFromTrash(req.userId, filter);
+    if (restored) publishTaskChange(req.userId, 'resync');
+    res.json({ message: `♻️ ${restored} task(s) restored.`, restored });
+  } catch (e) {
+    sendError(res, e, 'POST /api/tasks/restore', 'Error restoring tasks');
+  }
+});
+
+/** POST /api/tasks/undo  { batchId? }  reverts that batch, or the latest one not yet undone */
+app.post('/api/tasks/undo', async (req, res) => {
+  try {
+    const { batchId } = validate(req.body, { batchId: is.objectId({ optional: true }) });
+    const q = { owner: req.userId, undoneAt: null };
+    if (batchId) q._id = batchId;
+    const op = await TaskOperation.findOne(q).sort({ createdAt: -1 });
+    if (!op) throw notFound('Nothing to undo');
+
+    let count;
+    if (op.kind === 'delete') {
+      count = await restoreFromTrash(req.userId, { batchId: op._id });
+      // occurrences removed from a series come back with the series' old exDates
+      for (const snap of op.snapshots) await restoreSnapshot(req.userId, snap);
+      count += op.snapshots.length;
+    } else {
+      for (const snap of op.snapshots) await restoreSnapshot(req.userId, snap);
+      if (op.createdIds.length) {
+        await Task.deleteMany({ owner: req.userId, _id: { $in: op.createdIds } });
+      }
+      count = op.snapshots.length || op.createdIds.length;
+    }
+    op.undoneAt = new Date();
+    await op.save();
+    publishTaskChange(req.userId, 'resync');
+
+    res.json({ message: `↩️ Undid ${op.kind} of ${count} task(s).`, kind: op.kind, count, batchId: op._id });
+  } catch (e) {
+    sendError(res, e, 'POST /api/tasks/undo', 'Error undoing last change');
+  }
+});
+
+/* ============================================================
+   🪄 Mood-aware auto-scheduler for the backlog
+============================================================ */
+const AUTO_SCHEDULE_STEP_MS = 15 * 60 * 1000;
+const AUTO_SCHEDULE_DEFAULT_DAYS = 7;
+const AUTO_SCHEDULE_MAX_DAYS = 31;
+// how far back emotion entries count, and how many an hour needs before we trust it
+const MOOD_HISTORY_DAYS = 90;
+const MOOD_MIN_SAMPLES = 3;
+// a fully "Stressed" hour is worth pushing a normal task this many hours later (heavy: twice that)
+const MOOD_WEIGHT_HOURS = 24;
+const EFFORT_MOOD_WEIGHT = { light: 0, normal: 1, heavy: 2 };
+
+/** "09:30" -> 570 (minutes after midnight), or NaN */
+function hhmmMinutes(str) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(str || '').trim());
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) return NaN;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+/**
+ * A one-off `{ start: 'HH:MM', end: 'HH:MM', days: [1..5] }` (JS weekday
+ * numbers, Mon-Fri 09:00-18:00 when left out) -> per-weekday working hours
+ * shaped like the saved settings.
+ */
+function parseWorkingHours(input = {}, path = 'workingHours') {
+  const hours = { start: '09:00', end: '18:00', days: [1, 2, 3, 4, 5], ...input };
+  const startMin = hhmmMinutes(hours.start);
+  const endMin = hhmmMinutes(hours.end);
+  const [, , days] = collect([
+    () => {
+      if (isNaN(startMin)) throw invalid(`${path}.start`, 'must be a time like "09:00"');
+    },
+    () => {
+      if (isNaN(endMin)) throw invalid(`${path}.end`, 'must be a time like "18:00"');
+      if (endMin <= startMin) throw invalid(`${path}.end`, 'must be after start');
+    },
+    () => is.array(is.int({ min: 0, max: 6 }), { min: 1, max: 7 })(hours.days, `${path}.days`),
+  ]);
+  return [...new Set(days)].sort((a, b) => a - b).map((day) => ({ day, start: hours.start, end: hours.end }));
+}
+
+/**
+ * Per hour of day, how often the user's emotion entries were "Stressed" or
+ * positive. Hours with fewer than MOOD_MIN_SAMPLES entries have null rates.
+ */
+async function moodByHour(owner, now = new Date(), tz = SERVER_TIME_ZONE) {
+  const entries = await Schedule.find(
+    { owner, createdAt: { $gte: new Date(now.getTime() - MOOD_HISTORY_DAYS * DAY_MS) } },
+    'detectedEmotion selfReportedEmotion sentiment createdAt'
+  );
+  const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, entries: 0, stressed: 0, positive: 0 }));
+  for (const e of entries) {
+    const h = hours[wallClock(e.createdAt, tz).getUTCHours()];
+    const emotion = e.selfReportedEmotion || e.detectedEmotion || '';
+    h.entries += 1;
+    if (/stress/i.test(emotion)) h.stressed += 1;
+    else if (e.sentiment === 'POSITIVE' || /happy|calm|positive/i.test(emotion)) h.positive += 1;
+  }
+  return hours.map((h) => {
+    const trusted = h.entries >= MOOD_MIN_SAMPLES;
+    return {
+      ...h,
+      stressRate: trusted ? round2(h.stressed / h.entries) : null,
+      positiveRate: trusted ? round2(h.positive / h.entries) : null,
+    };
+  });
+}
+
+/** Average "cost" of the hours a slot covers: stress counts against it, good moods for it. */
+function slotMoodCost(mood, start, end, tz = SERVER_TIME_ZONE) {
+  let sum = 0;
+  let n = 0;
+  for (let t = start.getTime(); t < end.getTime(); t += AUTO_SCHEDULE_STEP_MS) {
+    const h = mood[wallClock(t, tz).getUTCHours()];
+    sum += (h.stressRate || 0) - 0.5 * (h.positiveRate || 0);
+    n += 1;
+  }
+  return n ? sum / n : 0;
+}
+
+/** Deadline first (none last), then priority, then longer blocks before shorter ones. */
+function compareBacklog(a, b) {
+  const da = a.deadline ? new Date(a.deadline).getTime() : Infinity;
+  const db = b.deadline ? new Date(b.deadline).getTime() : Infinity;
+  if (da !== db) return da - db;
+  const pa = TASK_PRIORITIES.indexOf(a.priority);
+  const pb = TASK_PRIORITIES.indexOf(b.priority);
+  if (pa !== pb) return pb - pa;
+  return backlogMinutes(b) - backlogMinutes(a);
+}
+
+const backlogMinutes = (task) => task.durationMinutes || BACKLOG_DEFAULT_MINUTES;
+
+/**
+ * Every start inside working hours between `from` and `until` where
+ * `duration` ms fits free. `availability` holds the per-weekday hours.
+ */
+function freeStarts(busy, { from, until, duration, availability, gapMs, tz }) {
+  const starts = [];
+  const first = Math.ceil(from.getTime() / AUTO_SCHEDULE_STEP_MS) * AUTO_SCHEDULE_STEP_MS;
+  for (let day = startOfLocalDay(from, tz); day < until; day = addLocalDays(day, 1, tz)) {
+    const open = workWindow(availability, day, tz);
+    if (!open) continue;
+    const last = Math.min(open.end.getTime(), until.getTime()) - duration;
+    for (let t = Math.max(open.start.getTime(), first); t <= last; t += AUTO_SCHEDULE_STEP_MS) {
+      const padded = { start: new Date(t - gapMs), end: new Date(t + duration + gapMs) };
+      if (!busy.some((b) => overlaps(b, padded))) starts.push(new Date(t));
+    }
+  }
+  return starts;
+}
+
+const clockLabel = (d, tz) => {
+  const minute = localMinuteOfDay(d, tz);
+  return `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Packs the backlog `tasks` into the free working time between `from` and
+ * `to`, earliest deadline first. Each one takes the slot with the lowest
+ * "hours of delay + mood cost", so heavy work drifts away from hours that
+ * usually log "Stressed" while light work just takes the first gap.
+ * Placed blocks become busy for the tasks after them. Nothing is saved.
+ */
+function planBacklog(tasks, { busy, mood, from, to, availability, breakMinutes, tz = SERVER_TIME_ZONE }) {
+  const taken = busy.map((b) => ({ start: new Date(b.start), end: new Date(b.end) }));
+  const gapMs = breakMinutes * 60 * 1000;
+  const proposal = [];
+  const unscheduled = [];
+
+  for (const task of [...tasks].sort(compareBacklog)) {
+    const duration = backlogMinutes(task) * 60 * 1000;
+    const deadline = task.deadline ? new Date(task.deadline) : null;
+    const opts = { from, duration, availability, gapMs, tz };
+    let late = false;
+    let starts = freeStarts(taken, { ...opts, until: deadline && deadline < to ? deadline : to });
+    if (!starts.length && deadline && deadline < to) {
+      // nothing fits before the deadline: still offer the first slot after it
+      starts = freeStarts(taken, { ...opts, until: to });
+      late = starts.length > 0;
+    }
+    if (!starts.length) {
+      unscheduled.push({ taskId: task._id, title: task.title, reason: 'No free slot in working hours' });
+      continue;
+    }
+
+    const weight = EFFORT_MOOD_WEIGHT[task.effort] ?? 1;
+    const score = (start) => {
+      const delayHours = (start - from) / (60 * 60 * 1000);
+      return delayHours + weight * MOOD_WEIGHT_HOURS * slotMoodCost(mood, start, new Date(start.getTime() + duration), tz);
+    };
+    let best = starts[0];
+    for (const s of starts) if (score(s) < score(best)) best = s;
+
+    const start = best;
+    const end = new Date(start.getTime() + duration);
+    const reasons = [];
+    if (late) reasons.push('No free slot before the deadline, placed at the first one after it');
+    else if (deadline) reasons.push(`Finishes before the ${dayLabel(deadline, tz)} ${clockLabel(deadline, tz)} deadline`);
+    const earliest = starts[0];
+    const earliestCost = slotMoodCost(mood, earliest, new Date(earliest.getTime() + duration), tz);
+    if (best !== earliest && earliestCost > 0)
+      reasons.push(`Moved from ${clockLabel(earliest, tz)}, which usually logs "Stressed", to a calmer time`);
+    const cost = slotMoodCost(mood, start, end, tz);
+    if (weight > 0 && cost < 0) reasons.push('Placed in hours where you usually feel good');
+
+    taken.push({ start, end });
+    proposal.push({
+      taskId: task._id,
+      title: task.title,
+      start,
+      end,
+      durationMinutes: backlogMinutes(task),
+      priority: task.priority,
+      effort: task.effort,
+      category: task.category,
+      deadline,
+      late,
+      moodCost: round2(cost),
+      reasons,
+    });
+  }
+
+  proposal.sort(compareByStart);
+  return { proposal, unscheduled };
+}
+
+/**
+ * POST /api/tasks/backlog/auto-schedule
+ *   { ids?, from?, to?, workingHours?: { start, end, days }, breakMinutes? }
+ * Proposes a slot for every backlog task (or just `ids`) between `from` (default
+ * now) and `to` (default a week later). Existing tasks, the working hours,
+ * focus blocks and breaks from the user's settings are respected (the body's
+ * `workingHours` and `breakMinutes` override the settings for this run) and
+ * the user's emotion history steers heavy work away from hours that usually
+ * log "Stressed". Nothing is saved; accept with
+ * POST /api/tasks/backlog/auto-schedule/commit.
+ */
+app.post('/api/tasks/backlog/auto-schedule', async (req, res) => {
+  try {
+    const body = validate(req.body, {
+      ids: is.array(is.objectId(), { optional: true }),
+      from: is.date({ optional: true }),
+      to: is.date({ optional: true }),
+      workingHours: is.object({}, { optional: true }),
+      breakMinutes: is.int({ min: 0, max: 120, optional: true }),
+    });
+    const { ids } = body;
+    const from = body.from || new Date();
+    const to = body.to || new Date(from.getTime() + AUTO_SCHEDULE_DEFAULT_DAYS * DAY_MS);
+    if (to <= from) throw invalid('to', 'must be after from');
+    if (to - from > AUTO_SCHEDULE_MAX_DAYS * DAY_MS)
+      throw invalid('to', `auto-schedule at most ${AUTO_SCHEDULE_MAX_DAYS} days at a time`);
+    const settings = await availabilityOf(req.userId);
+    const availability = req.body.workingHours
+      ? { ...settings, workingHours: parseWorkingHours(req.body.workingHours) }
+      : settings;
+    const gap = body.breakMinutes ?? settings.minBreakMinutes;
+
+    const q = { owner: req.userId, start: null };
+    if (Array.isArray(ids) && ids.length) q._id = { $in: ids };
+    const backlog = await Task.find(q).lean();
+    if (!backlog.length) throw invalid('ids', 'no backlog tasks to schedule');
+
+    const [existing, mood] = await Promise.all([
+      tasksOverlapping(req.userId, from, to, req.timeZone),
+      moodByHour(req.userId, from, req.timeZone),
+    ]);
+    // all-day items (birthdays, trips) and skipped tasks don't block working
+    // time; focus blocks and breaks do
+    const busy = [
+      ...existing.filter((t) => !t.allDay && t.status !== 'skipped'),
+      ...protectedBlocks(availability, from, to, req.timeZone),
+    ];
+    const { proposal, unscheduled } = planBacklog(backlog, {
+      busy, mood, from, to, availability, breakMinutes: gap, tz: req.timeZone,
+    });
+
+    res.json({
+      from,
+      to,
+      workingHours: availability.workingHours,
+      breakMinutes: gap,
+      proposal,
+      unscheduled,
+      moodByHour: mood,
+    });
+  } catch (e) {
+    sendError(res, e, 'POST /api/tasks/backlog/auto-schedule', 'Auto-scheduling failed');
+  }
+});
+
+/**
+ * POST /api/tasks/backlog/auto-schedule/commit  { items: [{ taskId, start, end }] }
+ * Puts the accepted proposal items on the calendar as one undoable batch;
+ * undoing it sends the tasks back to the backlog.
+ */
+app.post('/api/tasks/backlog/auto-schedule/commit', async (req, res) => {
+  try {
+    const { items } = validate(req.body, {
+      items: is.array(is.object({ taskId: is.objectId(), start: is.date(), end: is.date() }), { min: 1 }),
+    });
+    const seen = new Set();
+    collect(items.map((it, i) => () => {
+      if (it.end <= it.start) throw invalid(`items[${i}].end`, 'must be after start');
+      if (seen.has(it.taskId)) throw invalid(`items[${i}].taskId`, 'is listed twice');
+      seen.add(it.taskId);
+    }));
+
+    const tasks = await Task.find({ owner: req.userId, _id: { $in: items.map((it) => it.taskId) } });
+    const byId = new Map(tasks.map((t) => [String(t._id), t]));
+    for (const [i, it] of items.entries()) {
+      const task = byId.get(it.taskId);
+      if (!task) throw notFound(`items[${i}]: task not found`);
+      if (task.start) throw conflict(`"${task.title}" is already scheduled`, { taskId: it.taskId });
+    }
+
+    const before = tasks.map((t) => t.toObject());
+    const saved = await Promise.all(
+      items.map((it) => byId.get(it.taskId).set({ start: it.start, end: it.end }).save())
+    );
+    const batchId = await recordUpdate(req.userId, before);
+    publishTaskChange(req.userId, 'updated', { tasks: saved });
+
+    res.json({ message: `✅ ${saved.length} task(s) added to your calendar.`, tasks: saved, batchId });
+  } catch (e) {
+    sendError(res, e, 'POST /api/tasks/backlog/auto-schedule/commit', 'Saving the schedule failed');
+  }
+});
+
+/* ============================================================
+   📋 Day templates + routines
+   A template is a named list of blocks timed from local midnight. It is saved
+   from a day on the calendar (or sent as blocks) and applied to any date,
+   here or through /api/plan ("apply my focus day template on Thursday").
+============================================================ */
+const MAX_TEMPLATE_BLOCKS = 50;
+
+const TEMPLATE_BLOCK_RULES = {
+  title: is.string({ max: 200 }),
+  offsetMinutes: is.int({ min: 0, max: DAY_MINUTES - 1 }),
+  durationMinutes: is.int({ min: 5, max: DAY_MINUTES }),
+  notes: is.string({ max: 5000, trim: false, optional: true }),
+  category: is.string({ max: 50, optional: true }),
+  priority: is.oneOf(TASK_PRIORITIES, { optional: true }),
+  tags: is.stringList({ optional: true }),
+};
+const TEMPLATE_FIELD_RULES = {
+  name: is.string({ max: 100 }),
+  description: is.string({ max: 1000, nullable: true }),
+  blocks: is.array(is.object(TEMPLATE_BLOCK_RULES), { min: 1, max: MAX_TEMPLATE_BLOCKS }),
+};
+
+/** Template names are unique per user, ignoring case. */
+async function checkTemplateName(owner, name, self = null) {
+  const q = { owner, name: new RegExp(`^${escapeRegex(name)}$`, 'i') };
+  if (self) q._id = { $ne: self };
+  const taken = await Template.findOne(q, '_id');
+  if (taken) throw conflict(`You already have a template called "${name}"`, { templateId: taken._id });
+}
+
+app.get('/api/templates', async (req, res) => {
+  try {
+    const templates = await Template.find({ owner: req.userId }).lean();
+    res.json(templates.sort((a, b) => a.name.localeCompare(b.name)));
+  } catch (e) {
+    sendError(res, e, 'GET /api/templates', 'Error fetching templates');
+  }
+});
+
+/** POST /api/templates  { name, description?, blocks: [{ title, offsetMinutes, durationMinutes, ... }] } */
+app.post('/api/templates', async (req, res) => {
+  try {
+    const fields = validate(req.body, TEMPLATE_FIELD_RULES);
+    await checkTemplateName(req.userId, fields.name);
+    const template = await Template.create({ ...fields, owner: req.userId });
+    res.status(201).json(template);
+  } catch (e) {
+    sendError(res, e, 'POST /api/templates', 'Error saving template');
+  }
+});
+
+/**
+ * POST /api/templates/from-day  { name, date, description? }
+ * "Save this day as template": the timed tasks (and occurrences) starting on
+ * `date` become the blocks. Skipped tasks are left out.
+ */
+app.post('/api/templates/from-day', async (req, res) => {
+  try {
+    const { name, description, date } = validate(req.body, {
+      name: TEMPLATE_FIELD_RULES.name,
+      description: TEMPLATE_FIELD_RULES.description,
+      date: is.day(),
+    });
+    const tz = req.timeZone;
+    const day = localDay(date, tz);
+    const tasks = await tasksOverlapping(req.userId, day, endOfLocalDay(day, tz), tz);
+    const blocks = blocksFromTasks(tasks.filter((t) => t.status !== 'skipped'), day, tz);
+    if (!blocks.length) throw invalid('date', 'has no timed tasks to save');
+    if (blocks.length > MAX_TEMPLATE_BLOCKS)
+      throw invalid('date', `has more than ${MAX_TEMPLATE_BLOCKS} tasks; a template holds at most that many`);
+    await checkTemplateName(req.userId, name);
+
+    const template = await Template.create({ owner: req.userId, name, description, blocks });
+    res.status(201).json(template);
+  } catch (e) {
+    sendError(res, e, 'POST /api/templates/from-day', 'Error saving template');
+  }
+});
+
+/** Rename, re-describe or replace the blocks; fields left out stay as they are. */
+app.put('/api/templates/:id', async (req, res) => {
+  try {
+    const present = Object.keys(TEMPLATE_FIELD_RULES).filter((k) => req.body?.[k] !== undefined);
+    const fields = validate(req.body, Object.fromEntries(present.map((k) => [k, TEMPLATE_FIELD_RULES[k]])));
+    const template = await Template.findOne({ _id: req.params.id, owner: req.userId });
+    if (!template) throw notFound('Template not found');
+    if (fields.name) await checkTemplateName(req.userId, fields.name, template._id);
+
+    template.set({ ...fields, updatedAt: new Date() });
+    await template.save();
+    res.json(template);
+  } catch (e) {
+    sendError(res, e, 'PUT /api/templates/:id', 'Error updating template');
+  }
+});
+
+/** Removes the template only; tasks it was applied as stay on the calendar. */
+app.delete('/api/templates/:id', async (req, res) => {
+  try {
+    const template = await Template.findOneAndDelete({ _id: req.params.id, owner: req.userId });
+    if (!template) throw notFound('Template not found');
+    res.json({ message: `🗑️ Template "${template.name}" removed.` });
+  } catch (e) {
+    sendError(res, e, 'DELETE /api/templates/:id', 'Error deleting template');
+  }
+});
+
+/**
+ * POST /api/templates/:id/apply  { date }
+ * Puts the template's blocks on `date` as one undoable batch. Tasks already
+ * there are kept; the ones the new blocks overlap are listed in `conflicts`.
+ */
+app.post('/api/templates/:id/apply', async (req, res) => {
+  try {
+    const { date } = validate(req.body, { date: is.day() });
+    const template = await Template.findOne({ _id: req.params.id, owner: req.userId }).lean();
+    if (!template) throw notFound('Template not found');
+
+    const tz = req.timeZone;
+    const day = localDay(date, tz);
+    const blocks = expandBlocks(template.blocks, day, tz);
+    const busy = await tasksOverlapping(
+      req.userId,
+      blocks.reduce((min, b) => (b.start < min ? b.start : min), day),
+      blocks.reduce((max, b) => (b.end > max ? b.end : max), day),
+      tz
+    );
+
+    const saved = await Task.insertMany(
+      blocks.map((b) => ({
+        owner: req.userId,
+        title: b.title,
+        start: b.start,
+        end: b.end,
+        notes: b.notes,
+        category: b.category,
+        priority: b.priority,
+        tags: b.tags,
+      }))
+    );
+    publishTaskChange(req.userId, 'created', { tasks: saved });
+    const op = await TaskOperation.create({
+      owner: req.userId,
+      kind: 'create',
+      createdIds: saved.map((t) => t._id),
+    });
+    const conflicts = busy.filter((b) => saved.some((t) => overlaps(b, t))).map(conflictSummary);
+
+    res.json({
+      message: `📋 "${template.name}" added ${saved.length} task(s) on ${dayLabel(day, tz)}.`,
+      tasks: saved,
+      conflicts,
+      batchId: op._id,
+    });
+  } catch (e) {
+    sendError(res, e, 'POST /api/templates/:id/apply', 'Applying the template failed');
+  }
+});
+
+/* ============================================================
+   📡 Live event stream (Server-Sent Events)
+============================================================ */
+const SSE_HEARTBEAT_MS = 25000;
+const sseClients = new Map(); // userId -> Set of open responses
+
+/** Push one event to every open stream of `owner`. Returns how many streams got it. */
+function publish(owner, event, data) {
+  const clients = sseClients.get(String(owner));
+  if (!clients) return 0;
+  const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  clients.forEach((res) => res.write(frame));
+  return clients.size;
+}
+
+/**
+ * Tell the owner's open calendars about a task change:
+ * `created` / `updated` with `tasks`, `deleted` with `ids`, or `resync` when
+ * too much changed at once (undo, restore) and the visible range should reload.
+ */
+function publishTaskChange(owner, type, { tasks = [], ids = [] } = {}) {
+  publish(owner, 'task', {
+    type,
+    tasks: tasks.map((t) => (t.toObject ? t.toObject() : t)),
+    ids: ids.map(String),
+  });
+}
+
+/** GET /api/stream  (EventSource; pass ?access_token= since it can't send headers) */
+app.get('/api/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.write(`event: ready\ndata: {}\n\n`);
+
+  const owner = String(req.userId);
+  if (!sseClients.has(owner)) sseClients.set(owner, new Set());
+  sseClients.get(owner).add(res);
+
+  // comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const clients = sseClients.get(owner);
+    clients.delete(res);
+    if (!clients.size) sseClients.delete(owner);
+  });
+});
+
+/* ============================================================
+   ⏰ Reminders
+   Every REMINDER_TICK_MS the scheduler looks for reminders that are due
+   (task start - minutesBefore <= now), claims each one by inserting a
+   ReminderDelivery with a unique key and only then sends it, so nothing
+   fires twice. A claim no channel could deliver (no open stream, webhook
+   down) is released again, so a later tick retries it. Fire times come from the task's current start, so moving a
+   task moves its reminders. Reminders missed while the server was down go
+   off late if they are less than REMINDER_GRACE_MS overdue.
+============================================================ */
+const REMINDER_TICK_MS = parseInt(process.env.REMINDER_TICK_MS, 10) || 30000;
+const REMINDER_GRACE_MS = parseInt(process.env.REMINDER_GRACE_MS, 10) || 15 * 60 * 1000;
+const REMINDER_WEBHOOK_URL = process.env.REMINDER_WEBHOOK_URL || '';
+const REMINDER_WEBHOOK_SECRET = process.env.REMINDER_WEBHOOK_SECRET || '';
+const REMINDER_WEBHOOK_TIMEOUT_MS = 5000;
+
+/**
+ * Delivery channels. Each has a `name` and `send(reminder)` that resolves
+ * when the reminder went out and throws otherwise.
+ */
+const sseReminderChannel = {
+  name: 'sse',
+  async send(reminder) {
+    if (!publish(reminder.owner, 'reminder', reminder)) throw new Error('no open stream');
+  },
+};
+
+// POSTs { type: 'task.reminder', reminder }; signed with HMAC-SHA256 when a secret is set
+const webhookReminderChannel = {
+  name: 'webhook',
+  async send(reminder) {
+    const body = JSON.stringify({ type: 'task.reminder', reminder });
+    const headers = { 'Content-Type': 'application/json' };
+    if (REMINDER_WEBHOOK_SECRET) {
+      headers['X-Planner-Signature'] =
+        'sha256=' + crypto.createHmac('sha256', REMINDER_WEBHOOK_SECRET).update(body).digest('hex');
+    }
+    await axios.post(REMINDER_WEBHOOK_URL, body, { headers, timeout: REMINDER_WEBHOOK_TIMEOUT_MS });
+  },
+};
+
+const reminderChannels = [sseReminderChannel, ...(REMINDER_WEBHOOK_URL ? [webhookReminderChannel] : [])];
+
+/** Reminders (one per task/occurrence and offset) whose time came in (now - grace, now]. */
+async function findDueReminders(now = new Date()) {
+  const from = new Date(now.getTime() - REMINDER_GRACE_MS);
+  const to = new Date(now.getTime() + MAX_REMINDER_MINUTES * 60000);
+  const open = { 'reminders.0': { $exists: true }, status: { $nin: ['done', 'skipped'] } };
+  const [singles, series] = await Promise.all([
+    Task.find({ ...open, recurrence: null, start: { $gte: from, $lte: to } }),
+    Task.find({
+      ...open,
+      'recurrence.freq': { $exists: true },
+      start: { $lte: to },
+      $or: [{ 'recurrence.until': null }, { 'recurrence.until': { $gte: from } }],
+    }),
+  ]);
+
+  // series repeat on their owner's clock
+  const owners = series.length
+    ? await User.find({ _id: { $in: [...new Set(series.map((t) => String(t.owner)))] } }, 'timeZone').lean()
+    : [];
+  const zoneOf = new Map(owners.map((u) => [String(u._id), u.timeZone || SERVER_TIME_ZONE]));
+
+  const due = [];
+  const tasks = [
+    ...singles.map((t) => t.toObject()),
+    ...series.flatMap((t) => expandTask(t, from, to, zoneOf.get(String(t.owner)) || SERVER_TIME_ZONE)),
+  ];
+  for (const t of tasks) {
+    if (t.status === 'done' || t.status === 'skipped') continue;
+    const start = new Date(t.start);
+    for (const { minutesBefore } of t.reminders || []) {
+      const fireAt = new Date(start.getTime() - minutesBefore * 60000);
+      // not due yet, too late, or due before the task even existed
+      if (fireAt > now || fireAt <= from || fireAt < new Date(t.createdAt)) continue;
+      due.push({
+        owner: String(t.owner),
+        key: `${t._id}:${start.getTime()}:${minutesBefore}`,
+        taskId: String(t.seriesId || t._id),
+        occurrenceStart: t.occurrenceStart,
+        title: t.title,
+        start,
+        end: t.end,
+        minutesBefore,
+        fireAt,
+      });
+    }
+  }
+  return due;
+}
+
+/**
+ * Claim a due reminder and send it through every channel. False if it was
+ * already claimed, or if every channel failed and the claim was released.
+ */
+async function deliverReminder(reminder) {
+  let delivery;
+  try {
+    delivery = await ReminderDelivery.create({
+      owner: reminder.owner,
+      key: reminder.key,
+      task: reminder.taskId,
+      occurrenceStart: reminder.occurrenceStart,
+      title: reminder.title,
+      start: reminder.start,
+      minutesBefore: reminder.minutesBefore,
+      fireAt: reminder.fireAt,
+    });
+  } catch (err) {
+    if (err.code === 11000) return false; // someone (an earlier tick, another instance) got it
+    throw err;
+  }
+
+  const payload = { id: delivery._id, ...reminder };
+  const results = await Promise.all(
+    reminderChannels.map((ch) =>
+      ch.send(payload).then(
+        () => ({ channel: ch.name, ok: true }),
+        (err) => ({ channel: ch.name, ok: false, error: err.message })
+      )
+    )
+  );
+  if (!results.some((r) => r.ok)) {
+    // nobody got it: give it back so the next tick (within the grace period) tries again
+    await ReminderDelivery.deleteOne({ _id: delivery._id });
+    return false;
+  }
+  await ReminderDelivery.updateOne({ _id: delivery._id }, { $set: { channels: results } });
+  return true;
+}
+
+let reminderTickRunning = false;
+async function reminderTick() {
+  if (reminderTickRunning) return; // a slow tick shouldn't overlap the next one
+  reminderTickRunning = true;
+  try {
+    const due = await findDueReminders();
+    let sent = 0;
+    for (const reminder of due) {
+      if (await deliverReminder(reminder)) sent++;
+    }
+    if (sent) console.log(`⏰ Sent ${sent} reminder(s)`);
+  } catch (err) {
+    console.error('❌ Reminder scheduler error:', err.message);
+  } finally {
+    reminderTickRunning = false;
+  }
+}
+
+function startReminderScheduler() {
+  console.log(`⏰ Reminder scheduler every ${REMINDER_TICK_MS / 1000}s via ${reminderChannels.map((c) => c.name).join(', ')}`);
+  reminderTick();
+  setInterval(reminderTick, REMINDER_TICK_MS);
+}
+
+/** GET /api/reminders?from&to  reminders that went off (default: the last 24 hours), newest first */
+app.get('/api/reminders', async (req, res) => {
+  try {
+    const { from, to } = parseRangeQuery(req.query);
+    const fireAt = { $gte: from || new Date(Date.now() - DAY_MS) };
+    if (to) fireAt.$lte = to;
+    const items = await ReminderDelivery.find({ owner: req.userId, fireAt }).sort({ fireAt: -1 });
+    res.json(items);
+  } catch (e) {
+    sendError(res, e, 'GET /api/reminders', 'Error fetching reminders');
   }
 });
 
@@ -374,9 +4016,38 @@ app.delete('/api/tasks/:id', async (req, res) => {
 ============================================================ */
 app.get('/', (req, res) => res.send('Smart AI Planner Backend is running!'));
 
+// public, so only whether the AI service is being skipped; nothing about how it's set up
+app.get('/health/ai', (req, res) => res.json({ status: aiBreaker.state === 'open' ? 'down' : 'up' }));
+
+// unknown endpoints and body-parser failures (bad JSON, too large) get the error contract too
+app.use('/api', (req, res) => sendError(res, notFound(`No endpoint ${req.method} ${req.baseUrl}${req.path}`)));
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed')
+    return sendError(res, badRequest('Request body is not valid JSON', 'INVALID_JSON'));
+  if (err.type === 'entity.too.large')
+    return sendError(res, new ApiError(413, 'TOO_LARGE', 'Request body is too large'));
+  sendError(res, err, `${req.method} ${req.path}`);
+});
+
 /* ============================================================
    Start
+   `node index.js` connects and listens; tests require the app instead
+   and bring their own database.
 ============================================================ */
-app.listen(PORT, () =>
-  console.log(`🚀 Server running at http://localhost:${PORT}`)
-);
+if (require.main === module) {
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(() => {
+      console.log('✅ MongoDB connected!');
+      startReminderScheduler();
+      return backfillTaskSource();
+    })
+    .catch((err) => console.error('❌ MongoDB connection error:', err));
+
+  app.listen(PORT, () =>
+    console.log(`🚀 Server running at http://localhost:${PORT}`)
+  );
+}
+
+module.exports = app;
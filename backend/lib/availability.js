@@ -0,0 +1,91 @@
+/**
+ * A user's availability: working hours per weekday, protected focus blocks,
+ * preferred breaks and the shortest gap to leave between blocks. Times are
+ * "HH:MM" on the user's wall clock (`tz`) and weekdays are JS numbers
+ * (0 = Sunday). Nothing here touches the database.
+ */
+const {
+  SERVER_TIME_ZONE,
+  addLocalDays,
+  atLocalMinute,
+  localWeekday,
+  minutesOf,
+  startOfLocalDay,
+} = require('./time');
+
+const DEFAULT_AVAILABILITY = {
+  workingHours: [1, 2, 3, 4, 5].map((day) => ({ day, start: '09:00', end: '18:00' })),
+  focusBlocks: [],
+  breakTimes: [],
+  minBreakMinutes: 10,
+};
+
+/** The working hours of `weekday`, or null on a day off. */
+const hoursOn = (settings, weekday) => settings.workingHours.find((h) => h.day === weekday) || null;
+
+/**
+ * `{ startMin, endMin }` covering every working day of the week: the earliest
+ * start to the latest end. Null when the user works no day at all.
+ */
+function weekSpan(settings) {
+  if (!settings.workingHours.length) return null;
+  return {
+    startMin: Math.min(...settings.workingHours.map((h) => minutesOf(h.start))),
+    endMin: Math.max(...settings.workingHours.map((h) => minutesOf(h.end))),
+  };
+}
+
+/** `{ start, end }` of the working hours on the day `day` falls on, or null on a day off. */
+function workWindow(settings, day, tz = SERVER_TIME_ZONE) {
+  const hours = hoursOn(settings, localWeekday(day, tz));
+  if (!hours) return null;
+  return { start: atLocalMinute(day, minutesOf(hours.start), tz), end: atLocalMinute(day, minutesOf(hours.end), tz) };
+}
+
+/**
+ * Focus blocks (on their weekdays) and breaks (on working days) between
+ * `from` and `to` as busy items: `{ kind: 'focus' | 'break', title, start, end }`.
+ */
+function protectedBlocks(settings, from, to, tz = SERVER_TIME_ZONE) {
+  const blocks = [];
+  for (let day = startOfLocalDay(from, tz); day < to; day = addLocalDays(day, 1, tz)) {
+    const weekday = localWeekday(day, tz);
+    const at = (clock) => atLocalMinute(day, minutesOf(clock), tz);
+    for (const f of settings.focusBlocks) {
+      if (f.days.includes(weekday)) blocks.push({ kind: 'focus', title: `🎯 ${f.label || 'Focus'}`, start: at(f.start), end: at(f.end) });
+    }
+    if (!hoursOn(settings, weekday)) continue;
+    for (const b of settings.breakTimes) {
+      blocks.push({ kind: 'break', title: `☕ ${b.label || 'Break'}`, start: at(b.start), end: at(b.end) });
+    }
+  }
+  return blocks.filter((b) => b.start < to && b.end > from);
+}
+
+/**
+ * Where AI suggestions may go on the day `day` falls on: that day's working
+ * hours (the week's span on a day off), stretched to cover the timed `tasks`
+ * the user planned that day themselves. Null when the user has no hours set.
+ */
+function suggestionWindow(settings, day, tasks = [], tz = SERVER_TIME_ZONE) {
+  const span = weekSpan(settings);
+  let window = workWindow(settings, day, tz);
+  if (!window && span) window = { start: atLocalMinute(day, span.startMin, tz), end: atLocalMinute(day, span.endMin, tz) };
+  if (!window) return null;
+  const dayStart = startOfLocalDay(day, tz).getTime();
+  for (const t of tasks) {
+    if (startOfLocalDay(t.start, tz).getTime() !== dayStart) continue;
+    if (t.start < window.start) window = { ...window, start: new Date(t.start) };
+    if (t.end > window.end) window = { ...window, end: new Date(t.end) };
+  }
+  return window;
+}
+
+module.exports = {
+  DEFAULT_AVAILABILITY,
+  hoursOn,
+  weekSpan,
+  workWindow,
+  protectedBlocks,
+  suggestionWindow,
+};
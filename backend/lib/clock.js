@@ -0,0 +1,15 @@
+/**
+ * "Now" for everything that reads relative dates ("tomorrow", "on Friday").
+ * Tests pin it with setCurrentTime so weekday phrases always land on the
+ * same day; in the app it is just the system clock.
+ */
+let pinned = null;
+
+const currentTime = () => (pinned ? new Date(pinned) : new Date());
+
+/** Freeze the clock at `date`; `null` goes back to the system clock. */
+function setCurrentTime(date) {
+  pinned = date ? new Date(date) : null;
+}
+
+module.exports = { currentTime, setCurrentTime };
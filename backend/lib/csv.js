@@ -0,0 +1,84 @@
+/**
+ * CSV (RFC 4180) for data exports. Cells holding commas, quotes or line
+ * breaks are quoted; lists and objects are written as JSON so a file can be
+ * read back without losing structure.
+ */
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const s =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === 'object'
+        ? JSON.stringify(value)
+        : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** `rows` (plain objects) as CSV with one column per entry of `columns`, header first. */
+function toCsv(rows, columns) {
+  const lines = [columns.join(','), ...rows.map((row) => columns.map((c) => csvCell(row[c])).join(','))];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/** CSV text -> rows of cells. Blank lines are dropped. */
+function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += c;
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c !== ''));
+}
+
+/**
+ * CSV with a header row -> one object per line. Empty cells are left out and
+ * cells that look like JSON lists or objects are parsed back.
+ */
+function csvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((h) => h.trim());
+  return rows.map((cells) => {
+    const record = {};
+    columns.forEach((col, i) => {
+      const cell = cells[i];
+      if (!col || cell === undefined || cell === '') return;
+      if (/^\s*[[{]/.test(cell)) {
+        try {
+          record[col] = JSON.parse(cell);
+          return;
+        } catch {
+          // not JSON after all, keep the text
+        }
+      }
+      record[col] = cell;
+    });
+    return record;
+  });
+}
+
+module.exports = { toCsv, parseCsv, csvRecords };
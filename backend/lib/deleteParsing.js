@@ -0,0 +1,293 @@
+/**
+ * Natural-language delete commands ("delete the first meeting tomorrow",
+ * "clear everything between Wed and Fri after 6pm") -> what they mean.
+ * Nothing here touches the database: relative dates are read from `now`
+ * (lib/clock by default) in the time zone `tz`.
+ */
+const chrono = require('chrono-node');
+const { currentTime } = require('./clock');
+const { normalizeWords } = require('./text');
+const {
+  SERVER_TIME_ZONE,
+  wallClock,
+  zonedDate,
+  addLocalDays,
+  localWeekday,
+  chronoRef,
+  fromChrono,
+  startOfLocalDay,
+  endOfLocalDay,
+  toClock,
+  minutesOf,
+  clockOf,
+} = require('./time');
+
+// how far ahead a delete with a title but no date looks (“delete all meditation”)
+const DELETE_UPCOMING_DAYS = 90;
+
+const dayNames = [
+  'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday',
+];
+
+/** Parse a single date like “on 12 Nov” or “on Friday” (read in `tz`). */
+function parseSingleDate(text, now = currentTime(), tz = SERVER_TIME_ZONE) {
+  // Try chrono first
+  const ref = chronoRef(now, tz);
+  const d = fromChrono(chrono.parseDate(text, ref, { forwardDate: true }), ref, tz);
+  if (d) return d;
+
+  // Fallback short “12th Nov (opt year)”
+  const rx = /(\d{1,2})(st|nd|rd|th)?\s*(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s*(\d{4})?/i;
+  const m = text.toLowerCase().match(rx);
+  if (m) {
+    const monthMap = { jan:0,feb:1,mar:2,apr:3,may:4,jun:5,jul:6,aug:7,sep:8,sept:8,oct:9,nov:10,dec:11 };
+    const day = parseInt(m[1], 10);
+    const month = monthMap[m[3].slice(0,3)];
+    const year = m[4] ? parseInt(m[4],10) : wallClock(now, tz).getUTCFullYear();
+    return zonedDate(tz, year, month, day);
+  }
+
+  // Fallback weekday only (“on Wednesday”)
+  const lower = text.toLowerCase();
+  const idx = dayNames.findIndex(dn => lower.includes(dn));
+  if (idx !== -1) {
+    const diff = (idx - localWeekday(now, tz) + 7) % 7;
+    return addLocalDays(now, diff, tz);
+  }
+
+  return null;
+}
+
+/** Parse a range like “between Wed and Fri”, “from 12 Nov to 14 Nov” */
+function parseDateRange(text, now = currentTime(), tz = SERVER_TIME_ZONE) {
+  const lower = text.toLowerCase();
+  // “from X to Y / between X and Y”
+  const rangeMatch =
+    lower.match(/from (.+?) to (.+)$/i) ||
+    lower.match(/between (.+?) and (.+)$/i);
+
+  if (!rangeMatch) return null;
+
+  const a = parseSingleDate(rangeMatch[1], now, tz);
+  const b = parseSingleDate(rangeMatch[2], now, tz);
+  if (!a || !b) return null;
+
+  const start = a <= b ? a : b;
+  const end = a <= b ? b : a;
+  return { start, end };
+}
+
+/** Try to pull a title filter out of the command, e.g. “delete short meditation from friday” */
+function extractTitleLike(text) {
+  // quoted title takes precedence “delete "team sync" on wednesday”
+  const quoted = text.match(/"(.*?)"|(?:^|\s)'(.*?)'/);
+  if (quoted && (quoted[1] || quoted[2])) {
+    return (quoted[1] || quoted[2]).trim();
+  }
+
+  // remove obvious command/temporal words to leave probable title
+  let s = text.toLowerCase();
+
+  // strip common verbs and preps
+  s = s
+    .replace(/\b(delete|remove|clear|erase|drop|cancel|please)\b/gi, '')
+    .replace(/\b(all|every|any|tasks?|events?|entries|entry|items?|everything|anything)\b/gi, '')
+    .replace(/\b(on|for|from|at|in|between|to|by|this|next|coming|the|my|a|an|of|and|i|have|got|scheduled|planned)\b/gi, '')
+    .replace(/\b(after|before|since|until|till|past|during)\b/gi, '')
+    .replace(/\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/gi, '')
+    .replace(/\b(mon|tues?|wed|thu|thurs?|fri|sat|sun)\b/gi, '')
+    .replace(/\b(today|tomorrow|tonight|morning|afternoon|evening|night|noon|midnight)\b/gi, '')
+    .replace(/\b(week|weekend|month)\b/gi, '')
+    .replace(/\b(first|second|third|last)\b/gi, '')
+    .replace(/\d{1,2}(:\d{2})?\s*(am|pm)\b/gi, '')
+    .replace(/\d{1,2}(st|nd|rd|th)?/gi, '')
+    .replace(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\b/gi, '')
+    .replace(/\b(\d{4})\b/g, '')
+    .replace(/[^\p{L}\p{N}\s'-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return s || null;
+}
+
+/** Named parts of the day as [from, to) in minutes after midnight. */
+const DAY_PARTS = {
+  morning: [5 * 60, 12 * 60],
+  afternoon: [12 * 60, 17 * 60],
+  evening: [17 * 60, 22 * 60],
+  tonight: [17 * 60, 24 * 60],
+  night: [21 * 60, 24 * 60],
+};
+
+// "6pm", "18:30", "noon" – a bare number only when it isn't a day of the month ("12 nov", "3rd")
+const CLOCK_PHRASE =
+  String.raw`(?:noon|midnight|\d{1,2}(?::\d{2})?(?:\s*(?:am|pm))?` +
+  String.raw`(?!\s*(?:st|nd|rd|th|\d|[/.-]\d|jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)))`;
+
+const ORDINALS = { first: 1, second: 2, third: 3, last: -1 };
+
+/** "6pm" / "18:30" / "noon" -> minutes after midnight (null if it isn't a time). */
+function clockPhraseMinutes(phrase, fallbackMeridiem) {
+  const p = phrase.trim().toLowerCase();
+  if (p === 'noon') return 12 * 60;
+  if (p === 'midnight') return 0;
+  const m = p.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  const clock = m && toClock(m, fallbackMeridiem);
+  return clock ? minutesOf(clock) : null;
+}
+
+/**
+ * Pull a time-of-day window out of a delete command: “after 6pm”, “before noon”,
+ * “between 2 and 4pm”, “from 9am to 11am”, “in the morning”. Several phrases
+ * narrow each other down. Returns `{ window: { after, before } | null, rest }`
+ * (minutes after midnight) where `rest` is the command without those words.
+ * A window across midnight (“between 10pm and 2am”) has `after > before`.
+ */
+function parseTimeWindow(text) {
+  let rest = text;
+  let after = 0;
+  let before = 24 * 60;
+  let found = false;
+  const narrow = (from, to) => {
+    const wraps = after > before;
+    found = true;
+    if (!wraps) {
+      after = Math.max(after, from);
+      before = Math.min(before, to);
+      return;
+    }
+    // across midnight: keep whichever ends of the window [from, to) overlaps
+    const early = from < before;
+    const late = to > after;
+    if (early && late) [after, before] = [Math.max(after, from), Math.min(before, to)];
+    else if (early) [after, before] = [from, Math.min(before, to)];
+    else if (late) [after, before] = [Math.max(after, from), to];
+    else [after, before] = [0, 0];
+  };
+
+  const between = new RegExp(
+    String.raw`\b(?:between|from)\s+(${CLOCK_PHRASE})\s*(?:-|–|\s(?:and|to|until|till)\s)\s*(${CLOCK_PHRASE})`,
+    'i'
+  );
+  const m = rest.match(between);
+  // at least one end has to look like a time, otherwise it's a date range
+  if (m && /am|pm|:|noon|midnight/i.test(m[1] + m[2])) {
+    const meridiem = (s) => (s.match(/am|pm/i) || [])[0];
+    const from = clockPhraseMinutes(m[1], meridiem(m[2]));
+    const to = clockPhraseMinutes(m[2], meridiem(m[1]));
+    if (from !== null && to !== null) {
+      // nothing has narrowed the day yet, so this may set a window across midnight
+      if (from > (to || 24 * 60)) [after, before, found] = [from, to, true];
+      else narrow(from, to || 24 * 60);
+      rest = rest.replace(m[0], ' ');
+    }
+  }
+
+  const lower = new RegExp(String.raw`\b(?:after|since|past|later than)\s+(${CLOCK_PHRASE})`, 'i');
+  const a = rest.match(lower);
+  if (a && clockPhraseMinutes(a[1]) !== null) {
+    narrow(clockPhraseMinutes(a[1]), 24 * 60);
+    rest = rest.replace(a[0], ' ');
+  }
+
+  const upper = new RegExp(String.raw`\b(?:before|until|till|earlier than)\s+(${CLOCK_PHRASE})`, 'i');
+  const b = rest.match(upper);
+  if (b && clockPhraseMinutes(b[1]) !== null) {
+    narrow(0, clockPhraseMinutes(b[1]) || 24 * 60);
+    rest = rest.replace(b[0], ' ');
+  }
+
+  const part = rest.match(/\b(?:in the |this |during the )?(morning|afternoon|evening|tonight|night)\b/i);
+  if (part) {
+    const name = part[1].toLowerCase();
+    narrow(...DAY_PARTS[name]);
+    // “tonight” also names the day
+    rest = rest.replace(part[0], name === 'tonight' ? ' today ' : ' ');
+  }
+
+  return { window: found ? { after, before } : null, rest: rest.replace(/\s+/g, ' ').trim() };
+}
+
+/** “the first meeting”, “last call” -> `{ ordinal: 1 | 2 | 3 | -1, rest }`; “last week” is not an ordinal. */
+function parseOrdinal(text) {
+  const m = text.match(
+    /\b(?:the\s+)?(first|second|third|last)\b(?!\s+(?:week|weekend|month|year|day|night|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b)/i
+  );
+  if (!m) return { ordinal: null, rest: text };
+  return { ordinal: ORDINALS[m[1].toLowerCase()], rest: text.replace(m[0], ' ').replace(/\s+/g, ' ').trim() };
+}
+
+/** “this week”, “next weekend”, “last month” -> `{ start, end }` (weeks start on Monday). */
+function parseWeekRange(text, now = currentTime(), tz = SERVER_TIME_ZONE) {
+  const m = text.toLowerCase().match(/\b(this|next|coming|last)\s+(week|weekend|month)\b/);
+  if (!m) return null;
+  const shift = m[1] === 'this' ? 0 : m[1] === 'last' ? -1 : 1;
+  const today = wallClock(now, tz);
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth();
+  const date = today.getUTCDate();
+
+  if (m[2] === 'month') {
+    const start = zonedDate(tz, year, month + shift, 1);
+    const end = zonedDate(tz, year, month + shift + 1, 0, 23, 59, 59, 999);
+    return { start, end };
+  }
+
+  const monday = date - ((today.getUTCDay() + 6) % 7) + 7 * shift;
+  const start = zonedDate(tz, year, month, monday + (m[2] === 'weekend' ? 5 : 0));
+  const end = zonedDate(tz, year, month, monday + 6, 23, 59, 59, 999);
+  return { start, end };
+}
+
+/**
+ * Work out what a natural-language delete command means without touching anything:
+ * a day or range of days, an optional time-of-day window, an optional title and
+ * an optional ordinal (“the first meeting”). Returns the interpretation, or
+ * `{ error }` with a message when the command names no date, range or title,
+ * or a title with nothing to match by (“delete "🧘" on friday”).
+ */
+function parseDeleteCommand(text, now = currentTime(), tz = SERVER_TIME_ZONE) {
+  const { ordinal, rest: withoutOrdinal } = parseOrdinal(text);
+  const { window, rest: cmd } = parseTimeWindow(withoutOrdinal);
+  const titleLike = extractTitleLike(cmd);
+  if (titleLike && !normalizeWords(titleLike).length) {
+    return { error: `The title "${titleLike}" has no letters or digits to match` };
+  }
+
+  const week = parseWeekRange(cmd, now, tz);
+  const range = !week && parseDateRange(cmd, now, tz);
+  const day = !week && !range && parseSingleDate(cmd, now, tz);
+
+  let interpretation;
+  if (week) {
+    interpretation = { mode: 'range', from: week.start, to: week.end };
+  } else if (range) {
+    interpretation = { mode: 'range', from: startOfLocalDay(range.start, tz), to: endOfLocalDay(range.end, tz) };
+  } else if (day) {
+    interpretation = { mode: 'day', date: day, from: startOfLocalDay(day, tz), to: endOfLocalDay(day, tz) };
+  } else if (titleLike) {
+    const to = addLocalDays(now, DELETE_UPCOMING_DAYS, tz);
+    interpretation = { mode: 'upcoming', from: now, to: endOfLocalDay(to, tz) };
+  } else {
+    return { error: 'No valid date, weekday or title detected' };
+  }
+
+  const clock = (m) => (m >= 24 * 60 ? '24:00' : clockOf(m));
+  return {
+    ...interpretation,
+    titleLike,
+    timeWindow: window && { after: clock(window.after), before: clock(window.before) },
+    ordinal,
+  };
+}
+
+module.exports = {
+  DELETE_UPCOMING_DAYS,
+  parseSingleDate,
+  parseDateRange,
+  extractTitleLike,
+  parseTimeWindow,
+  parseOrdinal,
+  parseWeekRange,
+  parseDeleteCommand,
+};
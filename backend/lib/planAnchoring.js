@@ -0,0 +1,126 @@
+/**
+ * Plan date anchoring: one date per sentence. "Monday: gym 7-8, review 9-10"
+ * puts both tasks on Monday; a sentence without a date inherits the last one
+ * mentioned before it. Dates are read from `now` (lib/clock by default) in
+ * the time zone `tz`.
+ */
+const chrono = require('chrono-node');
+const { currentTime } = require('./clock');
+const { escapeRegex } = require('./text');
+const {
+  SERVER_TIME_ZONE,
+  wallClock,
+  zonedDate,
+  chronoRef,
+  fromChrono,
+  startOfLocalDay,
+} = require('./time');
+
+// same shapes the AI service uses to find times and split sentences
+const PLAN_TIME_RX = /\d{1,2}(?::\d{2})?\s*(?:am|pm)?/i;
+const PLAN_SENTENCE_SPLIT = /[.,;]/;
+const EXPLICIT_DATE_RX = /(\d{1,2})(?:st|nd|rd|th)?\s+(January|February|March|April|May|June|July|August|September|October|November|December)/i;
+
+/** The day a sentence talks about ("Monday", "tomorrow", "next Tuesday", "12th November"), or null. */
+function detectSentenceDate(sentence, now = currentTime(), tz = SERVER_TIME_ZONE) {
+  const m = sentence.match(EXPLICIT_DATE_RX);
+  if (m) return { date: explicitDate(m, now, tz), text: m[0] };
+  // parse from midnight so a bare weekday can still mean today
+  const ref = chronoRef(startOfLocalDay(now, tz), tz);
+  const hit = chrono
+    .parse(sentence, ref, { forwardDate: true })
+    .find((r) => r.start.isCertain('day') || r.start.isCertain('weekday'));
+  if (hit) return { date: startOfLocalDay(fromChrono(hit.start.date(), ref, tz), tz), text: hit.text };
+  return null;
+}
+
+/** Midnight in `tz` of an EXPLICIT_DATE_RX match ("12th November"), this year. */
+function explicitDate(match, now = currentTime(), tz = SERVER_TIME_ZONE) {
+  const month = new Date(`${match[2]} 1, 2000`).getMonth();
+  return zonedDate(tz, wallClock(now, tz).getUTCFullYear(), month, parseInt(match[1], 10));
+}
+
+/**
+ * Split plan text into sentences the way the AI service does and give each one
+ * a date: its own, or the last one mentioned before it ("Monday: gym 7-8, review 9-10").
+ */
+function anchorSentences(text, now = currentTime(), tz = SERVER_TIME_ZONE) {
+  let current = null;
+  return text
+    .split(PLAN_SENTENCE_SPLIT)
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((sentence) => {
+      const found = detectSentenceDate(sentence, now, tz);
+      if (found) current = found;
+      return { sentence, hasTime: PLAN_TIME_RX.test(sentence), anchor: current };
+    });
+}
+
+/** "Monday gym" anchored by "Monday" -> "Gym" */
+function stripAnchorText(title, anchor) {
+  if (!anchor) return title;
+  const cleaned = title
+    .replace(new RegExp(escapeRegex(anchor.text), 'i'), '')
+    .replace(/^\s*(on|next|this|coming)\b/i, '')
+    .replace(/^[\s:–-]+|[\s:–-]+$/g, '');
+  return cleaned ? cleaned.charAt(0).toUpperCase() + cleaned.slice(1) : title;
+}
+
+/**
+ * The fallback day for a plan: the first sentence date, else an explicit
+ * "12th November" anywhere, else whatever chrono finds, else `now`.
+ * `source` says which one it was.
+ */
+function planReferenceDate(text, sentences, now = currentTime(), tz = SERVER_TIME_ZONE) {
+  const firstAnchor = sentences.find((s) => s.anchor);
+  if (firstAnchor) return { date: firstAnchor.anchor.date, source: 'sentence' };
+  const match = text.match(EXPLICIT_DATE_RX);
+  if (match) return { date: explicitDate(match, now, tz), source: 'explicit' };
+  const ref = chronoRef(now, tz);
+  const parsed = fromChrono(chrono.parseDate(text, ref, { forwardDate: true }), ref, tz);
+  if (parsed) return { date: parsed, source: 'chrono' };
+  return { date: now, source: 'now' };
+}
+
+/** "3pm" -> 15:00 on the day `day` falls on in `tz` (null when there is no time in it). */
+function resolveTime(timeStr, day, tz = SERVER_TIME_ZONE) {
+  if (!timeStr) return null;
+  const ref = chronoRef(day, tz);
+  const parsed = chrono.parseDate(timeStr, ref, { forwardDate: true });
+  if (!parsed) return null;
+  const time = wallClock(fromChrono(parsed, ref, tz), tz);
+  const date = wallClock(day, tz);
+  return zonedDate(
+    tz, date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+    time.getUTCHours(), time.getUTCMinutes()
+  );
+}
+
+/**
+ * The anchor of each AI task. The AI emits one task per timed sentence, in
+ * order: if the counts line up they pair by position, otherwise each task
+ * takes the sentence that contains its title (null when none does).
+ */
+function taskAnchors(sentences, tasks) {
+  const timed = sentences.filter((s) => s.hasTime);
+  return tasks.map((task, i) => {
+    if (timed.length === tasks.length) return timed[i].anchor;
+    const title = (task.title || '').toLowerCase();
+    const hit = title && sentences.find((s) => s.sentence.toLowerCase().includes(title));
+    return hit ? hit.anchor : null;
+  });
+}
+
+module.exports = {
+  PLAN_TIME_RX,
+  PLAN_SENTENCE_SPLIT,
+  EXPLICIT_DATE_RX,
+  detectSentenceDate,
+  explicitDate,
+  anchorSentences,
+  stripAnchorText,
+  planReferenceDate,
+  resolveTime,
+  taskAnchors,
+};
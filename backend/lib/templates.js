@@ -0,0 +1,80 @@
+/**
+ * Day templates ("deep work morning", "sprint review day"): named sets of
+ * blocks whose times are minutes past midnight, so one template fits any day.
+ * Turning tasks into blocks and blocks back into times happens on the
+ * user's wall clock (`tz`); nothing here touches the database.
+ */
+const { currentTime } = require('./clock');
+const { SERVER_TIME_ZONE, atLocalMinute, localMinuteOfDay, startOfLocalDay } = require('./time');
+const { detectSentenceDate } = require('./planAnchoring');
+const { normalizeWords, fuzzyTitleMatch } = require('./text');
+
+const DAY_MINUTES = 24 * 60;
+
+// "apply my focus day template on Thursday", "use the sprint review routine tomorrow"
+const TEMPLATE_COMMAND_RX = /\b(?:apply|use|load)\s+(?:(?:my|our|the)\s+)?(.+?)\s+(?:template|routine)\b(.*)$/i;
+
+/**
+ * A template command in one plan sentence -> `{ name, date, dateText, text }`,
+ * or null. Without a day in the sentence the template goes on today.
+ */
+function parseTemplateCommand(sentence, now = currentTime(), tz = SERVER_TIME_ZONE) {
+  const m = String(sentence || '').match(TEMPLATE_COMMAND_RX);
+  if (!m) return null;
+  const found = m[2].trim() && detectSentenceDate(m[2], now, tz);
+  return {
+    name: m[1].trim(),
+    date: found ? found.date : startOfLocalDay(now, tz),
+    dateText: found ? found.text : null,
+    text: m[0].trim(),
+  };
+}
+
+/**
+ * The template `name` refers to: same words first, otherwise the only one
+ * whose name contains every word ("deep work" -> "Deep work morning").
+ */
+function findTemplate(templates, name) {
+  const key = normalizeWords(name).join(' ');
+  const exact = templates.find((t) => normalizeWords(t.name).join(' ') === key);
+  if (exact) return exact;
+  const close = templates.filter((t) => fuzzyTitleMatch(t.name, name));
+  return close.length === 1 ? close[0] : null;
+}
+
+/**
+ * Timed tasks that start on the day of `day` -> template blocks, in start
+ * order. All-day tasks have no place in a day shape and are left out.
+ */
+function blocksFromTasks(tasks, day, tz = SERVER_TIME_ZONE) {
+  const dayStart = startOfLocalDay(day, tz).getTime();
+  return tasks
+    .filter((t) => !t.allDay && startOfLocalDay(t.start, tz).getTime() === dayStart)
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+    .map((t) => ({
+      title: t.title,
+      offsetMinutes: localMinuteOfDay(t.start, tz),
+      durationMinutes: Math.min(Math.max(Math.round((new Date(t.end) - new Date(t.start)) / 60000), 5), DAY_MINUTES),
+      notes: t.notes || undefined,
+      category: t.category || undefined,
+      priority: t.priority,
+      tags: t.tags && t.tags.length ? [...t.tags] : undefined,
+    }));
+}
+
+/** Template blocks placed on the day of `day`: each block plus its `start` and `end`. */
+function expandBlocks(blocks, day, tz = SERVER_TIME_ZONE) {
+  return blocks.map((b) => {
+    const start = atLocalMinute(day, b.offsetMinutes, tz);
+    return { ...b, start, end: new Date(start.getTime() + b.durationMinutes * 60000) };
+  });
+}
+
+module.exports = {
+  DAY_MINUTES,
+  TEMPLATE_COMMAND_RX,
+  parseTemplateCommand,
+  findTemplate,
+  blocksFromTasks,
+  expandBlocks,
+};
@@ -0,0 +1,52 @@
+/**
+ * Text helpers: literal regexes and forgiving title matching for commands
+ * like "delete all meditation".
+ */
+
+/** Escape user input so it can be used as a literal inside a RegExp. */
+function escapeRegex(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const normalizeWords = (s) =>
+  String(s || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    // crude singular so “meetings” finds “Meeting”
+    .map((w) => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** Query word vs title word: equal, a prefix (“med” -> “meditation”) or a small typo. */
+function wordsMatch(q, w) {
+  if (q === w) return true;
+  if (q.length >= 3 && w.startsWith(q)) return true;
+  const allowed = q.length >= 8 ? 2 : q.length >= 4 ? 1 : 0;
+  return allowed > 0 && Math.abs(q.length - w.length) <= allowed && editDistance(q, w) <= allowed;
+}
+
+/**
+ * True when every word of `query` matches some word of `title`, ignoring case,
+ * punctuation and emoji. A query with no words left (“🧘”) matches nothing.
+ */
+function fuzzyTitleMatch(title, query) {
+  const words = normalizeWords(title);
+  const queryWords = normalizeWords(query);
+  return queryWords.length > 0 && queryWords.every((q) => words.some((w) => wordsMatch(q, w)));
+}
+
+module.exports = { escapeRegex, normalizeWords, editDistance, fuzzyTitleMatch };
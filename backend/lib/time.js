@@ -0,0 +1,155 @@
+/**
+ * Time zones and clock times.
+ *
+ * Day boundaries and the dates in typed commands ("tomorrow at 3pm",
+ * "delete Friday") are read on the user's wall clock, not the server's.
+ * Intl does the zone maths; a "wall clock" is a Date whose UTC fields hold
+ * the local date and time in some zone.
+ */
+
+function isTimeZone(tz) {
+  if (typeof tz !== 'string' || !tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const SERVER_TIME_ZONE = isTimeZone(process.env.DEFAULT_TIME_ZONE)
+  ? process.env.DEFAULT_TIME_ZONE
+  : Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const zoneFormatters = new Map();
+function zoneFormatter(tz) {
+  if (!zoneFormatters.has(tz)) {
+    zoneFormatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }));
+  }
+  return zoneFormatters.get(tz);
+}
+
+/** The date and time `d` shows on a clock in `tz`. */
+function wallClock(d, tz = SERVER_TIME_ZONE) {
+  const instant = new Date(d);
+  const p = Object.fromEntries(zoneFormatter(tz).formatToParts(instant).map((x) => [x.type, Number(x.value)]));
+  return new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second, instant.getUTCMilliseconds()));
+}
+
+/** Minutes `tz` is ahead of UTC at `d` (120 for Berlin in summer). */
+const tzOffsetMinutes = (d, tz) => Math.round((wallClock(d, tz) - new Date(d)) / 60000);
+
+/**
+ * The instant a clock in `tz` reads `wall`. A time skipped by a DST change
+ * comes out an hour later; a repeated one picks the first of the two.
+ */
+function fromWallClock(wall, tz = SERVER_TIME_ZONE) {
+  const guess = wall.getTime() - tzOffsetMinutes(wall, tz) * 60000;
+  return new Date(wall.getTime() - tzOffsetMinutes(guess, tz) * 60000);
+}
+
+/** `new Date(y, m, d, h, min)`, but in `tz`. */
+const zonedDate = (tz, y, m, d, h = 0, min = 0, sec = 0, ms = 0) =>
+  fromWallClock(new Date(Date.UTC(y, m, d, h, min, sec, ms)), tz);
+
+/** `d` moved by whole days in `tz`, keeping its time of day across DST changes. */
+function addLocalDays(d, days, tz = SERVER_TIME_ZONE) {
+  const wall = wallClock(d, tz);
+  wall.setUTCDate(wall.getUTCDate() + days);
+  return fromWallClock(wall, tz);
+}
+
+const DAY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/** Midnight in `tz` of a calendar day ("2026-11-12") or of the day a date falls on there. */
+function localDay(value, tz = SERVER_TIME_ZONE) {
+  const m = typeof value === 'string' && value.match(DAY_RE);
+  return m ? zonedDate(tz, Number(m[1]), m[2] - 1, Number(m[3])) : startOfLocalDay(value, tz);
+}
+
+/** 0 = Sunday, like Date#getDay, in `tz`. */
+const localWeekday = (d, tz = SERVER_TIME_ZONE) => wallClock(d, tz).getUTCDay();
+
+/** "Fri, Nov 13, 2026" for the day `d` falls on in `tz`. */
+const dayLabel = (d, tz = SERVER_TIME_ZONE) =>
+  new Date(d).toLocaleDateString('en-US', { timeZone: tz, weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+/** `minutes` past midnight on the day `d` falls on in `tz` (570 = 09:30). */
+function atLocalMinute(d, minutes, tz = SERVER_TIME_ZONE) {
+  const w = wallClock(d, tz);
+  return zonedDate(tz, w.getUTCFullYear(), w.getUTCMonth(), w.getUTCDate(), 0, minutes);
+}
+
+/** Minutes since midnight in `tz`. */
+function localMinuteOfDay(d, tz = SERVER_TIME_ZONE) {
+  const wall = wallClock(d, tz);
+  return wall.getUTCHours() * 60 + wall.getUTCMinutes();
+}
+
+/**
+ * chrono only knows fixed UTC offsets, so dates are parsed with the offset
+ * `tz` has at `now` (`chronoRef`) and moved back onto the zone's own clock
+ * afterwards (`fromChrono`): "3pm on 12 Nov" stays 3pm past a DST change.
+ */
+const chronoRef = (now, tz) => ({ instant: now, timezone: tzOffsetMinutes(now, tz) });
+const fromChrono = (d, ref, tz) => d && fromWallClock(new Date(d.getTime() + ref.timezone * 60000), tz);
+
+// midnight and the last millisecond of the day `d` falls on in `tz`
+function startOfLocalDay(d, tz = SERVER_TIME_ZONE) {
+  const w = wallClock(d, tz);
+  return zonedDate(tz, w.getUTCFullYear(), w.getUTCMonth(), w.getUTCDate());
+}
+function endOfLocalDay(d, tz = SERVER_TIME_ZONE) {
+  const w = wallClock(d, tz);
+  return zonedDate(tz, w.getUTCFullYear(), w.getUTCMonth(), w.getUTCDate(), 23, 59, 59, 999);
+}
+
+/**
+ * "7", "2:30", "11am" -> "HH:MM". Bare hours without am/pm borrow the other
+ * end's meridiem ("12-3am"), otherwise 7-11 are mornings and 1-6 afternoons.
+ */
+function toClock(match, fallbackMeridiem) {
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  if (hour > 23 || minute > 59) return null;
+  const meridiem = (match[3] || fallbackMeridiem || '').toLowerCase();
+  if (meridiem === 'pm' && hour < 12) hour += 12;
+  else if (meridiem === 'am' && hour === 12) hour = 0;
+  else if (!meridiem && hour >= 1 && hour <= 6) hour += 12;
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+const minutesOf = (clock) => {
+  const [h, m] = clock.split(':').map(Number);
+  return h * 60 + m;
+};
+const clockOf = (minutes) =>
+  `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+module.exports = {
+  SERVER_TIME_ZONE,
+  DAY_RE,
+  isTimeZone,
+  wallClock,
+  tzOffsetMinutes,
+  fromWallClock,
+  zonedDate,
+  addLocalDays,
+  localDay,
+  localWeekday,
+  dayLabel,
+  atLocalMinute,
+  localMinuteOfDay,
+  chronoRef,
+  fromChrono,
+  startOfLocalDay,
+  endOfLocalDay,
+  toClock,
+  minutesOf,
+  clockOf,
+};
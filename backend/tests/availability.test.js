@@ -0,0 +1,71 @@
+const {
+  DEFAULT_AVAILABILITY,
+  weekSpan,
+  workWindow,
+  protectedBlocks,
+  suggestionWindow,
+} = require('../lib/availability');
+const { wallClock, zonedDate } = require('../lib/time');
+
+const TZ = 'Europe/Berlin';
+const wall = (d, tz = TZ) => wallClock(d, tz).toISOString().slice(0, 16).replace('T', ' ');
+const span = (w) => w && [wall(w.start), wall(w.end)];
+
+const SETTINGS = {
+  ...DEFAULT_AVAILABILITY,
+  workingHours: [
+    { day: 1, start: '08:30', end: '17:00' },
+    { day: 5, start: '10:00', end: '14:00' },
+  ],
+  focusBlocks: [{ label: 'Deep work', days: [1, 3], start: '09:00', end: '11:00' }],
+  breakTimes: [{ label: 'Lunch', start: '12:30', end: '13:15' }],
+};
+
+const monday = zonedDate(TZ, 2026, 9, 19, 15);
+const tuesday = zonedDate(TZ, 2026, 9, 20, 15);
+
+describe('working hours', () => {
+  it('gives each weekday its own window and none on days off', () => {
+    expect(span(workWindow(SETTINGS, monday, TZ))).toEqual(['2026-10-19 08:30', '2026-10-19 17:00']);
+    expect(span(workWindow(SETTINGS, zonedDate(TZ, 2026, 9, 23), TZ))).toEqual(['2026-10-23 10:00', '2026-10-23 14:00']);
+    expect(workWindow(SETTINGS, tuesday, TZ)).toBeNull();
+  });
+
+  it('spans the week from the earliest start to the latest end', () => {
+    expect(weekSpan(SETTINGS)).toEqual({ startMin: 510, endMin: 1020 });
+    expect(weekSpan({ ...SETTINGS, workingHours: [] })).toBeNull();
+  });
+});
+
+describe('protectedBlocks', () => {
+  it('lists focus blocks on their days and breaks on working days', () => {
+    const blocks = protectedBlocks(SETTINGS, zonedDate(TZ, 2026, 9, 19), zonedDate(TZ, 2026, 9, 22), TZ);
+    expect(blocks.map((b) => [b.kind, b.title, wall(b.start), wall(b.end)])).toEqual([
+      ['focus', '🎯 Deep work', '2026-10-19 09:00', '2026-10-19 11:00'],
+      ['break', '☕ Lunch', '2026-10-19 12:30', '2026-10-19 13:15'],
+      ['focus', '🎯 Deep work', '2026-10-21 09:00', '2026-10-21 11:00'],
+    ]);
+  });
+
+  it('keeps wall-clock times past a DST change and trims to the range', () => {
+    const from = zonedDate(TZ, 2026, 10, 2, 10);
+    const blocks = protectedBlocks(SETTINGS, from, zonedDate(TZ, 2026, 10, 3), TZ);
+    expect(blocks.map((b) => [b.title, wall(b.start)])).toEqual([
+      ['🎯 Deep work', '2026-11-02 09:00'],
+      ['☕ Lunch', '2026-11-02 12:30'],
+    ]);
+  });
+});
+
+describe('suggestionWindow', () => {
+  it('stretches the working hours to cover the tasks planned that day', () => {
+    const gym = { start: zonedDate(TZ, 2026, 9, 19, 7), end: zonedDate(TZ, 2026, 9, 19, 8) };
+    const friday = { start: zonedDate(TZ, 2026, 9, 23, 6), end: zonedDate(TZ, 2026, 9, 23, 7) };
+    expect(span(suggestionWindow(SETTINGS, monday, [gym, friday], TZ))).toEqual(['2026-10-19 07:00', '2026-10-19 17:00']);
+  });
+
+  it("uses the week's span on a day off", () => {
+    expect(span(suggestionWindow(SETTINGS, tuesday, [], TZ))).toEqual(['2026-10-20 08:30', '2026-10-20 17:00']);
+    expect(suggestionWindow({ ...SETTINGS, workingHours: [] }, tuesday, [], TZ)).toBeNull();
+  });
+});
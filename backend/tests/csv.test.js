@@ -0,0 +1,54 @@
+const { toCsv, parseCsv, csvRecords } = require('../lib/csv');
+
+describe('toCsv', () => {
+  it('quotes cells that need it and writes structure as JSON', () => {
+    const csv = toCsv(
+      [
+        { title: 'Standup', start: new Date('2026-10-20T07:00:00Z'), tags: ['work'] },
+        { title: 'Lunch, "long"', notes: 'line one\nline two' },
+      ],
+      ['title', 'start', 'tags', 'notes'],
+    );
+    expect(csv).toBe(
+      'title,start,tags,notes\r\n' +
+        'Standup,2026-10-20T07:00:00.000Z,"[""work""]",\r\n' +
+        '"Lunch, ""long""",,,"line one\nline two"\r\n',
+    );
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads quoted commas, quotes and line breaks', () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""hi""\nbye"\n\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"\nbye'],
+    ]);
+  });
+
+  it('ignores a byte order mark and a missing final newline', () => {
+    expect(parseCsv('\uFEFFa,b\n1,2')).toEqual([
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+  });
+});
+
+describe('csvRecords', () => {
+  it('round-trips what toCsv wrote', () => {
+    const rows = [
+      {
+        title: 'Walk',
+        recurrence: { freq: 'daily', count: 3 },
+        tags: ['health', 'outdoors'],
+        notes: '[not json',
+      },
+      { title: 'Read' },
+    ];
+    const columns = ['title', 'recurrence', 'tags', 'notes'];
+    expect(csvRecords(toCsv(rows, columns))).toEqual(rows);
+  });
+
+  it('returns nothing for a file with only a header', () => {
+    expect(csvRecords('title,start\r\n')).toEqual([]);
+  });
+});
@@ -0,0 +1,200 @@
+const {
+  parseSingleDate,
+  parseDateRange,
+  extractTitleLike,
+  parseTimeWindow,
+  parseOrdinal,
+  parseWeekRange,
+  parseDeleteCommand,
+} = require('../lib/deleteParsing');
+const { wallClock } = require('../lib/time');
+
+// Monday 19 Oct 2026, 10:00 in Berlin
+const TZ = 'Europe/Berlin';
+const NOW = new Date('2026-10-19T08:00:00Z');
+
+// "2026-10-23 12:00" on a Berlin clock
+const wall = (d, tz = TZ) => wallClock(d, tz).toISOString().slice(0, 16).replace('T', ' ');
+
+describe('parseSingleDate', () => {
+  it.each([
+    ['on Friday', '2026-10-23'],
+    ['fri', '2026-10-23'],
+    ['on wednesday', '2026-10-21'],
+    ['tomorrow', '2026-10-20'],
+    ['next friday', '2026-10-30'],
+    ['12th Nov', '2026-11-12'],
+  ])('%s -> %s', (text, day) => {
+    expect(wall(parseSingleDate(text, NOW, TZ)).slice(0, 10)).toBe(day);
+  });
+
+  it('reads a weekday that is today as today', () => {
+    expect(wall(parseSingleDate('on Monday', NOW, TZ)).slice(0, 10)).toBe('2026-10-19');
+  });
+
+  it('keeps a time of day on the user clock', () => {
+    expect(wall(parseSingleDate('on monday at 3pm', NOW, TZ))).toBe('2026-10-19 15:00');
+    expect(wall(parseSingleDate('on monday at 3pm', NOW, 'America/New_York'), 'America/New_York')).toBe(
+      '2026-10-19 15:00'
+    );
+  });
+
+  it('uses the day in the given zone, not the server one', () => {
+    // 23:30 UTC on Monday is already Tuesday in Berlin and still Monday in New York
+    const late = new Date('2026-10-19T23:30:00Z');
+    expect(wall(parseSingleDate('tomorrow', late, TZ)).slice(0, 10)).toBe('2026-10-21');
+    expect(wall(parseSingleDate('tomorrow', late, 'America/New_York'), 'America/New_York').slice(0, 10)).toBe(
+      '2026-10-20'
+    );
+  });
+
+  it('returns null without a date', () => {
+    expect(parseSingleDate('nothing here', NOW, TZ)).toBeNull();
+  });
+});
+
+describe('parseDateRange', () => {
+  it('parses "between X and Y"', () => {
+    const { start, end } = parseDateRange('between wed and fri', NOW, TZ);
+    expect(wall(start).slice(0, 10)).toBe('2026-10-21');
+    expect(wall(end).slice(0, 10)).toBe('2026-10-23');
+  });
+
+  it('parses "from X to Y" with explicit dates', () => {
+    const { start, end } = parseDateRange('from 12 nov to 14 nov', NOW, TZ);
+    expect(wall(start).slice(0, 10)).toBe('2026-11-12');
+    expect(wall(end).slice(0, 10)).toBe('2026-11-14');
+  });
+
+  it('orders a backwards range', () => {
+    const { start, end } = parseDateRange('from friday to wednesday', NOW, TZ);
+    expect(start < end).toBe(true);
+    expect(wall(start).slice(0, 10)).toBe('2026-10-21');
+  });
+
+  it('returns null without a range', () => {
+    expect(parseDateRange('hello', NOW, TZ)).toBeNull();
+    expect(parseDateRange('from here to nowhere', NOW, TZ)).toBeNull();
+  });
+});
+
+describe('extractTitleLike', () => {
+  it.each([
+    ['delete short meditation from friday', 'short meditation'],
+    ['delete "team sync" on wednesday', 'team sync'],
+    ["remove 'Gym' tomorrow", 'Gym'],
+    ['delete 3pm meeting tomorrow', 'meeting'],
+    ['cancel my gym sessions next week', 'gym sessions'],
+  ])('%s -> %s', (text, title) => {
+    expect(extractTitleLike(text)).toBe(title);
+  });
+
+  it('returns null when only command words are left', () => {
+    expect(extractTitleLike('delete everything on friday')).toBeNull();
+    expect(extractTitleLike('clear all tasks between 12th nov and 14th nov')).toBeNull();
+  });
+});
+
+describe('parseTimeWindow', () => {
+  it.each([
+    ['delete after 6pm tomorrow', { after: 18 * 60, before: 24 * 60 }, 'delete tomorrow'],
+    ['delete between 2 and 4pm', { after: 14 * 60, before: 16 * 60 }, 'delete'],
+    ['before noon on friday', { after: 0, before: 12 * 60 }, 'on friday'],
+    ['clear friday in the morning', { after: 5 * 60, before: 12 * 60 }, 'clear friday'],
+    ['delete tonight', { after: 17 * 60, before: 24 * 60 }, 'delete today'],
+  ])('%s', (text, window, rest) => {
+    expect(parseTimeWindow(text)).toEqual({ window, rest });
+  });
+
+  it('keeps a window across midnight and narrows it to one side', () => {
+    expect(parseTimeWindow('delete between 10pm and 2am').window).toEqual({ after: 22 * 60, before: 2 * 60 });
+    expect(parseTimeWindow('delete between 10pm and 2am before 1am').window).toEqual({ after: 0, before: 60 });
+    expect(parseTimeWindow('delete from 10pm to 2am at night').window).toEqual({ after: 22 * 60, before: 24 * 60 });
+    expect(parseTimeWindow('delete between 10pm and 2am in the afternoon').window).toEqual({ after: 0, before: 0 });
+  });
+
+  it('leaves date ranges alone', () => {
+    expect(parseTimeWindow('delete from 12 nov to 14 nov')).toEqual({
+      window: null,
+      rest: 'delete from 12 nov to 14 nov',
+    });
+  });
+});
+
+describe('parseOrdinal', () => {
+  it('finds first / last', () => {
+    expect(parseOrdinal('delete the first meeting tomorrow')).toEqual({ ordinal: 1, rest: 'delete meeting tomorrow' });
+    expect(parseOrdinal('delete last call')).toEqual({ ordinal: -1, rest: 'delete call' });
+  });
+
+  it('does not treat "last week" as an ordinal', () => {
+    expect(parseOrdinal('delete everything last week').ordinal).toBeNull();
+  });
+});
+
+describe('parseWeekRange', () => {
+  it.each([
+    ['this week', '2026-10-19 00:00', '2026-10-25 23:59'],
+    ['coming week', '2026-10-26 00:00', '2026-11-01 23:59'],
+    ['next weekend', '2026-10-31 00:00', '2026-11-01 23:59'],
+    ['last month', '2026-09-01 00:00', '2026-09-30 23:59'],
+    ['next month', '2026-11-01 00:00', '2026-11-30 23:59'],
+  ])('%s', (text, start, end) => {
+    const range = parseWeekRange(text, NOW, TZ);
+    expect(wall(range.start)).toBe(start);
+    expect(wall(range.end)).toBe(end);
+  });
+
+  it('ends on local midnight after a DST change', () => {
+    // Berlin leaves summer time on 25 Oct, so next Sunday ends at 23:59 CET
+    expect(parseWeekRange('next week', NOW, TZ).end.toISOString()).toBe('2026-11-01T22:59:59.999Z');
+  });
+
+  it('returns null without a week or month', () => {
+    expect(parseWeekRange('on friday', NOW, TZ)).toBeNull();
+  });
+});
+
+describe('parseDeleteCommand', () => {
+  it('reads a single day', () => {
+    const cmd = parseDeleteCommand('delete the first meeting tomorrow', NOW, TZ);
+    expect(cmd).toMatchObject({ mode: 'day', titleLike: 'meeting', ordinal: 1, timeWindow: null });
+    expect(cmd.from.toISOString()).toBe('2026-10-19T22:00:00.000Z');
+    expect(cmd.to.toISOString()).toBe('2026-10-20T21:59:59.999Z');
+  });
+
+  it('reads a time window across midnight', () => {
+    const cmd = parseDeleteCommand('delete between 10pm and 2am on friday', NOW, TZ);
+    expect(cmd).toMatchObject({ mode: 'day', timeWindow: { after: '22:00', before: '02:00' } });
+  });
+
+  it('reads a range with a time window', () => {
+    const cmd = parseDeleteCommand('clear everything between wed and fri after 6pm', NOW, TZ);
+    expect(cmd).toMatchObject({ mode: 'range', titleLike: null, timeWindow: { after: '18:00', before: '24:00' } });
+    expect(wall(cmd.from)).toBe('2026-10-21 00:00');
+    expect(wall(cmd.to)).toBe('2026-10-23 23:59');
+  });
+
+  it('reads a week', () => {
+    const cmd = parseDeleteCommand('delete everything next week', NOW, TZ);
+    expect(cmd.mode).toBe('range');
+    expect(wall(cmd.from)).toBe('2026-10-26 00:00');
+  });
+
+  it('looks ahead for a title without a date', () => {
+    const cmd = parseDeleteCommand('delete gym', NOW, TZ);
+    expect(cmd).toMatchObject({ mode: 'upcoming', titleLike: 'gym' });
+    expect(cmd.from).toEqual(NOW);
+    expect(wall(cmd.to)).toBe('2027-01-17 23:59');
+  });
+
+  it('reports a command with nothing to go on', () => {
+    expect(parseDeleteCommand('delete all', NOW, TZ)).toEqual({ error: 'No valid date, weekday or title detected' });
+  });
+
+  it('refuses a title with nothing to match by instead of matching every task', () => {
+    expect(parseDeleteCommand('delete "🧘" on friday', NOW, TZ)).toEqual({
+      error: 'The title "🧘" has no letters or digits to match',
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Route tests run the real app against an in-memory MongoDB, with the AI
+ * service replaced by a local stub and the clock pinned to NOW.
+ */
+const http = require('http');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { setCurrentTime } = require('../../lib/clock');
+const { zonedDate } = require('../../lib/time');
+
+// Monday 19 Oct 2026, 10:00 on the test user's clock
+const TZ = 'Europe/Berlin';
+const NOW = new Date('2026-10-19T08:00:00Z');
+
+/** "2026-10-23 18:30" on the test user's clock -> ISO string */
+function at(text, tz = TZ) {
+  const [y, mo, d, h = 0, mi = 0] = text.split(/[-: ]/).map(Number);
+  return zonedDate(tz, y, mo - 1, d, h, mi).toISOString();
+}
+
+/**
+ * Stand-in for the Flask AI service. `reply(text)` builds the /api/plan
+ * response; set `status` to make it fail instead. `calls` records the texts.
+ */
+async function startAiStub() {
+  const stub = {
+    calls: [],
+    status: 200,
+    reply: () => ({
+      sentiment: 'POSITIVE',
+      score: 0.9,
+      detectedEmotion: 'Balanced',
+      taskCount: 0,
+      tasks: [],
+      suggestions: [],
+      message: 'Your plan seems balanced.',
+    }),
+  };
+  const app = express();
+  app.use(express.json());
+  app.post('/api/plan', (req, res) => {
+    stub.calls.push(req.body.text);
+    if (stub.status !== 200) return res.status(stub.status).json({ error: 'stubbed failure' });
+    res.json(stub.reply(req.body.text));
+  });
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  stub.close = () => new Promise((resolve) => server.close(resolve));
+  return stub;
+}
+
+/**
+ * Start everything and load the app. Returns `{ app, ai, reset, signUp, stop }`;
+ * call `reset()` before each test and `stop()` after all of them.
+ */
+async function startTestApp() {
+  const ai = await startAiStub();
+  process.env.AI_PROVIDER = 'http';
+  process.env.AI_SERVICE_URL = ai.url;
+  process.env.AI_RETRIES = '0';
+  process.env.AI_BREAKER_THRESHOLD = '1000';
+
+  let mongo;
+  try {
+    mongo = await MongoMemoryServer.create();
+    await mongoose.connect(mongo.getUri());
+  } catch (e) {
+    await ai.close();
+    throw e;
+  }
+  const app = require('../../index');
+  await Promise.all(Object.values(mongoose.models).map((m) => m.init()));
+
+  const defaultReply = ai.reply;
+  return {
+    app,
+    ai,
+
+    async reset() {
+      setCurrentTime(NOW);
+      ai.calls = [];
+      ai.status = 200;
+      ai.reply = defaultReply;
+      await Promise.all(Object.values(mongoose.connection.collections).map((c) => c.deleteMany({})));
+    },
+
+    /** Register a fresh user; resolves to headers for authenticated requests. */
+    async signUp(email = 'ada@example.com') {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({ email, password: 'correct horse battery', name: 'Ada' })
+        .expect(201);
+      return { Authorization: `Bearer ${res.body.token}`, 'X-Time-Zone': TZ };
+    },
+
+    async stop() {
+      setCurrentTime(null);
+      await mongoose.disconnect();
+      await mongo.stop();
+      await ai.close();
+    },
+  };
+}
+
+module.exports = { TZ, NOW, at, startTestApp };
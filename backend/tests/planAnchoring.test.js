@@ -0,0 +1,126 @@
+const {
+  detectSentenceDate,
+  anchorSentences,
+  stripAnchorText,
+  planReferenceDate,
+  resolveTime,
+  taskAnchors,
+} = require('../lib/planAnchoring');
+const { setCurrentTime } = require('../lib/clock');
+const { wallClock } = require('../lib/time');
+
+// Monday 19 Oct 2026, 10:00 in Berlin
+const TZ = 'Europe/Berlin';
+const NOW = new Date('2026-10-19T08:00:00Z');
+
+const wall = (d, tz = TZ) => wallClock(d, tz).toISOString().slice(0, 16).replace('T', ' ');
+const day = (d) => wall(d).slice(0, 10);
+
+afterEach(() => setCurrentTime(null));
+
+describe('detectSentenceDate', () => {
+  it.each([
+    ['Monday gym', '2026-10-19', 'Monday'],
+    ['tomorrow', '2026-10-20', 'tomorrow'],
+    ['next Tuesday', '2026-10-27', 'next Tuesday'],
+    ['Sunday run', '2026-10-25', 'Sunday'],
+    ['12th November', '2026-11-12', '12th November'],
+  ])('%s', (sentence, date, text) => {
+    const found = detectSentenceDate(sentence, NOW, TZ);
+    expect(found.text).toBe(text);
+    expect(wall(found.date)).toBe(`${date} 00:00`);
+  });
+
+  it('returns null for a sentence without a day', () => {
+    expect(detectSentenceDate('gym 7-8', NOW, TZ)).toBeNull();
+  });
+
+  it('reads "now" from the clock when none is passed', () => {
+    setCurrentTime('2026-10-22T08:00:00Z'); // a Thursday
+    expect(day(detectSentenceDate('tomorrow', undefined, TZ).date)).toBe('2026-10-23');
+  });
+});
+
+describe('anchorSentences', () => {
+  it('carries the last date forward to sentences without one', () => {
+    const sentences = anchorSentences('Monday: gym 7-8, review 9-10. Tuesday dentist at 3pm; call mom', NOW, TZ);
+    expect(
+      sentences.map((s) => [s.sentence, s.hasTime, s.anchor && s.anchor.text, s.anchor && day(s.anchor.date)])
+    ).toEqual([
+      ['Monday: gym 7-8', true, 'Monday', '2026-10-19'],
+      ['review 9-10', true, 'Monday', '2026-10-19'],
+      ['Tuesday dentist at 3pm', true, 'Tuesday', '2026-10-20'],
+      ['call mom', false, 'Tuesday', '2026-10-20'],
+    ]);
+  });
+
+  it('leaves sentences before the first date unanchored', () => {
+    const [first, second] = anchorSentences('gym 7-8, Friday review 9-10', NOW, TZ);
+    expect(first.anchor).toBeNull();
+    expect(day(second.anchor.date)).toBe('2026-10-23');
+  });
+});
+
+describe('stripAnchorText', () => {
+  it('removes the date words from a title', () => {
+    expect(stripAnchorText('Monday gym', { text: 'Monday' })).toBe('Gym');
+    expect(stripAnchorText('on Tuesday: dentist', { text: 'Tuesday' })).toBe('Dentist');
+  });
+
+  it('keeps the title when nothing else is left', () => {
+    expect(stripAnchorText('Tuesday', { text: 'Tuesday' })).toBe('Tuesday');
+    expect(stripAnchorText('Gym', null)).toBe('Gym');
+  });
+});
+
+describe('planReferenceDate', () => {
+  const reference = (text) => planReferenceDate(text, anchorSentences(text, NOW, TZ), NOW, TZ);
+
+  it('prefers the first sentence date', () => {
+    const { date, source } = reference('next friday gym at 9');
+    expect(source).toBe('sentence');
+    expect(day(date)).toBe('2026-10-30');
+  });
+
+  it('falls back to now', () => {
+    expect(reference('gym 7-8')).toEqual({ date: NOW, source: 'now' });
+  });
+});
+
+describe('resolveTime', () => {
+  // Monday 2 Nov, after Berlin switched to winter time
+  const monday = new Date('2026-11-01T23:00:00Z');
+
+  it.each([
+    ['3pm', '2026-11-02 15:00'],
+    ['09:30', '2026-11-02 09:30'],
+    ['noon', '2026-11-02 12:00'],
+  ])('%s', (time, expected) => {
+    expect(wall(resolveTime(time, monday, TZ))).toBe(expected);
+  });
+
+  it('returns null for text without a time', () => {
+    expect(resolveTime('nope', monday, TZ)).toBeNull();
+    expect(resolveTime('', monday, TZ)).toBeNull();
+  });
+
+  it('reads the day and time in the given zone', () => {
+    // still Sunday evening in New York
+    expect(resolveTime('3pm', monday, 'America/New_York').toISOString()).toBe('2026-11-01T20:00:00.000Z');
+  });
+});
+
+describe('taskAnchors', () => {
+  const sentences = anchorSentences('Monday: gym 7-8, review 9-10. Tuesday dentist at 3pm', NOW, TZ);
+
+  it('pairs tasks with timed sentences by position when the counts match', () => {
+    const anchors = taskAnchors(sentences, [{ title: 'Workout' }, { title: 'Review' }, { title: 'Dentist' }]);
+    expect(anchors.map((a) => a.text)).toEqual(['Monday', 'Monday', 'Tuesday']);
+  });
+
+  it('matches by title otherwise', () => {
+    const anchors = taskAnchors(sentences, [{ title: 'Dentist' }, { title: 'Unknown' }]);
+    expect(anchors[0].text).toBe('Tuesday');
+    expect(anchors[1]).toBeNull();
+  });
+});
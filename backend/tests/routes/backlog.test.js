@@ -0,0 +1,122 @@
+const request = require('supertest');
+const { at, startTestApp } = require('../helpers/testApp');
+
+let ctx;
+let auth;
+
+beforeAll(async () => {
+  ctx = await startTestApp();
+});
+afterAll(() => ctx?.stop());
+beforeEach(async () => {
+  await ctx.reset();
+  auth = await ctx.signUp();
+});
+
+const api = () => request(ctx.app);
+const addToBacklog = (body, status = 201) => api().post('/api/tasks/backlog').set(auth).send(body).expect(status);
+const backlog = async (headers = auth) =>
+  (await api().get('/api/tasks/backlog').set(headers).expect(200)).body.map((t) => t.title);
+const calendar = async (query = {}) =>
+  (await api().get('/api/tasks').set(auth).query(query).expect(200)).body.map((t) => [t.title, t.start, t.end]);
+const update = (id, body, status = 200) => api().put(`/api/tasks/${id}`).set(auth).send(body).expect(status);
+
+describe('backlog tasks', () => {
+  it('keeps tasks without a time off the calendar', async () => {
+    const { body } = await addToBacklog({ title: 'Read that paper', priority: 'low' });
+    expect(body).toMatchObject({ start: null, end: null, durationMinutes: 60, priority: 'low' });
+
+    expect(await backlog()).toEqual(['Read that paper']);
+    expect(await calendar()).toEqual([]);
+    expect(await calendar({ from: at('2026-10-19 00:00'), to: at('2026-10-26 00:00') })).toEqual([]);
+  });
+
+  it('refuses times and missing titles', async () => {
+    expect((await addToBacklog({ title: 'x', start: at('2026-10-20 09:00') }, 422)).body.fields[0].path).toBe('start');
+    expect((await addToBacklog({ durationMinutes: 30 }, 422)).body.fields[0].path).toBe('title');
+  });
+
+  it('schedules a dropped task for its own length', async () => {
+    const { body: task } = await addToBacklog({ title: 'Plan offsite', durationMinutes: 90 });
+    const { body } = await update(task._id, { start: at('2026-10-21 10:00') });
+    expect([body.start, body.end]).toEqual([at('2026-10-21 10:00'), at('2026-10-21 11:30')]);
+
+    expect(await backlog()).toEqual([]);
+    expect(await calendar()).toEqual([['Plan offsite', at('2026-10-21 10:00'), at('2026-10-21 11:30')]]);
+  });
+
+  it('unschedules a task, remembering its length, and undoes that', async () => {
+    const { body: task } = await api()
+      .post('/api/tasks')
+      .set(auth)
+      .send({ title: 'Gym', start: at('2026-10-20 18:00'), end: at('2026-10-20 18:45') })
+      .expect(200);
+
+    const { body } = await update(task._id, { start: null, end: null });
+    expect(body).toMatchObject({ start: null, end: null, durationMinutes: 45 });
+    expect(await backlog()).toEqual(['Gym']);
+    expect(await calendar()).toEqual([]);
+
+    await api().post('/api/tasks/undo').set(auth).send({ batchId: body.batchId }).expect(200);
+    expect(await backlog()).toEqual([]);
+    expect(await calendar()).toEqual([['Gym', at('2026-10-20 18:00'), at('2026-10-20 18:45')]]);
+  });
+
+  it('clears start and end together and keeps series scheduled', async () => {
+    const { body: task } = await api()
+      .post('/api/tasks')
+      .set(auth)
+      .send({ title: 'Standup', start: at('2026-10-20 09:00'), end: at('2026-10-20 09:15'), recurrence: { freq: 'daily' } })
+      .expect(200);
+
+    expect((await update(task._id, { start: null }, 422)).body.fields[0].path).toBe('end');
+    expect((await update(task._id, { start: null, end: null }, 422)).body.fields[0].path).toBe('start');
+
+    const { body: someday } = await addToBacklog({ title: 'Someday' });
+    expect((await update(someday._id, { end: at('2026-10-20 10:00') }, 422)).body.fields[0].path).toBe('start');
+  });
+
+  it('auto-schedules by deadline and commits the accepted slots as one undo', async () => {
+    await api()
+      .put('/api/settings')
+      .set(auth)
+      .send({ workingHours: [{ day: 1, start: '09:00', end: '12:00' }], minBreakMinutes: 0 })
+      .expect(200);
+    await addToBacklog({ title: 'Slides', durationMinutes: 90 });
+    await addToBacklog({ title: 'Report', durationMinutes: 60, deadline: at('2026-10-19 11:00'), effort: 'heavy' });
+
+    const { body } = await api()
+      .post('/api/tasks/backlog/auto-schedule')
+      .set(auth)
+      .send({ from: at('2026-10-19 09:00'), to: at('2026-10-20 00:00') })
+      .expect(200);
+    expect(body.proposal.map((p) => [p.title, p.start, p.end])).toEqual([
+      ['Report', at('2026-10-19 09:00'), at('2026-10-19 10:00')],
+      ['Slides', at('2026-10-19 10:00'), at('2026-10-19 11:30')],
+    ]);
+
+    const items = body.proposal.map(({ taskId, start, end }) => ({ taskId, start, end }));
+    const commit = (sent, status) =>
+      api().post('/api/tasks/backlog/auto-schedule/commit').set(auth).send({ items: sent }).expect(status);
+    expect((await commit([items[0], items[0]], 422)).body.fields[0].path).toBe('items[1].taskId');
+    const { body: saved } = await commit(items, 200);
+    expect(saved.message).toBe('✅ 2 task(s) added to your calendar.');
+    expect(await backlog()).toEqual([]);
+    expect(await calendar()).toEqual(items.map((it, i) => [body.proposal[i].title, it.start, it.end]));
+    expect((await commit([items[0]], 409)).body.taskId).toBe(items[0].taskId);
+
+    await api().post('/api/tasks/undo').set(auth).send({ batchId: saved.batchId }).expect(200);
+    expect((await backlog()).sort()).toEqual(['Report', 'Slides']);
+    expect(await calendar()).toEqual([]);
+  });
+
+  it('survives a backup round trip', async () => {
+    await addToBacklog({ title: 'Learn Rust', durationMinutes: 120 });
+    const { body: file } = await api().get('/api/export').set(auth).expect(200);
+
+    const other = await ctx.signUp('grace@example.com');
+    await api().post('/api/import').set(other).send(file).expect(200);
+    const { body } = await api().get('/api/tasks/backlog').set(other).expect(200);
+    expect(body).toEqual([expect.objectContaining({ title: 'Learn Rust', start: null, durationMinutes: 120 })]);
+  });
+});
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { at, startTestApp } = require('../helpers/testApp');
+
+let ctx;
+let auth;
+
+beforeAll(async () => {
+  ctx = await startTestApp();
+});
+afterAll(() => ctx?.stop());
+beforeEach(async () => {
+  await ctx.reset();
+  auth = await ctx.signUp();
+  await addTask('Standup', '2026-10-20 09:00', '2026-10-20 09:15', { tags: ['work'] });
+  await addTask('Walk', '2026-10-19 12:00', '2026-10-19 12:30', { recurrence: { freq: 'daily', count: 3 } });
+  await addTask('Dentist', '2026-11-20 15:00', '2026-11-20 16:00');
+  await api()
+    .post('/api/schedules')
+    .set(auth)
+    .send({ text: 'Calm, "quiet" morning', selfReportedEmotion: 'Calm' })
+    .expect(201);
+});
+
+const api = () => request(ctx.app);
+function addTask(title, start, end, extra = {}) {
+  return api()
+    .post('/api/tasks')
+    .set(auth)
+    .send({ title, start: at(start), end: at(end), ...extra })
+    .expect(200);
+}
+const exportData = (query) => api().get('/api/export').set(auth).query(query).expect(200);
+const importData = (body, query = {}, status = 200) =>
+  api().post('/api/import').set(auth).query(query).send(body).expect(status);
+const titles = async () => {
+  const { body } = await api()
+    .get('/api/tasks')
+    .set(auth)
+    .query({ from: at('2026-10-01 00:00'), to: at('2026-12-01 00:00') });
+  return body.map((t) => t.title);
+};
+
+describe('GET /api/export', () => {
+  it('exports tasks and the journal as one JSON backup', async () => {
+    const { body, headers } = await exportData({});
+    expect(headers['content-disposition']).toBe('attachment; filename="planner-backup-2026-10-19.json"');
+    expect(body.version).toBe(1);
+    expect(body.tasks.map((t) => t.title)).toEqual(['Walk', 'Standup', 'Dentist']);
+    expect(body.tasks[0].recurrence).toMatchObject({ freq: 'daily', count: 3 });
+    expect(body.tasks[0].owner).toBeUndefined();
+    expect(body.schedules).toEqual([
+      expect.objectContaining({ kind: 'check-in', selfReportedEmotion: 'Calm' }),
+    ]);
+  });
+
+  it('limits the export to a range', async () => {
+    const { body } = await exportData({
+      data: 'tasks',
+      from: at('2026-10-20 00:00'),
+      to: at('2026-10-21 00:00'),
+    });
+    expect(body.tasks.map((t) => t.title)).toEqual(['Walk', 'Standup']);
+    expect(body.schedules).toBeUndefined();
+  });
+
+  it('exports one collection as CSV', async () => {
+    const { text, headers } = await exportData({ format: 'csv', data: 'schedules' });
+    expect(headers['content-type']).toMatch(/^text\/csv/);
+    const [header, row] = text.trim().split('\r\n');
+    expect(header).toBe(
+      '_id,kind,text,sentiment,detectedEmotion,score,selfReportedEmotion,intensity,tasks,createdAt,updatedAt',
+    );
+    expect(row).toContain(',check-in,"Calm, ""quiet"" morning",');
+    await api().get('/api/export').set(auth).query({ format: 'csv' }).expect(422);
+  });
+});
+
+describe('POST /api/import', () => {
+  it('skips everything that is already there when merging', async () => {
+    const { body: backup } = await exportData({});
+    const { body } = await importData(backup);
+    expect(body).toMatchObject({
+      mode: 'merge',
+      tasks: { total: 3, imported: 0 },
+      schedules: { total: 1, imported: 0 },
+      duplicateCount: 4,
+    });
+    expect(body.duplicates[0]).toMatchObject({ collection: 'tasks', title: 'Walk', reason: 'already saved' });
+    expect(await titles()).toHaveLength(5);
+  });
+
+  it('restores a backup into another account, links included', async () => {
+    const { body: draft } = await api()
+      .post('/api/plan')
+      .set(auth)
+      .send({ text: 'Tuesday gym 7-8' })
+      .expect(200);
+    await api()
+      .post('/api/plan/commit')
+      .set(auth)
+      .send({ sessionToken: draft.sessionToken, items: draft.tasks })
+      .expect(200);
+    const { body: backup } = await exportData({});
+
+    auth = await ctx.signUp('grace@example.com');
+    const { body } = await importData(backup);
+    expect(body).toMatchObject({ tasks: { imported: 4 }, schedules: { imported: 2 }, duplicateCount: 0 });
+    expect(await titles()).toEqual(['Walk', 'Gym', 'Standup', 'Walk', 'Walk', 'Dentist']);
+
+    const journal = (await api().get('/api/schedules').set(auth).query({ kind: 'plan' })).body;
+    expect(journal[0].tasks.map((t) => t.title)).toEqual(['Gym']);
+  });
+
+  it("drops journal links to someone else's tasks", async () => {
+    const { body: mine } = await api().get('/api/tasks').set(auth).expect(200);
+    const standup = mine.find((t) => t.title === 'Standup');
+
+    auth = await ctx.signUp('grace@example.com');
+    await importData({ schedules: [{ text: 'Borrowed link', tasks: [standup._id] }] });
+    const [entry] = (await api().get('/api/schedules').set(auth).expect(200)).body;
+    expect(entry).toMatchObject({ text: 'Borrowed link', tasks: [] });
+  });
+
+  it('reports duplicates inside the file and only adds what is new', async () => {
+    const task = { title: 'Yoga', start: at('2026-10-21 07:00'), end: at('2026-10-21 08:00') };
+    const { body } = await importData({
+      tasks: [
+        task,
+        task,
+        { ...task, title: 'Standup', start: at('2026-10-20 09:00'), end: at('2026-10-20 09:15') },
+      ],
+    });
+    expect(body.tasks).toEqual({ total: 3, imported: 1 });
+    expect(body.duplicates.map((d) => [d.index, d.reason])).toEqual([
+      [1, 'repeated in the file'],
+      [2, 'already saved'],
+    ]);
+  });
+
+  it('only previews on a dry run', async () => {
+    const { body } = await importData(
+      { tasks: [{ title: 'Yoga', start: at('2026-10-21 07:00'), end: at('2026-10-21 08:00') }] },
+      { dryRun: true },
+    );
+    expect(body.message).toBe('🔎 Ready to import 1 task(s) and 0 journal entr(ies).');
+    expect(await titles()).not.toContain('Yoga');
+  });
+
+  it('replaces the collections in the file, keeping the old tasks in the trash', async () => {
+    const { body } = await importData(
+      { tasks: [{ title: 'Yoga', start: at('2026-10-21 07:00'), end: at('2026-10-21 08:00') }] },
+      { mode: 'replace' },
+    );
+    expect(await titles()).toEqual(['Yoga']);
+    // the journal wasn't in the file, so it stays
+    expect((await api().get('/api/schedules').set(auth)).body).toHaveLength(1);
+
+    await api().post('/api/tasks/restore').set(auth).send({ batchId: body.replacedBatchId }).expect(200);
+    expect(await titles()).toHaveLength(6);
+  });
+
+  it('puts the replaced data back when saving the file fails', async () => {
+    const before = await titles();
+    jest.spyOn(mongoose.model('Schedule'), 'insertMany').mockRejectedValueOnce(new Error('disk full'));
+    await importData(
+      {
+        tasks: [{ title: 'Yoga', start: at('2026-10-21 07:00'), end: at('2026-10-21 08:00') }],
+        schedules: [{ text: 'New entry' }],
+      },
+      { mode: 'replace' },
+      500,
+    );
+    expect(await titles()).toEqual(before);
+    const journal = (await api().get('/api/schedules').set(auth).expect(200)).body;
+    expect(journal.map((e) => e.text)).toEqual(['Calm, "quiet" morning']);
+    expect((await api().get('/api/tasks/trash').set(auth).expect(200)).body).toEqual([]);
+  });
+
+  it('round-trips a CSV export', async () => {
+    const { text } = await exportData({ format: 'csv', data: 'tasks' });
+    auth = await ctx.signUp('grace@example.com');
+    const { body } = await api()
+      .post('/api/import')
+      .set(auth)
+      .query({ data: 'tasks' })
+      .set('Content-Type', 'text/csv')
+      .send(text)
+      .expect(200);
+    expect(body.tasks).toEqual({ total: 3, imported: 3 });
+    expect(await titles()).toEqual(['Walk', 'Standup', 'Walk', 'Walk', 'Dentist']);
+  });
+
+  it('rejects the whole file when a record is invalid', async () => {
+    const res = await importData(
+      {
+        tasks: [
+          { title: 'Yoga', start: at('2026-10-21 07:00'), end: at('2026-10-21 08:00') },
+          { title: 'Broken', start: 'soon', end: at('2026-10-21 08:00') },
+        ],
+        schedules: [{ intensity: 9 }],
+      },
+      {},
+      422,
+    );
+    expect(res.body.fields.map((f) => f.path)).toEqual(['tasks[1].start', 'schedules[0].intensity']);
+    expect(await titles()).not.toContain('Yoga');
+  });
+});
@@ -0,0 +1,200 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { at, startTestApp } = require('../helpers/testApp');
+
+let ctx;
+let auth;
+
+beforeAll(async () => {
+  ctx = await startTestApp();
+});
+afterAll(() => ctx?.stop());
+beforeEach(async () => {
+  await ctx.reset();
+  auth = await ctx.signUp();
+});
+
+const api = () => request(ctx.app);
+
+// it is Monday 19 Oct 2026, 10:00 in Berlin
+async function seed(tasks) {
+  for (const [title, start, minutes = 60, extra = {}] of tasks) {
+    const end = new Date(new Date(at(start)).getTime() + minutes * 60000).toISOString();
+    await api()
+      .post('/api/tasks')
+      .set(auth)
+      .send({ title, start: at(start), end, ...extra })
+      .expect(200);
+  }
+}
+const titles = async () => {
+  const { body } = await api()
+    .get('/api/tasks')
+    .set(auth)
+    .query({ from: at('2026-10-12 00:00'), to: at('2026-11-02 00:00') })
+    .expect(200);
+  return body.map((t) => t.title);
+};
+const del = (body, status = 200) => api().post('/api/delete').set(auth).send(body).expect(status);
+
+beforeEach(() =>
+  seed([
+    ['Meditation', '2026-10-18 07:00', 20],
+    ['Late call', '2026-10-20 00:30', 30],
+    ['Standup', '2026-10-20 09:00', 15],
+    ['Team meeting', '2026-10-20 11:00'],
+    ['Client meeting', '2026-10-20 15:00'],
+    ['Gym', '2026-10-20 19:00'],
+    ['Meditation', '2026-10-23 07:00', 20],
+    ['Meditation', '2026-10-28 07:00', 20],
+  ])
+);
+
+describe('POST /api/delete with text', () => {
+  it('deletes a whole day on the user\'s clock', async () => {
+    const { body } = await del({ text: 'delete everything tomorrow' });
+    expect(body.message).toBe('🗑️ 5 task(s) deleted for Tue, Oct 20, 2026.');
+    expect(await titles()).toEqual(['Meditation', 'Meditation', 'Meditation']);
+  });
+
+  it('only deletes inside a time-of-day window', async () => {
+    await del({ text: 'delete tasks after 6pm tomorrow' });
+    expect(await titles()).not.toContain('Gym');
+    expect(await titles()).toContain('Client meeting');
+  });
+
+  it('picks one task by ordinal', async () => {
+    await del({ text: 'delete the last meeting tomorrow' });
+    const left = await titles();
+    expect(left).toContain('Team meeting');
+    expect(left).not.toContain('Client meeting');
+  });
+
+  it('only deletes upcoming tasks by title through a preview, leaving past ones', async () => {
+    const { body: refused } = await del({ text: 'delete all meditation' }, 409);
+    expect(refused.code).toBe('PREVIEW_REQUIRED');
+    expect(await titles()).toHaveLength(8);
+
+    const { body: preview } = await del({ text: 'delete all meditation', dryRun: true });
+    expect(preview.interpretation.mode).toBe('upcoming');
+    await api().post('/api/delete/confirm').set(auth).send({ previewToken: preview.previewToken }).expect(200);
+    expect((await titles()).filter((t) => t === 'Meditation')).toHaveLength(1);
+  });
+
+  it('understands a time window across midnight', async () => {
+    await del({ text: 'delete everything between 10pm and 2am tomorrow' });
+    expect(await titles()).not.toContain('Late call');
+    expect(await titles()).toContain('Gym');
+  });
+
+  it('understands weeks and ranges of days', async () => {
+    await del({ text: 'clear this week' });
+    // weeks start on Monday, so Sunday's and next week's tasks stay
+    expect(await titles()).toEqual(['Meditation', 'Meditation']);
+  });
+
+  it('deletes between two weekdays inclusive', async () => {
+    await del({ text: 'delete tasks between wednesday and friday' });
+    expect(await titles()).toEqual([
+      'Meditation',
+      'Late call',
+      'Standup',
+      'Team meeting',
+      'Client meeting',
+      'Gym',
+      'Meditation',
+    ]);
+  });
+
+  it('removes a single occurrence of a recurring task', async () => {
+    await seed([['Walk', '2026-10-19 12:00', 30, { recurrence: { freq: 'daily', count: 4 } }]]);
+    const { body } = await del({ text: 'delete walk tomorrow' });
+    expect((await titles()).filter((t) => t === 'Walk')).toHaveLength(3);
+
+    await api().post('/api/tasks/undo').set(auth).send({ batchId: body.batchId }).expect(200);
+    expect((await titles()).filter((t) => t === 'Walk')).toHaveLength(4);
+  });
+
+  it('answers 422 when there is nothing to go on', async () => {
+    const res = await del({ text: 'delete' }, 422);
+    expect(res.body.fields).toEqual([expect.objectContaining({ path: 'text' })]);
+    await del({}, 422);
+  });
+});
+
+describe('POST /api/delete with a task list', () => {
+  it('deletes by title and day', async () => {
+    const { body } = await del({ tasks: [{ title: 'meditation', date: '2026-10-23' }] });
+    expect(body).toMatchObject({ message: '🗑️ 1 tasks removed.', deleted: [{ title: 'meditation', count: 1 }] });
+    expect((await titles()).filter((t) => t === 'Meditation')).toHaveLength(2);
+  });
+
+  it('rejects a malformed list', async () => {
+    const res = await del({ tasks: [{ date: 'someday' }] }, 422);
+    expect(res.body.fields.map((f) => f.path).sort()).toEqual(['tasks[0].date', 'tasks[0].title']);
+  });
+});
+
+describe('dry run and confirm', () => {
+  it('previews without deleting, then deletes the previewed tasks', async () => {
+    const { body: preview } = await del({ text: 'delete meetings tomorrow', dryRun: true });
+    expect(preview.interpretation).toMatchObject({ mode: 'day', titleLike: 'meetings' });
+    expect(preview.tasks.map((t) => t.title)).toEqual(['Team meeting', 'Client meeting']);
+    expect(await titles()).toHaveLength(8);
+
+    const { body } = await api()
+      .post('/api/delete/confirm')
+      .set(auth)
+      .send({ previewToken: preview.previewToken })
+      .expect(200);
+    expect(body.deleted).toHaveLength(2);
+    expect(await titles()).toHaveLength(6);
+  });
+
+  it('can confirm a subset of the preview, occurrences included', async () => {
+    await seed([['Walk', '2026-10-19 12:00', 30, { recurrence: { freq: 'daily', count: 4 } }]]);
+    const { body: preview } = await del({ text: 'delete walk this week', dryRun: true });
+    const ids = preview.tasks.map((t) => String(t._id));
+    expect(ids).toHaveLength(4);
+    expect(ids[0]).toMatch(/^[0-9a-f]{24}:\d+$/);
+
+    await api()
+      .post('/api/delete/confirm')
+      .set(auth)
+      .send({ previewToken: preview.previewToken, ids: ids.slice(2) })
+      .expect(200);
+    expect((await titles()).filter((t) => t === 'Walk')).toHaveLength(2);
+  });
+
+  it('refuses ids that were not previewed', async () => {
+    const { body: preview } = await del({ text: 'delete gym tomorrow', dryRun: true });
+    const { body: other } = await del({ text: 'delete standup tomorrow', dryRun: true });
+    const res = await api()
+      .post('/api/delete/confirm')
+      .set(auth)
+      .send({ previewToken: preview.previewToken, ids: [String(other.tasks[0]._id)] })
+      .expect(422);
+    expect(res.body.fields[0].path).toBe('ids');
+    expect(await titles()).toHaveLength(8);
+  });
+
+  it('refuses someone else\'s preview, a made-up token and an expired one', async () => {
+    const { body: preview } = await del({ text: 'delete gym tomorrow', dryRun: true });
+    const other = await ctx.signUp('grace@example.com');
+    const foreign = await api()
+      .post('/api/delete/confirm')
+      .set(other)
+      .send({ previewToken: preview.previewToken })
+      .expect(404);
+    expect(foreign.body.code).toBe('NOT_FOUND');
+
+    const bogus = await api().post('/api/delete/confirm').set(auth).send({ previewToken: 'not-a-token' }).expect(400);
+    expect(bogus.body.code).toBe('INVALID_TOKEN');
+
+    const { sub, purpose, ids } = jwt.decode(preview.previewToken);
+    const stale = jwt.sign({ sub, purpose, ids }, 'dev-access-secret', { expiresIn: -60 });
+    const expired = await api().post('/api/delete/confirm').set(auth).send({ previewToken: stale }).expect(409);
+    expect(expired.body.code).toBe('PREVIEW_EXPIRED');
+    expect(await titles()).toContain('Gym');
+  });
+});
@@ -0,0 +1,165 @@
+const request = require('supertest');
+const { at, startTestApp } = require('../helpers/testApp');
+
+let ctx;
+let auth;
+
+beforeAll(async () => {
+  ctx = await startTestApp();
+});
+afterAll(() => ctx?.stop());
+beforeEach(async () => {
+  await ctx.reset();
+  auth = await ctx.signUp();
+  ctx.ai.reply = () => ({
+    sentiment: 'POSITIVE',
+    score: 0.8,
+    detectedEmotion: 'Balanced',
+    taskCount: 2,
+    tasks: [
+      { title: 'Tuesday: gym', start: '07:00', end: '08:00' },
+      { title: 'Friday dentist', start: '15:00', end: '16:00' },
+    ],
+    suggestions: [{ title: 'Stretch', start: '08:00', end: '08:10' }],
+    message: 'Your plan seems balanced.',
+  });
+});
+
+const api = () => request(ctx.app);
+const TEXT = 'Tuesday: gym 7-8. Friday dentist at 3pm';
+const plan = (body, status = 200, headers = auth) =>
+  api().post('/api/plan').set(headers).send(body).expect(status);
+const taskCount = async () => {
+  const { body } = await api()
+    .get('/api/tasks')
+    .set(auth)
+    .query({ from: at('2026-10-19 00:00'), to: at('2026-10-26 00:00') })
+    .expect(200);
+  return body.length;
+};
+
+describe('POST /api/plan', () => {
+  it('puts every task on the day its sentence names, without saving anything', async () => {
+    const { body } = await plan({ text: TEXT });
+    expect(ctx.ai.calls).toEqual([TEXT]);
+    expect(body.tasks.map(({ title, start, end, assignedDate, anchoredBy }) => ({ title, start, end, assignedDate, anchoredBy })))
+      .toEqual([
+        {
+          title: 'Gym',
+          start: at('2026-10-20 07:00'),
+          end: at('2026-10-20 08:00'),
+          assignedDate: at('2026-10-20 00:00'),
+          anchoredBy: 'Tuesday',
+        },
+        {
+          title: 'Dentist',
+          start: at('2026-10-23 15:00'),
+          end: at('2026-10-23 16:00'),
+          assignedDate: at('2026-10-23 00:00'),
+          anchoredBy: 'Friday',
+        },
+      ]);
+    // the stretch goes next to the closest task in time
+    expect(body.suggestions[0]).toMatchObject({ title: 'Stretch', start: at('2026-10-20 08:00'), kind: 'suggestion' });
+    expect(body).toMatchObject({ provider: 'ai-service', degraded: false, conflicts: [] });
+    expect(await taskCount()).toBe(0);
+  });
+
+  it('reads times on the clock of the X-Time-Zone header', async () => {
+    const { body } = await plan({ text: TEXT }, 200, { ...auth, 'X-Time-Zone': 'America/New_York' });
+    expect(body.tasks[0].start).toBe(at('2026-10-20 07:00', 'America/New_York'));
+  });
+
+  it('flags clashes with the calendar and leaves them in place by default', async () => {
+    await api()
+      .post('/api/tasks')
+      .set(auth)
+      .send({ title: 'Run', start: at('2026-10-20 07:30'), end: at('2026-10-20 08:30') })
+      .expect(200);
+    const { body } = await plan({ text: TEXT });
+    expect(body.conflicts.map((c) => [c.task.title, c.conflictsWith.map((w) => w.title), c.movedTo])).toEqual([
+      ['Gym', ['Run'], undefined],
+      ['Stretch', ['Run'], undefined],
+    ]);
+    expect(body.tasks[0].start).toBe(at('2026-10-20 07:00'));
+  });
+
+  it('moves suggestions, or everything, out of the way when asked', async () => {
+    await api()
+      .post('/api/tasks')
+      .set(auth)
+      .send({ title: 'Run', start: at('2026-10-20 07:30'), end: at('2026-10-20 08:30') })
+      .expect(200);
+
+    const { body: some } = await plan({ text: TEXT, reschedule: 'suggestions' });
+    expect(some.conflicts.map((c) => Boolean(c.movedTo))).toEqual([false, true]);
+    expect(some.tasks[0].start).toBe(at('2026-10-20 07:00'));
+
+    const { body: all } = await plan({ text: TEXT, reschedule: 'all' });
+    expect(all.conflicts.map((c) => Boolean(c.movedTo))).toEqual([true, true]);
+    for (const ev of [...all.tasks, ...all.suggestions]) {
+      const clashes = ev.start < at('2026-10-20 08:30') && ev.end > at('2026-10-20 07:30');
+      expect(clashes).toBe(false);
+    }
+  });
+
+  it('answers 503 when the AI service is down', async () => {
+    ctx.ai.status = 500;
+    const res = await plan({ text: TEXT }, 503);
+    expect(res.body.code).toBe('AI_UNAVAILABLE');
+  });
+
+  it('validates the body', async () => {
+    await plan({}, 422);
+    const res = await plan({ text: TEXT, reschedule: 'sometimes' }, 422);
+    expect(res.body.fields[0].path).toBe('reschedule');
+    expect(ctx.ai.calls).toEqual([]);
+  });
+});
+
+describe('POST /api/plan/commit', () => {
+  it('saves the accepted items as one undoable batch', async () => {
+    const { body: draft } = await plan({ text: TEXT });
+    const items = [...draft.tasks, ...draft.suggestions];
+    const { body } = await api().post('/api/plan/commit').set(auth).send({ items }).expect(200);
+    expect(body.message).toBe('✅ 3 item(s) added to your calendar.');
+    expect(body.tasks.map((t) => [t.title, t.source])).toEqual([
+      ['Gym', 'ai_task'],
+      ['Dentist', 'ai_task'],
+      ['Stretch', 'ai_suggestion'],
+    ]);
+    expect(await taskCount()).toBe(3);
+
+    await api().post('/api/tasks/undo').set(auth).send({ batchId: body.batchId }).expect(200);
+    expect(await taskCount()).toBe(0);
+  });
+
+  it('rejects items that end before they start', async () => {
+    const res = await api()
+      .post('/api/plan/commit')
+      .set(auth)
+      .send({ items: [{ title: 'Gym', start: at('2026-10-20 08:00'), end: at('2026-10-20 07:00') }] })
+      .expect(422);
+    expect(res.body.fields).toEqual([expect.objectContaining({ path: 'items[0].end' })]);
+    await api().post('/api/plan/commit').set(auth).send({ items: [] }).expect(422);
+  });
+});
+
+describe('POST /api/analyze', () => {
+  const schedules = async () => (await api().get('/api/schedules').set(auth).expect(200)).body;
+
+  it('logs the detected emotion', async () => {
+    const { body } = await api().post('/api/analyze').set(auth).send({ text: TEXT }).expect(200);
+    expect(body).toMatchObject({ detectedEmotion: 'Balanced', sentiment: 'POSITIVE' });
+    expect(await schedules()).toEqual([
+      expect.objectContaining({ text: TEXT, detectedEmotion: 'Balanced', sentiment: 'POSITIVE', score: 0.8 }),
+    ]);
+  });
+
+  it('logs nothing when the AI service is down', async () => {
+    ctx.ai.status = 500;
+    await api().post('/api/analyze').set(auth).send({ text: TEXT }).expect(503);
+    await api().post('/api/analyze').set(auth).send({}).expect(422);
+    expect(await schedules()).toEqual([]);
+  });
+});
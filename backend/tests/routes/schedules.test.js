@@ -0,0 +1,136 @@
+const request = require('supertest');
+const { at, startTestApp } = require('../helpers/testApp');
+
+let ctx;
+let auth;
+
+beforeAll(async () => {
+  ctx = await startTestApp();
+});
+afterAll(() => ctx?.stop());
+beforeEach(async () => {
+  await ctx.reset();
+  auth = await ctx.signUp();
+  ctx.ai.reply = (text) => ({
+    sentiment: /deadline|tired/i.test(text) ? 'NEGATIVE' : 'POSITIVE',
+    score: 0.9,
+    detectedEmotion: /deadline|tired/i.test(text) ? 'Stressed' : 'Balanced',
+    tasks: [{ title: 'Gym', start: '07:00', end: '08:00' }],
+    suggestions: [],
+    message: 'ok',
+  });
+});
+
+const api = () => request(ctx.app);
+const checkIn = (body, status = 201) => api().post('/api/schedules').set(auth).send(body).expect(status);
+const journal = async (query = {}) => (await api().get('/api/schedules').set(auth).query(query).expect(200)).body;
+
+describe('POST /api/schedules', () => {
+  it('keeps the self-report next to the model\'s reading', async () => {
+    const { body } = await checkIn({ text: 'Deadline day, running on coffee', selfReportedEmotion: 'Anxious', intensity: 4 });
+    expect(body).toMatchObject({
+      kind: 'check-in',
+      selfReportedEmotion: 'Anxious',
+      intensity: 4,
+      detectedEmotion: 'Stressed',
+      sentiment: 'NEGATIVE',
+    });
+  });
+
+  it('accepts a check-in without text, and saves it while the AI is down', async () => {
+    ctx.ai.status = 500;
+    await checkIn({ selfReportedEmotion: 'Calm', intensity: 2 });
+    const { body } = await checkIn({ text: 'Slow morning' });
+    expect(body.detectedEmotion).toBeUndefined();
+    expect(await journal()).toHaveLength(2);
+  });
+
+  it('needs text or an emotion, and an emotion for an intensity', async () => {
+    expect((await checkIn({}, 422)).body.fields[0].path).toBe('text');
+    expect((await checkIn({ text: 'x', intensity: 3 }, 422)).body.fields[0].path).toBe('selfReportedEmotion');
+    expect((await checkIn({ selfReportedEmotion: 'Sad', intensity: 9 }, 422)).body.fields[0].path).toBe('intensity');
+  });
+});
+
+describe('PUT and DELETE /api/schedules/:id', () => {
+  it('edits an entry and reads changed text again', async () => {
+    const { body: entry } = await checkIn({ text: 'Lovely walk', selfReportedEmotion: 'Happy', intensity: 3 });
+    expect(entry.detectedEmotion).toBe('Balanced');
+
+    const { body } = await api()
+      .put(`/api/schedules/${entry._id}`)
+      .set(auth)
+      .send({ text: 'Tired after the walk', selfReportedEmotion: null })
+      .expect(200);
+    expect(body).toMatchObject({ text: 'Tired after the walk', detectedEmotion: 'Stressed' });
+    expect(body.selfReportedEmotion).toBeUndefined();
+    expect(body.intensity).toBeUndefined();
+    expect(body.updatedAt).toBeTruthy();
+  });
+
+  it('refuses to empty an entry', async () => {
+    const { body: entry } = await checkIn({ text: 'Lovely walk' });
+    await api().put(`/api/schedules/${entry._id}`).set(auth).send({ text: '' }).expect(422);
+  });
+
+  it('deletes only the caller\'s own entries', async () => {
+    const { body: entry } = await checkIn({ selfReportedEmotion: 'Calm' });
+    const other = await ctx.signUp('grace@example.com');
+    await api().delete(`/api/schedules/${entry._id}`).set(other).expect(404);
+    await api().put(`/api/schedules/${entry._id}`).set(other).send({ text: 'mine' }).expect(404);
+    await api().delete(`/api/schedules/${entry._id}`).set(auth).expect(200);
+    expect(await journal()).toEqual([]);
+  });
+});
+
+describe('GET /api/schedules', () => {
+  beforeEach(async () => {
+    await checkIn({ text: 'Deadline at work, meetings all afternoon' });
+    await checkIn({ text: 'Quiet evening reading', selfReportedEmotion: 'Stressed', intensity: 2 });
+    await checkIn({ selfReportedEmotion: 'Happy', intensity: 5 });
+  });
+
+  it('searches the text by words', async () => {
+    const found = await journal({ q: 'meeting' });
+    expect(found.map((e) => e.text)).toEqual(['Deadline at work, meetings all afternoon']);
+  });
+
+  it('filters by detected or self-reported emotion, and by sentiment', async () => {
+    expect(await journal({ emotion: 'stressed' })).toHaveLength(2);
+    expect(await journal({ emotion: 'happy' })).toHaveLength(1);
+    expect((await journal({ sentiment: 'POSITIVE' })).map((e) => e.text)).toEqual(['Quiet evening reading']);
+  });
+
+  it('links a plan session to the tasks saved from it', async () => {
+    const { body: draft } = await api().post('/api/plan').set(auth).send({ text: 'Tuesday gym 7-8' }).expect(200);
+    // a draft alone is not journalled
+    expect(await journal({ kind: 'plan' })).toEqual([]);
+    await api()
+      .post('/api/plan/commit')
+      .set(auth)
+      .send({ sessionToken: draft.sessionToken, items: draft.tasks })
+      .expect(200);
+
+    const [session] = await journal({ kind: 'plan' });
+    expect(session.text).toBe('Tuesday gym 7-8');
+    expect(session.tasks).toEqual([
+      expect.objectContaining({ title: 'Gym', start: at('2026-10-20 07:00'), source: 'ai_task' }),
+    ]);
+  });
+
+  it('does not take a session token as an access token', async () => {
+    const { body: draft } = await api().post('/api/plan').set(auth).send({ text: 'Tuesday gym 7-8' }).expect(200);
+    const { body } = await api().get('/api/tasks').set('Authorization', `Bearer ${draft.sessionToken}`).expect(401);
+    expect(body.code).toBe('TOKEN_EXPIRED');
+  });
+
+  it('refuses to link tasks to someone else\'s session', async () => {
+    const other = await ctx.signUp('grace@example.com');
+    const { body: draft } = await api().post('/api/plan').set(other).send({ text: 'Tuesday gym 7-8' }).expect(200);
+    await api()
+      .post('/api/plan/commit')
+      .set(auth)
+      .send({ sessionToken: draft.sessionToken, items: draft.tasks })
+      .expect(404);
+  });
+});
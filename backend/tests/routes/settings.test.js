@@ -0,0 +1,124 @@
+const request = require('supertest');
+const { at, startTestApp } = require('../helpers/testApp');
+
+let ctx;
+let auth;
+
+beforeAll(async () => {
+  ctx = await startTestApp();
+});
+afterAll(() => ctx?.stop());
+beforeEach(async () => {
+  await ctx.reset();
+  auth = await ctx.signUp();
+});
+
+const api = () => request(ctx.app);
+const save = (body, status = 200) => api().put('/api/settings').set(auth).send(body).expect(status);
+const planReply = (tasks, suggestions) => () => ({
+  sentiment: 'POSITIVE',
+  score: 0.8,
+  detectedEmotion: 'Balanced',
+  tasks,
+  suggestions,
+  message: 'Your plan seems balanced.',
+});
+
+describe('/api/settings', () => {
+  it('starts from Mon-Fri 09:00-18:00 and keeps what is not sent', async () => {
+    const { body: defaults } = await api().get('/api/settings').set(auth).expect(200);
+    expect(defaults).toMatchObject({ focusBlocks: [], breakTimes: [], minBreakMinutes: 10, updatedAt: null });
+    expect(defaults.workingHours.map((h) => [h.day, h.start, h.end])).toEqual(
+      [1, 2, 3, 4, 5].map((day) => [day, '09:00', '18:00'])
+    );
+
+    await save({ focusBlocks: [{ label: 'Deep work', days: [3, 1, 1], start: '9:00', end: '11:00' }] });
+    const { body } = await save({ minBreakMinutes: 15 });
+    expect(body).toMatchObject({
+      focusBlocks: [{ label: 'Deep work', days: [1, 3], start: '09:00', end: '11:00' }],
+      minBreakMinutes: 15,
+    });
+    expect(body.workingHours).toHaveLength(5);
+  });
+
+  it('checks the fields, then that ranges end after they start and weekdays are unique', async () => {
+    const { body: shape } = await save({ workingHours: [{ day: 9, start: '25:00', end: '18:00' }], minBreakMinutes: -5 }, 422);
+    expect(shape.fields.map((f) => f.path).sort()).toEqual(['minBreakMinutes', 'workingHours[0].day', 'workingHours[0].start']);
+
+    const { body } = await save(
+      {
+        workingHours: [
+          { day: 1, start: '09:00', end: '08:00' },
+          { day: 1, start: '10:00', end: '16:00' },
+        ],
+        breakTimes: [{ start: '12:00', end: '12:00' }],
+      },
+      422
+    );
+    expect(body.fields.map((f) => f.path).sort()).toEqual([
+      'breakTimes[0].end',
+      'workingHours[0].end',
+      'workingHours[1].day',
+    ]);
+  });
+
+  it('keeps settings per user', async () => {
+    await save({ workingHours: [{ day: 6, start: '10:00', end: '14:00' }] });
+    const other = await ctx.signUp('grace@example.com');
+    const { body } = await api().get('/api/settings').set(other).expect(200);
+    expect(body.workingHours).toHaveLength(5);
+  });
+});
+
+describe('settings in /api/plan', () => {
+  it('moves a suggestion out of the night into the working day', async () => {
+    ctx.ai.reply = planReply([{ title: 'Tuesday: gym', start: '07:00', end: '08:00' }], [
+      { title: 'Stretch', start: '03:00', end: '03:10' },
+    ]);
+    const { body } = await api().post('/api/plan').set(auth).send({ text: 'Tuesday: gym 7-8' }).expect(200);
+    // the day starts with the 7am gym; the minimum break keeps the stretch 10 minutes clear of it
+    expect(body.suggestions[0]).toMatchObject({
+      start: at('2026-10-20 08:10'),
+      movedFrom: { start: at('2026-10-20 03:00'), reason: 'outside your working hours' },
+    });
+  });
+
+  it('flags tasks in a focus block and keeps suggestions out of it', async () => {
+    await save({ focusBlocks: [{ label: 'Deep work', days: [2], start: '09:00', end: '11:00' }] });
+    ctx.ai.reply = planReply([{ title: 'Tuesday: review', start: '10:00', end: '11:00' }], [
+      { title: 'Walk', start: '09:30', end: '09:45' },
+    ]);
+    const { body } = await api().post('/api/plan').set(auth).send({ text: 'Tuesday: review at 10' }).expect(200);
+    expect(body.tasks[0].conflicts.map((c) => c.title)).toEqual(['🎯 Deep work']);
+    expect(body.suggestions[0]).toMatchObject({
+      start: at('2026-10-20 11:10'),
+      movedFrom: { reason: 'during a focus block' },
+      conflicts: [],
+    });
+  });
+});
+
+describe('settings in /api/tasks/backlog/auto-schedule', () => {
+  it('fills only the saved working hours, around focus blocks and breaks', async () => {
+    await save({
+      workingHours: [{ day: 1, start: '13:00', end: '17:00' }],
+      focusBlocks: [{ days: [1], start: '13:00', end: '14:00' }],
+      breakTimes: [{ label: 'Tea', start: '15:00', end: '15:30' }],
+      minBreakMinutes: 0,
+    });
+    await api().post('/api/tasks/backlog').set(auth).send({ title: 'Report', durationMinutes: 60 }).expect(201);
+    await api().post('/api/tasks/backlog').set(auth).send({ title: 'Slides', durationMinutes: 90 }).expect(201);
+
+    const { body } = await api()
+      .post('/api/tasks/backlog/auto-schedule')
+      .set(auth)
+      .send({ from: at('2026-10-19 10:00'), to: at('2026-10-20 00:00') })
+      .expect(200);
+    // the longer block goes first and only fits after the tea break
+    expect(body.proposal.map((p) => [p.title, p.start, p.end])).toEqual([
+      ['Report', at('2026-10-19 14:00'), at('2026-10-19 15:00')],
+      ['Slides', at('2026-10-19 15:30'), at('2026-10-19 17:00')],
+    ]);
+    expect(body).toMatchObject({ breakMinutes: 0, workingHours: [{ day: 1, start: '13:00', end: '17:00' }] });
+  });
+});
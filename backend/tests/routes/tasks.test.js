@@ -0,0 +1,215 @@
+const request = require('supertest');
+const { at, startTestApp } = require('../helpers/testApp');
+
+let ctx;
+let auth;
+
+beforeAll(async () => {
+  ctx = await startTestApp();
+});
+afterAll(() => ctx?.stop());
+beforeEach(async () => {
+  await ctx.reset();
+  auth = await ctx.signUp();
+});
+
+const api = () => request(ctx.app);
+const createTask = (body, headers = auth) =>
+  api()
+    .post('/api/tasks')
+    .set(headers)
+    .send({ title: 'Standup', start: at('2026-10-20 09:00'), end: at('2026-10-20 09:15'), ...body })
+    .expect(200);
+const listWeek = (headers = auth) =>
+  api()
+    .get('/api/tasks')
+    .set(headers)
+    .query({ from: at('2026-10-19 00:00'), to: at('2026-10-26 00:00') })
+    .expect(200);
+
+describe('auth', () => {
+  it('rejects requests without a token', async () => {
+    const res = await api().get('/api/tasks').expect(401);
+    expect(res.body.code).toBe('UNAUTHORIZED');
+  });
+});
+
+describe('POST /api/tasks', () => {
+  it('creates a task with defaults', async () => {
+    const { body } = await createTask({ tags: 'work, daily' });
+    expect(body).toMatchObject({
+      title: 'Standup',
+      start: at('2026-10-20 09:00'),
+      status: 'planned',
+      priority: 'medium',
+      source: 'user',
+      tags: ['work', 'daily'],
+      conflicts: [],
+    });
+  });
+
+  it('reports overlapping tasks', async () => {
+    await createTask();
+    const { body } = await createTask({ title: 'Call', start: at('2026-10-20 09:10'), end: at('2026-10-20 09:40') });
+    expect(body.conflicts.map((c) => c.title)).toEqual(['Standup']);
+  });
+
+  it('reports every invalid field', async () => {
+    const res = await api()
+      .post('/api/tasks')
+      .set(auth)
+      .send({ title: '', start: 'soon', end: at('2026-10-20 09:00') })
+      .expect(422);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.fields.map((f) => f.path).sort()).toEqual(['start', 'title']);
+  });
+
+  it('rejects an end before the start', async () => {
+    const res = await api()
+      .post('/api/tasks')
+      .set(auth)
+      .send({ title: 'Backwards', start: at('2026-10-20 10:00'), end: at('2026-10-20 09:00') })
+      .expect(422);
+    expect(res.body.fields).toEqual([expect.objectContaining({ path: 'end' })]);
+  });
+});
+
+describe('GET /api/tasks', () => {
+  it('lists tasks in the range, series expanded', async () => {
+    await createTask();
+    await createTask({ title: 'Next month', start: at('2026-11-20 09:00'), end: at('2026-11-20 10:00') });
+    await createTask({
+      title: 'Walk',
+      start: at('2026-10-19 12:00'),
+      end: at('2026-10-19 12:30'),
+      recurrence: { freq: 'daily', count: 3 },
+    });
+
+    const { body } = await listWeek();
+    expect(body.map((t) => t.title)).toEqual(['Walk', 'Walk', 'Standup', 'Walk']);
+    expect(body.filter((t) => t.seriesId)).toHaveLength(3);
+  });
+
+  it("repeats on the user's clock across a DST change", async () => {
+    // Berlin leaves summer time on Sunday 25 Oct
+    await createTask({
+      title: 'Yoga',
+      start: at('2026-10-24 09:00'),
+      end: at('2026-10-24 10:00'),
+      recurrence: { freq: 'daily', count: 3 },
+    });
+    const { body } = await listWeek();
+    expect(body.map((t) => t.start)).toEqual([at('2026-10-24 09:00'), at('2026-10-25 09:00'), at('2026-10-26 09:00')]);
+  });
+
+  it('keeps showing an open-ended series years after it started', async () => {
+    await createTask({
+      title: 'Journal',
+      start: at('2023-01-02 21:00'),
+      end: at('2023-01-02 21:15'),
+      recurrence: { freq: 'daily' },
+    });
+    const { body } = await listWeek();
+    expect(body).toHaveLength(7);
+    expect(body[0].start).toBe(at('2026-10-19 21:00'));
+  });
+
+  it('only shows the caller their own tasks', async () => {
+    await createTask();
+    const other = await ctx.signUp('grace@example.com');
+    const { body } = await listWeek(other);
+    expect(body).toEqual([]);
+  });
+
+  it('filters by title and status', async () => {
+    await createTask();
+    await createTask({ title: 'Gym', status: 'done' });
+    const { body } = await api().get('/api/tasks').set(auth).query({ title: 'gym', status: 'done' }).expect(200);
+    expect(body.map((t) => t.title)).toEqual(['Gym']);
+  });
+});
+
+describe('PUT /api/tasks/:id', () => {
+  it('updates fields and bumps the version', async () => {
+    const { body: task } = await createTask();
+    const { body } = await api()
+      .put(`/api/tasks/${task._id}`)
+      .set(auth)
+      .send({ title: 'Daily standup', status: 'done', version: task.version })
+      .expect(200);
+    expect(body).toMatchObject({ title: 'Daily standup', status: 'done', version: task.version + 1 });
+    expect(body.batchId).toBeTruthy();
+  });
+
+  it('refuses an edit of an out-of-date copy', async () => {
+    const { body: task } = await createTask();
+    await api().put(`/api/tasks/${task._id}`).set(auth).send({ title: 'First', version: task.version }).expect(200);
+    const res = await api()
+      .put(`/api/tasks/${task._id}`)
+      .set(auth)
+      .send({ title: 'Second', version: task.version })
+      .expect(409);
+    expect(res.body.code).toBe('VERSION_CONFLICT');
+    expect(res.body.task.title).toBe('First');
+  });
+
+  it('answers 400 for a malformed id and 404 for someone else\'s task', async () => {
+    const { body: task } = await createTask();
+    expect((await api().put('/api/tasks/nope').set(auth).send({ title: 'x' }).expect(400)).body.code).toBe(
+      'INVALID_ID'
+    );
+    const other = await ctx.signUp('grace@example.com');
+    await api().put(`/api/tasks/${task._id}`).set(other).send({ title: 'Mine now' }).expect(404);
+  });
+
+  it('edits a single occurrence of a series', async () => {
+    const { body: series } = await createTask({
+      title: 'Walk',
+      start: at('2026-10-19 12:00'),
+      end: at('2026-10-19 12:30'),
+      recurrence: { freq: 'daily', count: 3 },
+    });
+    await api()
+      .put(`/api/tasks/${series._id}`)
+      .set(auth)
+      .send({ scope: 'this', occurrenceStart: at('2026-10-20 12:00'), title: 'Long walk' })
+      .expect(200);
+    const { body } = await listWeek();
+    expect(body.map((t) => t.title)).toEqual(['Walk', 'Long walk', 'Walk']);
+  });
+});
+
+describe('DELETE /api/tasks/:id', () => {
+  it('moves the task to the trash', async () => {
+    const { body: task } = await createTask();
+    const { body } = await api().delete(`/api/tasks/${task._id}`).set(auth).expect(200);
+    expect(body).toMatchObject({ ok: true, batchId: expect.any(String) });
+    expect((await listWeek()).body).toEqual([]);
+    const trash = await api().get('/api/tasks/trash').set(auth).expect(200);
+    expect(trash.body.map((t) => t.task.title)).toEqual(['Standup']);
+    await api().delete(`/api/tasks/${task._id}`).set(auth).expect(404);
+  });
+
+  it('can be undone', async () => {
+    const { body: task } = await createTask();
+    const { body } = await api().delete(`/api/tasks/${task._id}`).set(auth).expect(200);
+    await api().post('/api/tasks/undo').set(auth).send({ batchId: body.batchId }).expect(200);
+    expect((await listWeek()).body.map((t) => t.title)).toEqual(['Standup']);
+  });
+
+  it('removes one occurrence of a series', async () => {
+    const { body: series } = await createTask({
+      title: 'Walk',
+      start: at('2026-10-19 12:00'),
+      end: at('2026-10-19 12:30'),
+      recurrence: { freq: 'daily', count: 3 },
+    });
+    await api()
+      .delete(`/api/tasks/${series._id}`)
+      .set(auth)
+      .query({ scope: 'this', occurrenceStart: at('2026-10-20 12:00') })
+      .expect(200);
+    const { body } = await listWeek();
+    expect(body.map((t) => t.start)).toEqual([at('2026-10-19 12:00'), at('2026-10-21 12:00')]);
+  });
+});
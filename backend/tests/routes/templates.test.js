@@ -0,0 +1,172 @@
+const request = require('supertest');
+const { at, startTestApp } = require('../helpers/testApp');
+
+let ctx;
+let auth;
+
+beforeAll(async () => {
+  ctx = await startTestApp();
+});
+afterAll(() => ctx?.stop());
+beforeEach(async () => {
+  await ctx.reset();
+  auth = await ctx.signUp();
+});
+
+const api = () => request(ctx.app);
+const addTask = (title, start, end, extra = {}) =>
+  api().post('/api/tasks').set(auth).send({ title, start: at(start), end: at(end), ...extra }).expect(201);
+const tasksOn = async (day) => {
+  const { body } = await api()
+    .get('/api/tasks')
+    .set(auth)
+    .query({ from: at(`${day} 00:00`), to: at(`${day} 23:59`) })
+    .expect(200);
+  return body.map((t) => [t.title, t.start, t.end]);
+};
+
+/** Monday 19 Oct as "Focus day": deep work 9-11:30, review 14-15 */
+async function saveFocusDay() {
+  await addTask('Deep work', '2026-10-19 09:00', '2026-10-19 11:30', { category: 'work', tags: ['focus'] });
+  await addTask('Review', '2026-10-19 14:00', '2026-10-19 15:00');
+  await addTask('Holiday', '2026-10-19 00:00', '2026-10-20 00:00', { allDay: true });
+  const { body } = await api()
+    .post('/api/templates/from-day')
+    .set(auth)
+    .send({ name: 'Focus day', date: '2026-10-19' })
+    .expect(201);
+  return body;
+}
+
+describe('saving templates', () => {
+  it('saves a day as relative blocks, leaving out all-day tasks', async () => {
+    const template = await saveFocusDay();
+    expect(template.blocks).toEqual([
+      expect.objectContaining({ title: 'Deep work', offsetMinutes: 540, durationMinutes: 150, category: 'work', tags: ['focus'] }),
+      expect.objectContaining({ title: 'Review', offsetMinutes: 840, durationMinutes: 60 }),
+    ]);
+  });
+
+  it('refuses an empty day and a name already in use', async () => {
+    const empty = await api().post('/api/templates/from-day').set(auth).send({ name: 'Nothing', date: '2026-10-21' }).expect(422);
+    expect(empty.body.fields[0].path).toBe('date');
+
+    await saveFocusDay();
+    const taken = await api()
+      .post('/api/templates')
+      .set(auth)
+      .send({ name: 'focus DAY', blocks: [{ title: 'x', offsetMinutes: 0, durationMinutes: 30 }] })
+      .expect(409);
+    expect(taken.body.code).toBe('CONFLICT');
+  });
+
+  it('checks every block', async () => {
+    const { body } = await api()
+      .post('/api/templates')
+      .set(auth)
+      .send({ name: 'Broken', blocks: [{ title: 'ok', offsetMinutes: 60, durationMinutes: 30 }, { offsetMinutes: 1440 }] })
+      .expect(422);
+    expect(body.fields.map((f) => f.path).sort()).toEqual([
+      'blocks[1].durationMinutes',
+      'blocks[1].offsetMinutes',
+      'blocks[1].title',
+    ]);
+  });
+
+  it('renames and deletes', async () => {
+    const template = await saveFocusDay();
+    const { body } = await api().put(`/api/templates/${template._id}`).set(auth).send({ name: 'Deep day' }).expect(200);
+    expect(body).toMatchObject({ name: 'Deep day', blocks: template.blocks });
+
+    await api().delete(`/api/templates/${template._id}`).set(auth).expect(200);
+    expect((await api().get('/api/templates').set(auth).expect(200)).body).toEqual([]);
+  });
+
+  it("does not show or apply another user's templates", async () => {
+    const template = await saveFocusDay();
+    const other = await ctx.signUp('grace@example.com');
+    expect((await api().get('/api/templates').set(other).expect(200)).body).toEqual([]);
+    await api().post(`/api/templates/${template._id}/apply`).set(other).send({ date: '2026-10-22' }).expect(404);
+  });
+});
+
+describe('POST /api/templates/:id/apply', () => {
+  it('puts the blocks on the day as one undoable batch and reports overlaps', async () => {
+    const template = await saveFocusDay();
+    await addTask('Standup', '2026-10-22 10:00', '2026-10-22 10:15');
+
+    const { body } = await api().post(`/api/templates/${template._id}/apply`).set(auth).send({ date: '2026-10-22' }).expect(200);
+    expect(body.message).toBe('📋 "Focus day" added 2 task(s) on Thu, Oct 22, 2026.');
+    expect(body.conflicts.map((c) => c.title)).toEqual(['Standup']);
+    expect(await tasksOn('2026-10-22')).toEqual([
+      ['Deep work', at('2026-10-22 09:00'), at('2026-10-22 11:30')],
+      ['Standup', at('2026-10-22 10:00'), at('2026-10-22 10:15')],
+      ['Review', at('2026-10-22 14:00'), at('2026-10-22 15:00')],
+    ]);
+
+    await api().post('/api/tasks/undo').set(auth).send({ batchId: body.batchId }).expect(200);
+    expect((await tasksOn('2026-10-22')).map(([title]) => title)).toEqual(['Standup']);
+  });
+
+  it('keeps wall-clock times past a DST change', async () => {
+    const template = await saveFocusDay();
+    await api().post(`/api/templates/${template._id}/apply`).set(auth).send({ date: '2026-11-02' }).expect(200);
+    expect(await tasksOn('2026-11-02')).toEqual([
+      ['Deep work', at('2026-11-02 09:00'), at('2026-11-02 11:30')],
+      ['Review', at('2026-11-02 14:00'), at('2026-11-02 15:00')],
+    ]);
+  });
+});
+
+describe('templates in /api/plan', () => {
+  it('drafts the template blocks on the named day', async () => {
+    await saveFocusDay();
+    const { body } = await api()
+      .post('/api/plan')
+      .set(auth)
+      .send({ text: 'apply my focus day template on Thursday' })
+      .expect(200);
+    expect(ctx.ai.calls).toEqual([]);
+    expect(body.tasks.map((t) => [t.title, t.start, t.template.name])).toEqual([
+      ['Deep work', at('2026-10-22 09:00'), 'Focus day'],
+      ['Review', at('2026-10-22 14:00'), 'Focus day'],
+    ]);
+    expect(body.message).toBe('📋 "Focus day" planned for Thu, Oct 22, 2026.');
+
+    // the block's category and tags survive the commit
+    const { body: saved } = await api()
+      .post('/api/plan/commit')
+      .set(auth)
+      .send({ sessionToken: body.sessionToken, items: body.tasks })
+      .expect(200);
+    expect(saved.tasks[0]).toMatchObject({ category: 'work', tags: ['focus'] });
+  });
+
+  it('plans the rest of the text as usual', async () => {
+    await saveFocusDay();
+    ctx.ai.reply = () => ({
+      sentiment: 'POSITIVE',
+      score: 0.8,
+      detectedEmotion: 'Balanced',
+      tasks: [{ title: 'Gym', start: '18:00', end: '19:00' }],
+      suggestions: [],
+      message: 'Your plan seems balanced.',
+    });
+    const { body } = await api()
+      .post('/api/plan')
+      .set(auth)
+      .send({ text: 'Use the focus day template tomorrow. Friday gym at 6pm' })
+      .expect(200);
+    expect(ctx.ai.calls).toEqual(['Friday gym at 6pm']);
+    expect(body.tasks.map((t) => [t.title, t.start])).toEqual([
+      ['Gym', at('2026-10-23 18:00')],
+      ['Deep work', at('2026-10-20 09:00')],
+      ['Review', at('2026-10-20 14:00')],
+    ]);
+  });
+
+  it('answers 404 for an unknown template', async () => {
+    const { body } = await api().post('/api/plan').set(auth).send({ text: 'apply my sprint template on Friday' }).expect(404);
+    expect(body.error).toBe('No template called "sprint"');
+  });
+});
@@ -0,0 +1,71 @@
+const { parseTemplateCommand, findTemplate, blocksFromTasks, expandBlocks } = require('../lib/templates');
+const { wallClock, zonedDate } = require('../lib/time');
+
+// Monday 19 Oct 2026, 10:00 in Berlin
+const TZ = 'Europe/Berlin';
+const NOW = new Date('2026-10-19T08:00:00Z');
+
+const wall = (d, tz = TZ) => wallClock(d, tz).toISOString().slice(0, 16).replace('T', ' ');
+
+describe('parseTemplateCommand', () => {
+  it('reads the template name and the day', () => {
+    const cmd = parseTemplateCommand('apply my focus day template on Thursday', NOW, TZ);
+    expect(cmd).toMatchObject({ name: 'focus day', dateText: 'on Thursday', text: 'apply my focus day template on Thursday' });
+    expect(wall(cmd.date)).toBe('2026-10-22 00:00');
+  });
+
+  it.each([
+    ['Use the sprint review routine tomorrow', 'sprint review', '2026-10-20 00:00'],
+    ['load Deep Work Morning template', 'Deep Work Morning', '2026-10-19 00:00'],
+  ])('%s', (sentence, name, day) => {
+    const cmd = parseTemplateCommand(sentence, NOW, TZ);
+    expect(cmd.name).toBe(name);
+    expect(wall(cmd.date)).toBe(day);
+  });
+
+  it('ignores sentences without a template', () => {
+    expect(parseTemplateCommand('gym 7-8 on Thursday', NOW, TZ)).toBeNull();
+    expect(parseTemplateCommand('', NOW, TZ)).toBeNull();
+  });
+});
+
+describe('findTemplate', () => {
+  const templates = [{ name: 'Focus day' }, { name: 'Deep work morning' }, { name: 'Deep work evening' }];
+
+  it('prefers the same name, ignoring case and punctuation', () => {
+    expect(findTemplate(templates, 'focus-day')).toBe(templates[0]);
+  });
+
+  it('falls back to the only name containing every word', () => {
+    expect(findTemplate(templates, 'work morning')).toBe(templates[1]);
+    expect(findTemplate(templates, 'deep work')).toBeNull(); // two of them
+    expect(findTemplate(templates, 'sprint review')).toBeNull();
+  });
+});
+
+describe('blocks', () => {
+  const monday = zonedDate(TZ, 2026, 9, 19);
+  const tasks = [
+    { title: 'Review', start: zonedDate(TZ, 2026, 9, 19, 14), end: zonedDate(TZ, 2026, 9, 19, 15), priority: 'low' },
+    { title: 'Deep work', start: zonedDate(TZ, 2026, 9, 19, 9), end: zonedDate(TZ, 2026, 9, 19, 11, 30), tags: ['focus'] },
+    { title: 'Holiday', start: monday, end: zonedDate(TZ, 2026, 9, 20), allDay: true },
+    { title: 'Sunday', start: zonedDate(TZ, 2026, 9, 18, 9), end: zonedDate(TZ, 2026, 9, 18, 10) },
+  ];
+
+  it('turns the timed tasks of a day into blocks from midnight', () => {
+    expect(blocksFromTasks(tasks, monday, TZ)).toEqual([
+      expect.objectContaining({ title: 'Deep work', offsetMinutes: 540, durationMinutes: 150, tags: ['focus'] }),
+      expect.objectContaining({ title: 'Review', offsetMinutes: 840, durationMinutes: 60, priority: 'low' }),
+    ]);
+  });
+
+  it('keeps wall-clock times when applied across a DST change', () => {
+    const blocks = blocksFromTasks(tasks, monday, TZ);
+    // Berlin is on winter time by Monday 2 Nov
+    const placed = expandBlocks(blocks, zonedDate(TZ, 2026, 10, 2), TZ);
+    expect(placed.map((b) => [b.title, wall(b.start), wall(b.end)])).toEqual([
+      ['Deep work', '2026-11-02 09:00', '2026-11-02 11:30'],
+      ['Review', '2026-11-02 14:00', '2026-11-02 15:00'],
+    ]);
+  });
+});
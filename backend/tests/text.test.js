@@ -0,0 +1,20 @@
+const { fuzzyTitleMatch } = require('../lib/text');
+
+describe('fuzzyTitleMatch', () => {
+  it.each([
+    ['🧘 Morning meditation', 'meditations'],
+    ['Team meeting', 'team meetng'],
+    ['Dentist', 'dent'],
+  ])('%s matches %s', (title, query) => {
+    expect(fuzzyTitleMatch(title, query)).toBe(true);
+  });
+
+  it('needs every query word to match', () => {
+    expect(fuzzyTitleMatch('Team sync', 'team lunch')).toBe(false);
+  });
+
+  it('matches nothing with a query that has no words', () => {
+    expect(fuzzyTitleMatch('Dentist', '🧘')).toBe(false);
+    expect(fuzzyTitleMatch('Dentist', '')).toBe(false);
+  });
+});
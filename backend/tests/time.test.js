@@ -0,0 +1,64 @@
+const {
+  wallClock,
+  zonedDate,
+  addLocalDays,
+  localDay,
+  startOfLocalDay,
+  endOfLocalDay,
+  localMinuteOfDay,
+  isTimeZone,
+  toClock,
+} = require('../lib/time');
+
+describe('time zones', () => {
+  const instant = new Date('2026-10-19T23:30:00Z');
+
+  it('finds the day an instant falls on in each zone', () => {
+    expect(startOfLocalDay(instant, 'Europe/Berlin').toISOString()).toBe('2026-10-19T22:00:00.000Z');
+    expect(endOfLocalDay(instant, 'Europe/Berlin').toISOString()).toBe('2026-10-20T21:59:59.999Z');
+    expect(startOfLocalDay(instant, 'America/New_York').toISOString()).toBe('2026-10-19T04:00:00.000Z');
+    expect(startOfLocalDay(instant, 'Asia/Kolkata').toISOString()).toBe('2026-10-19T18:30:00.000Z');
+  });
+
+  it('reads the wall clock', () => {
+    expect(wallClock(instant, 'Europe/Berlin').toISOString()).toBe('2026-10-20T01:30:00.000Z');
+    expect(localMinuteOfDay(instant, 'America/New_York')).toBe(19 * 60 + 30);
+  });
+
+  it('moves a time skipped by DST an hour later', () => {
+    // 02:30 doesn't exist in Berlin on 29 March 2026
+    expect(zonedDate('Europe/Berlin', 2026, 2, 29, 2, 30).toISOString()).toBe('2026-03-29T01:30:00.000Z');
+  });
+
+  it('keeps the time of day when adding days across DST', () => {
+    const nineAm = zonedDate('Europe/Berlin', 2026, 9, 24, 9);
+    expect(wallClock(addLocalDays(nineAm, 2, 'Europe/Berlin'), 'Europe/Berlin').toISOString()).toBe(
+      '2026-10-26T09:00:00.000Z'
+    );
+  });
+
+  it('keeps a plain calendar day in any zone', () => {
+    expect(localDay('2026-11-12', 'America/New_York').toISOString()).toBe('2026-11-12T05:00:00.000Z');
+    expect(localDay('2026-11-12', 'Asia/Tokyo').toISOString()).toBe('2026-11-11T15:00:00.000Z');
+  });
+
+  it('validates IANA names', () => {
+    expect(isTimeZone('Europe/Berlin')).toBe(true);
+    expect(isTimeZone('Mars/Base')).toBe(false);
+    expect(isTimeZone(undefined)).toBe(false);
+  });
+});
+
+describe('toClock', () => {
+  const clock = (text, meridiem) => toClock(text.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i), meridiem);
+
+  it('reads am/pm and bare hours', () => {
+    expect(clock('11am')).toBe('11:00');
+    expect(clock('2:30pm')).toBe('14:30');
+    expect(clock('12am')).toBe('00:00');
+    expect(clock('3')).toBe('15:00');
+    expect(clock('7')).toBe('07:00');
+    expect(clock('12', 'am')).toBe('00:00');
+    expect(clock('25')).toBeNull();
+  });
+});
@@ -1,16 +1,147 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import axios from 'axios';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc';
+import timezone from 'dayjs/plugin/timezone';
 import './App.css';
+import AnalyticsDashboard from './components/AnalyticsDashboard';
+import AuthForm from './components/AuthForm';
+import BackupPanel from './components/BackupPanel';
 import EmotionLog from './components/EmotionLog';
+import FieldError, { errorMessage, fieldErrors } from './components/FieldErrors';
 import PlannerCalendar from './components/PlannerCalendar';
+import SettingsPanel from './components/SettingsPanel';
+import { currentTimeZone, storeTimeZone } from './components/TimeZoneSelect';
+import UndoToast from './components/UndoToast';
 
+dayjs.extend(utc);
+dayjs.extend(timezone);
 
 function App() {
   const [text, setText] = useState('');
   const [result, setResult] = useState(null);
   const [loading, setLoading] = useState(false);
   const [tab, setTab] = useState('analyze');
-  const [calRefreshKey, setCalRefreshKey] = useState(0);
+  const [deletePreview, setDeletePreview] = useState(null);
+  const [undo, setUndo] = useState(null);
+  const [showBackup, setShowBackup] = useState(false);
+  const [moveSuggestions, setMoveSuggestions] = useState(true);
+  const [calendarDate, setCalendarDate] = useState(undefined);
+  const closeUndo = useCallback(() => setUndo(null), []);
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [notifyPermission, setNotifyPermission] = useState(
+    'Notification' in window ? Notification.permission : 'unsupported'
+  );
+  const [reminderAlerts, setReminderAlerts] = useState([]);
+
+  // ---------------------------
+  // 🔐 Session
+  // ---------------------------
+  const clearSession = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    setUser(null);
+    setResult(null);
+    setDeletePreview(null);
+    setTab('analyze');
+  };
+
+  // the time zone saved on the account follows the user to this device
+  const signIn = (account) => {
+    storeTimeZone(account.timeZone);
+    setUser(account);
+  };
+
+  useEffect(() => {
+    (async () => {
+      if (localStorage.getItem('token')) {
+        try {
+          const res = await axios.get('http://localhost:5000/api/auth/me');
+          signIn(res.data);
+        } catch {
+          clearSession();
+        }
+      }
+      setAuthChecked(true);
+    })();
+
+    // fired by the axios interceptor when the refresh token is no longer valid
+    window.addEventListener('auth:logout', clearSession);
+    return () => window.removeEventListener('auth:logout', clearSession);
+  }, []);
+
+  // ---------------------------
+  // 📡 Live stream (Server-Sent Events): reminders become browser notifications
+  // (or in-app alerts), task changes are handed to PlannerCalendar as
+  // `planner:task` window events
+  // ---------------------------
+  useEffect(() => {
+    if (!user) return undefined;
+    let source = null;
+    let retryTimer = null;
+
+    const showReminder = (reminder) => {
+      const when = reminder.minutesBefore
+        ? `starts in ${reminder.minutesBefore} min`
+        : 'is starting now';
+      if ('Notification' in window && Notification.permission === 'granted') {
+        new Notification(`⏰ ${reminder.title}`, { body: `${reminder.title} ${when}`, tag: reminder.key });
+      } else {
+        setReminderAlerts((prev) => [...prev, { id: reminder.id, text: `⏰ ${reminder.title} ${when}` }]);
+      }
+    };
+
+    const connect = () => {
+      const token = localStorage.getItem('token');
+      source = new EventSource(
+        `http://localhost:5000/api/stream?access_token=${encodeURIComponent(token)}`
+      );
+      source.addEventListener('reminder', (e) => showReminder(JSON.parse(e.data)));
+      source.addEventListener('task', (e) =>
+        window.dispatchEvent(new CustomEvent('planner:task', { detail: JSON.parse(e.data) }))
+      );
+      source.onerror = () => {
+        // usually an expired access token: any API call lets the axios
+        // interceptor refresh it, then reconnect with the new one
+        source.close();
+        retryTimer = setTimeout(async () => {
+          try {
+            await axios.get('http://localhost:5000/api/reminders');
+          } catch {
+            return; // refresh failed, the session is gone
+          }
+          connect();
+        }, 5000);
+      };
+    };
+    connect();
+
+    return () => {
+      if (source) source.close();
+      clearTimeout(retryTimer);
+    };
+  }, [user]);
+
+  // same as a `resync` from the server, for when the stream is down
+  const reloadCalendar = () =>
+    window.dispatchEvent(new CustomEvent('planner:task', { detail: { type: 'resync' } }));
+
+  const enableNotifications = async () => {
+    setNotifyPermission(await Notification.requestPermission());
+  };
+
+  const dismissReminder = (id) =>
+    setReminderAlerts((prev) => prev.filter((r) => r.id !== id));
+
+  const handleLogout = async () => {
+    try {
+      await axios.post('http://localhost:5000/api/auth/logout');
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    clearSession();
+  };
 
   // ---------------------------
   // 🧩 Handle AI Planning
@@ -20,31 +151,106 @@ function App() {
     setLoading(true);
     setResult(null);
     try {
-      const response = await axios.post('http://localhost:5000/api/plan', { text });
+      const response = await axios.post('http://localhost:5000/api/plan', {
+        text,
+        reschedule: moveSuggestions ? 'suggestions' : 'none',
+      });
       const data = response.data;
 
-      // Combine main tasks + suggestions, sort by start time
-      const allTasks = [...data.tasks, ...(data.suggestions || [])].sort(
-        (a, b) => new Date(a.start) - new Date(b.start)
-      );
+      // Combine main tasks + suggestions into one editable draft, sorted by start time.
+      // Suggestions start out accepted; the user can reject them before saving.
+      const items = [...data.tasks, ...(data.suggestions || [])]
+        .map((item) => ({ ...item, accepted: true }))
+        .sort((a, b) => new Date(a.start) - new Date(b.start));
 
-      setResult({
-        ...data,
-        combinedTasks: allTasks,
-      });
+      setResult({ ...data, items });
+    } catch (error) {
+      console.error('Error sending data to backend:', error);
+      setResult({ error: errorMessage(error, 'Could not connect to server.') });
+    }
+    setLoading(false);
+  };
+
+  // ---------------------------
+  // ✏️ Edit the draft before committing it
+  // ---------------------------
+  const updateDraftItem = (draftId, changes) => {
+    setResult((prev) => ({
+      ...prev,
+      items: prev.items.map((it) => (it.draftId === draftId ? { ...it, ...changes } : it)),
+    }));
+  };
+
+  const setDraftTime = (draftId, field, value) => {
+    if (!value) return; // cleared input
+    // the inputs show the calendar's clock, not the browser's
+    updateDraftItem(draftId, { [field]: dayjs.tz(value, currentTimeZone()).toISOString() });
+  };
 
-      setCalRefreshKey((prev) => prev + 1);
+  const removeDraftItem = (draftId) => {
+    setResult((prev) => ({ ...prev, items: prev.items.filter((it) => it.draftId !== draftId) }));
+  };
+
+  const handleCommitPlan = async () => {
+    const accepted = result.items.filter((it) => it.accepted);
+    if (accepted.length === 0) return;
+    setLoading(true);
+    try {
+      const res = await axios.post('http://localhost:5000/api/plan/commit', {
+        // puts this session in the journal, linked to the saved tasks
+        sessionToken: result.sessionToken,
+        items: accepted.map(({ draftId, kind, title, start, end, emotion, notes, category, priority, tags }) => ({
+          draftId,
+          kind,
+          title,
+          start,
+          end,
+          emotion,
+          notes,
+          // set on blocks from a day template
+          category,
+          priority,
+          tags,
+        })),
+      });
+      setUndo({ message: res.data.message, batchId: res.data.batchId });
+      setCalendarDate(accepted[0].start);
+      setResult(null);
       setTab('calendar');
       setText('');
     } catch (error) {
-      console.error('Error sending data to backend:', error);
-      setResult({ error: 'Could not connect to server.' });
+      console.error('Error saving plan:', error);
+      const errors = fieldErrors(error);
+      if (Object.keys(errors).length) {
+        // `items[2].end` -> `end` on the third accepted draft
+        setResult((prev) => ({
+          ...prev,
+          items: prev.items.map((it) => {
+            const i = accepted.findIndex((a) => a.draftId === it.draftId);
+            const own = Object.entries(errors)
+              .filter(([path]) => path.startsWith(`items[${i}].`))
+              .map(([path, message]) => [path.slice(`items[${i}].`.length), message]);
+            return { ...it, errors: own.length ? Object.fromEntries(own) : null };
+          }),
+        }));
+      } else {
+        alert(`❌ ${errorMessage(error, 'Could not save the plan.')}`);
+      }
+    } finally {
+      setLoading(false);
     }
-    setLoading(false);
+  };
+
+  // finished import: show the new data and offer to undo the imported tasks
+  const handleImported = (data) => {
+    setShowBackup(false);
+    reloadCalendar();
+    if (data.batchId) setUndo({ message: data.message, batchId: data.batchId });
+    else alert(data.message);
   };
 
   // ---------------------------
-  // 🧩 Handle AI-based Delete
+  // 🧩 Handle AI-based Delete (preview first, then confirm)
   // ---------------------------
   const handleDeleteQuery = async (e) => {
     e.preventDefault();
@@ -54,33 +260,115 @@ function App() {
     }
 
     setLoading(true);
+    setDeletePreview(null);
     try {
-      const parseRes = await axios.post('http://localhost:5001/api/delete', { text });
-      const aiParsed = parseRes.data;
+      const res = await axios.post('http://localhost:5000/api/delete', { text, dryRun: true });
+      const preview = res.data;
 
-      if (!aiParsed.tasks || aiParsed.tasks.length === 0) {
-        alert('❌ No valid tasks detected to delete.');
+      if (!preview.tasks || preview.tasks.length === 0) {
+        alert('❌ No matching tasks found to delete.');
         return;
       }
 
-      const delRes = await axios.post('http://localhost:5000/api/delete', aiParsed);
-      alert(`🗑️ ${delRes.data.message}`);
-      setCalRefreshKey((prev) => prev + 1);
+      setDeletePreview({
+        ...preview,
+        selected: new Set(preview.tasks.map((t) => t._id)),
+      });
+    } catch (error) {
+      console.error('Error processing delete request:', error);
+      setResult({
+        error: fieldErrors(error).text || errorMessage(error, 'Could not process delete command.'),
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleDeleteSelection = (id) => {
+    setDeletePreview((prev) => {
+      const selected = new Set(prev.selected);
+      if (selected.has(id)) selected.delete(id);
+      else selected.add(id);
+      return { ...prev, selected };
+    });
+  };
+
+  const handleConfirmDelete = async () => {
+    if (!deletePreview || deletePreview.selected.size === 0) return;
+    setLoading(true);
+    try {
+      const delRes = await axios.post('http://localhost:5000/api/delete/confirm', {
+        previewToken: deletePreview.previewToken,
+        ids: [...deletePreview.selected],
+      });
+      if (delRes.data.batchId) {
+        setUndo({ message: delRes.data.message, batchId: delRes.data.batchId });
+      }
+      setDeletePreview(null);
       setTab('calendar');
       setText('');
     } catch (error) {
-      console.error('Error processing delete request:', error);
-      alert('❌ Could not process delete command.');
+      console.error('Error confirming delete:', error);
+      // a stale preview can't be confirmed any more; the user previews again
+      if (error.response?.data?.code === 'PREVIEW_EXPIRED') setDeletePreview(null);
+      alert(`❌ ${errorMessage(error, 'Could not delete tasks.')}`);
+    } finally {
+      setLoading(false);
     }
-    setLoading(false);
+  };
+
+  const describeInterpretation = (it) => {
+    if (!it) return '';
+    const day = (d) => dayjs(d).tz(currentTimeZone()).format('ddd MMM D YYYY');
+    const where =
+      it.mode === 'range'
+        ? `between ${day(it.from)} and ${day(it.to)}`
+        : it.mode === 'day'
+        ? `on ${day(it.date)}`
+        : it.mode === 'upcoming'
+        ? `until ${day(it.to)}`
+        : 'matching the listed titles';
+    const which = it.ordinal ? `The ${it.ordinal === -1 ? 'last' : `#${it.ordinal}`} task` : 'Tasks';
+    const when = it.timeWindow ? ` from ${it.timeWindow.after} to ${it.timeWindow.before}` : '';
+    return `${which} ${where}${when}${it.titleLike ? ` with a title like “${it.titleLike}”` : ''}`;
   };
 
   // ---------------------------
   // 🧠 Render
   // ---------------------------
+  if (!authChecked) return null;
+  const tz = currentTimeZone();
+
+  if (!user) {
+    return (
+      <div className="App">
+        <header className="App-header">
+          <h1>Smart AI Activity Planner</h1>
+          <p>Plan your day/week with emotional awareness.</p>
+          <AuthForm onAuth={signIn} />
+        </header>
+      </div>
+    );
+  }
+
   return (
     <div className="App">
       <header className="App-header">
+        <div className="user-bar">
+          <span>👤 {user.name || user.email}</span>
+          {notifyPermission === 'default' && (
+            <button type="button" className="logout-btn" onClick={enableNotifications}>
+              🔔 Enable reminders
+            </button>
+          )}
+          <button type="button" className="logout-btn" onClick={() => setShowBackup((open) => !open)}>
+            💾 Backup
+          </button>
+          <button type="button" className="logout-btn" onClick={handleLogout}>
+            Log out
+          </button>
+        </div>
+        {showBackup && <BackupPanel onImported={handleImported} onClose={() => setShowBackup(false)} />}
         <h1>Smart AI Activity Planner</h1>
         <p>Plan your day/week with emotional awareness.</p>
 
@@ -91,9 +379,15 @@ function App() {
           <button className={tab === 'log' ? 'active' : ''} onClick={() => setTab('log')}>
             Emotion Log
           </button>
+          <button className={tab === 'insights' ? 'active' : ''} onClick={() => setTab('insights')}>
+            Insights
+          </button>
           <button className={tab === 'calendar' ? 'active' : ''} onClick={() => setTab('calendar')}>
             Calendar
           </button>
+          <button className={tab === 'settings' ? 'active' : ''} onClick={() => setTab('settings')}>
+            Settings
+          </button>
         </div>
 
         {tab === 'analyze' && (
@@ -105,9 +399,17 @@ function App() {
               placeholder='e.g., On Wednesday 12th Nov, schedule project work 12–3am, meeting 10–11, etc.'
             />
             <br />
+            <label className="plan-option">
+              <input
+                type="checkbox"
+                checked={moveSuggestions}
+                onChange={(e) => setMoveSuggestions(e.target.checked)}
+              />{' '}
+              Move AI suggestions to the nearest free slot if they overlap
+            </label>
             <div style={{ display: 'flex', gap: '10px', justifyContent: 'center' }}>
               <button type="submit" disabled={loading}>
-                {loading ? 'Planning…' : 'Plan & Save'}
+                {loading ? 'Planning…' : 'Plan'}
               </button>
               <button
                 type="button"
@@ -115,14 +417,14 @@ function App() {
                 onClick={handleDeleteQuery}
                 style={{ backgroundColor: '#ff5555', color: 'white' }}
               >
-                {loading ? 'Deleting…' : 'Delete Tasks'}
+                {loading ? 'Checking…' : 'Delete Tasks'}
               </button>
             </div>
 
-            {/* ✨ Organized Task Section */}
-            {result && result.combinedTasks && result.combinedTasks.length > 0 && (
+            {/* ✨ Draft plan: edit, accept/reject, then save */}
+            {result && result.items && result.items.length > 0 && (
               <div className="task-summary">
-                <h3>Your Planned Tasks</h3>
+                <h3>Review Your Plan</h3>
 
                 {/* Overall Emotion Display */}
                 {result.detectedEmotion && (
@@ -134,35 +436,158 @@ function App() {
                   </div>
                 )}
 
+                {result.degraded && (
+                  <div className="degraded-note">
+                    ⚠️ The AI service is unavailable, so this plan was made offline with basic rules.
+                  </div>
+                )}
+
                 <div className="task-grid">
-                  {result.combinedTasks.map((task, index) => {
-                    const isSuggestion = result.suggestions?.some(
-                      (s) => s.title === task.title && s.start === task.start
+                  {result.items.map((task) => {
+                    const isSuggestion = task.kind === 'suggestion';
+                    const moved = result.conflicts?.find(
+                      (c) => c.task.draftId === task.draftId && c.movedTo
                     );
                     return (
                       <div
-                        key={index}
-                        className={`task-card ${isSuggestion ? 'suggested' : 'regular'}`}
+                        key={task.draftId}
+                        className={`task-card ${isSuggestion ? 'suggested' : 'regular'} ${
+                          task.accepted ? '' : 'rejected'
+                        }`}
                       >
                         {isSuggestion && <div className="ai-badge">✨ AI Suggestion</div>}
+                        {task.template && <div className="ai-badge template-badge">📋 {task.template.name}</div>}
 
-                        <h4>{task.title}</h4>
-                        <p>
-                          🕒{' '}
-                          {new Date(task.start).toLocaleTimeString([], {
-                            hour: '2-digit',
-                            minute: '2-digit',
-                          })}{' '}
-                          -{' '}
-                          {new Date(task.end).toLocaleTimeString([], {
-                            hour: '2-digit',
-                            minute: '2-digit',
-                          })}
+                        <input
+                          className="draft-title"
+                          type="text"
+                          value={task.title}
+                          onChange={(e) => updateDraftItem(task.draftId, { title: e.target.value })}
+                        />
+                        <p className="draft-day">
+                          📅 {dayjs(task.start).tz(tz).format('ddd, D MMM')}
+                          {task.anchoredBy && <span> · from “{task.anchoredBy}”</span>}
                         </p>
+                        <label className="draft-time">
+                          🕒 Start
+                          <input
+                            type="datetime-local"
+                            value={dayjs(task.start).tz(tz).format('YYYY-MM-DDTHH:mm')}
+                            onChange={(e) => setDraftTime(task.draftId, 'start', e.target.value)}
+                          />
+                        </label>
+                        <label className="draft-time">
+                          🏁 End
+                          <input
+                            type="datetime-local"
+                            value={dayjs(task.end).tz(tz).format('YYYY-MM-DDTHH:mm')}
+                            onChange={(e) => setDraftTime(task.draftId, 'end', e.target.value)}
+                          />
+                        </label>
+
+                        {task.movedFrom && (
+                          <p className="draft-moved">
+                            ↪️ Moved from {dayjs(task.movedFrom.start).tz(tz).format('HH:mm')}, {task.movedFrom.reason}
+                          </p>
+                        )}
+
+                        <FieldError errors={task.errors} except={[]} />
+
+                        {task.conflicts?.length > 0 && (
+                          <p className="draft-conflict">
+                            ⚠️ Overlaps {task.conflicts.map((c) => c.title).join(', ')}
+                            {moved && ' (moved to a free slot)'}
+                          </p>
+                        )}
+
+                        <div className="draft-actions">
+                          {isSuggestion ? (
+                            <>
+                              <button
+                                type="button"
+                                className={task.accepted ? 'active' : ''}
+                                onClick={() => updateDraftItem(task.draftId, { accepted: true })}
+                              >
+                                ✓ Accept
+                              </button>
+                              <button
+                                type="button"
+                                className={task.accepted ? '' : 'active'}
+                                onClick={() => updateDraftItem(task.draftId, { accepted: false })}
+                              >
+                                ✕ Reject
+                              </button>
+                            </>
+                          ) : (
+                            <button type="button" onClick={() => removeDraftItem(task.draftId)}>
+                              🗑️ Remove
+                            </button>
+                          )}
+                        </div>
                       </div>
                     );
                   })}
                 </div>
+
+                <div style={{ display: 'flex', gap: '10px', justifyContent: 'center' }}>
+                  <button
+                    type="button"
+                    disabled={loading || !result.items.some((it) => it.accepted)}
+                    onClick={handleCommitPlan}
+                  >
+                    💾 Save {result.items.filter((it) => it.accepted).length} item(s) to calendar
+                  </button>
+                  <button type="button" onClick={() => setResult(null)}>
+                    Discard
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* 🧹 Delete preview */}
+            {deletePreview && (
+              <div className="delete-preview">
+                <h3>Delete these tasks?</h3>
+                <p className="delete-interpretation">
+                  {describeInterpretation(deletePreview.interpretation)}
+                </p>
+                <ul>
+                  {deletePreview.tasks.map((task) => (
+                    <li key={task._id}>
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={deletePreview.selected.has(task._id)}
+                          onChange={() => toggleDeleteSelection(task._id)}
+                        />
+                        <strong>{task.title}</strong>{' '}
+                        <span className="timestamp">
+                          {new Date(task.start).toLocaleString([], {
+                            timeZone: tz,
+                            weekday: 'short',
+                            day: 'numeric',
+                            month: 'short',
+                            hour: '2-digit',
+                            minute: '2-digit',
+                          })}
+                        </span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+                <div style={{ display: 'flex', gap: '10px', justifyContent: 'center' }}>
+                  <button
+                    type="button"
+                    disabled={loading || deletePreview.selected.size === 0}
+                    onClick={handleConfirmDelete}
+                    style={{ backgroundColor: '#ff5555', color: 'white' }}
+                  >
+                    Delete {deletePreview.selected.size} selected
+                  </button>
+                  <button type="button" onClick={() => setDeletePreview(null)}>
+                    Cancel
+                  </button>
+                </div>
               </div>
             )}
 
@@ -173,7 +598,33 @@ function App() {
         )}
 
         {tab === 'log' && <EmotionLog />}
-        {tab === 'calendar' && <PlannerCalendar key={calRefreshKey} refreshKey={calRefreshKey} />}
+        {tab === 'insights' && <AnalyticsDashboard />}
+        {tab === 'calendar' && (
+          <PlannerCalendar initialDate={calendarDate} />
+        )}
+        {tab === 'settings' && <SettingsPanel />}
+
+        {reminderAlerts.length > 0 && (
+          <div className="reminder-alerts" role="alert">
+            {reminderAlerts.map((r) => (
+              <div key={r.id} className="reminder-alert">
+                <span>{r.text}</span>
+                <button type="button" onClick={() => dismissReminder(r.id)} aria-label="Dismiss">
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {undo && (
+          <UndoToast
+            message={undo.message}
+            batchId={undo.batchId}
+            onUndone={reloadCalendar}
+            onClose={closeUndo}
+          />
+        )}
       </header>
     </div>
   );
@@ -0,0 +1,225 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc';
+import timezone from 'dayjs/plugin/timezone';
+import { errorMessage } from './FieldErrors';
+import { currentTimeZone } from './TimeZoneSelect';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const EMOTION_COLORS = {
+  Happy: '#2d9f6e',
+  Positive: '#2d9f6e',
+  Balanced: '#61dafb',
+  Calm: '#8fd3f4',
+  Neutral: '#8a8f99',
+  Tired: '#c9a227',
+  Sad: '#6c7ae0',
+  Stressed: '#d9534f',
+};
+const colorFor = (emotion) => EMOTION_COLORS[emotion] || '#b084f5';
+
+// "today" on the calendar's clock
+const today = () => dayjs().tz(currentTimeZone());
+const RANGES = {
+  week: () => [today().subtract(6, 'day'), today()],
+  month: () => [today().subtract(29, 'day'), today()],
+};
+
+/** Vertical bars, one per item; each bar can stack several coloured segments. */
+function BarChart({ items, max, height = 140 }) {
+  const top = max || Math.max(1, ...items.map((it) => it.segments.reduce((a, s) => a + s.value, 0)));
+  return (
+    <div className="bar-chart" style={{ height }}>
+      {items.map((it) => (
+        <div key={it.label} className="bar-col" title={it.title}>
+          <div className="bar-stack">
+            {it.segments.map((s) => (
+              <div
+                key={s.key}
+                className="bar-seg"
+                style={{ height: `${(s.value / top) * 100}%`, background: s.color }}
+              />
+            ))}
+          </div>
+          <span className="bar-label">{it.label}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/** Hours scheduled (x) against "Stressed" entries (y), one dot per day. */
+function ScatterPlot({ points }) {
+  const w = 320;
+  const h = 160;
+  const pad = 24;
+  const maxX = Math.max(1, ...points.map((p) => p.hours));
+  const maxY = Math.max(1, ...points.map((p) => p.stressed));
+  return (
+    <svg className="scatter" viewBox={`0 0 ${w} ${h}`} role="img" aria-label="Busy days vs stressed entries">
+      <line x1={pad} y1={h - pad} x2={w - 8} y2={h - pad} />
+      <line x1={pad} y1={8} x2={pad} y2={h - pad} />
+      <text x={w - 8} y={h - 6} textAnchor="end">hours scheduled</text>
+      <text x={4} y={14}>stressed</text>
+      {points.map((p) => (
+        <circle
+          key={p.date}
+          cx={pad + (p.hours / maxX) * (w - pad - 16)}
+          cy={h - pad - (p.stressed / maxY) * (h - pad - 16)}
+          r={5}
+        >
+          <title>{`${p.date}: ${p.hours}h, ${p.stressed} stressed`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+export default function AnalyticsDashboard() {
+  const [range, setRange] = useState('week');
+  const [custom, setCustom] = useState({
+    from: today().subtract(13, 'day').format('YYYY-MM-DD'),
+    to: today().format('YYYY-MM-DD'),
+  });
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState('');
+
+  useEffect(() => {
+    const [from, to] = range === 'custom' ? [dayjs(custom.from), dayjs(custom.to)] : RANGES[range]();
+    if (!from.isValid() || !to.isValid()) return;
+    let cancelled = false;
+    setLoading(true);
+    setErr('');
+    axios
+      .get('http://localhost:5000/api/analytics', {
+        // calendar days; the backend reads them on the user's clock
+        params: { from: from.format('YYYY-MM-DD'), to: to.format('YYYY-MM-DD') },
+      })
+      .then((res) => !cancelled && setData(res.data))
+      .catch((error) => !cancelled && setErr(errorMessage(error, 'Failed to load analytics.')))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [range, custom]);
+
+  const short = (date) => dayjs(date).format(range === 'week' ? 'ddd' : 'D/M');
+
+  return (
+    <div className="analytics">
+      <h2>Insights</h2>
+      <div className="range-picker">
+        {['week', 'month', 'custom'].map((r) => (
+          <button key={r} type="button" className={range === r ? 'active' : ''} onClick={() => setRange(r)}>
+            {r === 'week' ? 'Last 7 days' : r === 'month' ? 'Last 30 days' : 'Custom'}
+          </button>
+        ))}
+        {range === 'custom' && (
+          <>
+            <input
+              type="date"
+              value={custom.from}
+              onChange={(e) => setCustom({ ...custom, from: e.target.value })}
+            />
+            <input
+              type="date"
+              value={custom.to}
+              onChange={(e) => setCustom({ ...custom, to: e.target.value })}
+            />
+          </>
+        )}
+      </div>
+
+      {loading && <div className="card">Loading insights…</div>}
+      {err && <div className="card error">{err}</div>}
+
+      {!loading && !err && data && (
+        <div className="analytics-grid">
+          <section className="card chart-card">
+            <h3>Emotions over time</h3>
+            <BarChart
+              items={data.emotionsOverTime.map((d) => ({
+                label: short(d.date),
+                title: `${d.date}: ${Object.entries(d.emotions).map(([e, n]) => `${e} ${n}`).join(', ') || 'no entries'}`,
+                segments: Object.entries(d.emotions).map(([e, n]) => ({ key: e, value: n, color: colorFor(e) })),
+              }))}
+            />
+            <div className="chart-legend">
+              {Object.entries(data.emotionTotals).map(([e, n]) => (
+                <span key={e} className="pill">
+                  <i style={{ background: colorFor(e) }} /> {e}: {n}
+                </span>
+              ))}
+            </div>
+          </section>
+
+          <section className="card chart-card">
+            <h3>Average score per weekday</h3>
+            <BarChart
+              max={1}
+              items={data.scoreByWeekday.map((w) => ({
+                label: w.weekday,
+                title: w.avgScore === null ? 'no entries' : `${w.avgScore} (${w.count} entries)`,
+                segments: [{ key: 'score', value: Math.max(0, w.avgScore || 0), color: '#61dafb' }],
+              }))}
+            />
+          </section>
+
+          <section className="card chart-card">
+            <h3>Hours scheduled per day</h3>
+            <BarChart
+              items={data.hoursPerDay.map((d) => ({
+                label: short(d.date),
+                title: `${d.date}: ${d.workHours}h work, ${d.breakHours}h breaks`,
+                segments: [
+                  { key: 'work', value: d.workHours, color: '#6c7ae0' },
+                  { key: 'break', value: d.breakHours, color: '#2d9f6e' },
+                ],
+              }))}
+            />
+            <div className="chart-legend">
+              <span className="pill"><i style={{ background: '#6c7ae0' }} /> Work</span>
+              <span className="pill"><i style={{ background: '#2d9f6e' }} /> Breaks</span>
+            </div>
+          </section>
+
+          <section className="card chart-card">
+            <h3>Break-to-work ratio</h3>
+            <div className="stat-row">
+              <div className="stat">
+                <strong>{data.breakToWork.ratio === null ? '–' : data.breakToWork.ratio}</strong>
+                <span>break h per work h</span>
+              </div>
+              <div className="stat">
+                <strong>{data.breakToWork.breakCount}</strong>
+                <span>suggested breaks</span>
+              </div>
+              <div className="stat">
+                <strong>{data.breakToWork.taskCount}</strong>
+                <span>tasks</span>
+              </div>
+            </div>
+          </section>
+
+          <section className="card chart-card">
+            <h3>Busy days vs. “Stressed”</h3>
+            {data.busyVsStressed.days.length ? (
+              <ScatterPlot points={data.busyVsStressed.days} />
+            ) : (
+              <p className="timestamp">No activity in this range.</p>
+            )}
+            <p className="timestamp">
+              {data.busyVsStressed.correlation === null
+                ? 'Not enough data for a correlation yet.'
+                : `Correlation: ${data.busyVsStressed.correlation} (1 = busier days are more stressed)`}
+            </p>
+          </section>
+        </div>
+      )}
+    </div>
+  );
+}
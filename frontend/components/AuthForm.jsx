@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import FieldError, { errorMessage, fieldErrors } from './FieldErrors';
+
+export default function AuthForm({ onAuth }) {
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState('');
+  const [fields, setFields] = useState({});
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setErr('');
+    setFields({});
+    try {
+      const body = mode === 'register' ? { email, password, name } : { email, password };
+      const res = await axios.post(`http://localhost:5000/api/auth/${mode}`, body);
+      localStorage.setItem('token', res.data.token);
+      localStorage.setItem('refreshToken', res.data.refreshToken);
+      onAuth(res.data.user);
+    } catch (error) {
+      const invalid = fieldErrors(error);
+      setFields(invalid);
+      if (!Object.keys(invalid).length) setErr(errorMessage(error, 'Could not connect to server.'));
+    }
+    setLoading(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card auth-card">
+      <h2>{mode === 'login' ? 'Log in' : 'Create an account'}</h2>
+      {mode === 'register' && (
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name (optional)"
+        />
+      )}
+      <FieldError errors={fields} path="name" />
+      <input
+        type="email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        placeholder="Email"
+        required
+      />
+      <FieldError errors={fields} path="email" />
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder="Password (min. 8 characters)"
+        minLength={8}
+        required
+      />
+      <FieldError errors={fields} path="password" />
+      <button type="submit" disabled={loading}>
+        {loading ? 'Please wait…' : mode === 'login' ? 'Log in' : 'Sign up'}
+      </button>
+
+      {err && <div className="error-box">{err}</div>}
+
+      <p className="auth-switch">
+        {mode === 'login' ? "Don't have an account?" : 'Already registered?'}{' '}
+        <button
+          type="button"
+          className="link-btn"
+          onClick={() => {
+            setMode(mode === 'login' ? 'register' : 'login');
+            setErr('');
+            setFields({});
+          }}
+        >
+          {mode === 'login' ? 'Sign up' : 'Log in'}
+        </button>
+      </p>
+    </form>
+  );
+}
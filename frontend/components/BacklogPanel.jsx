@@ -0,0 +1,256 @@
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { Draggable } from '@fullcalendar/interaction';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc';
+import timezone from 'dayjs/plugin/timezone';
+import FieldError, { errorMessage, fieldErrors } from './FieldErrors';
+import { currentTimeZone } from './TimeZoneSelect';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const DURATION_OPTIONS = [15, 30, 45, 60, 90, 120, 180];
+const durationLabel = (minutes) =>
+  minutes >= 60 ? `${Math.floor(minutes / 60)}h${minutes % 60 ? ` ${minutes % 60}m` : ''}` : `${minutes}m`;
+const PRIORITY_ICONS = { high: '🔺', medium: '', low: '🔻' };
+const EFFORT_LABELS = { light: '🪶 Light', normal: '⚖️ Normal', heavy: '🏋️ Heavy' };
+
+const emptyDraft = { title: '', durationMinutes: 60, deadline: '', priority: 'medium', effort: 'normal' };
+
+/**
+ * Tasks without a time yet. Each one can be dragged onto the calendar grid
+ * (FullCalendar's external drag; `eventReceive` in PlannerCalendar saves the
+ * drop) and events dragged back onto this panel return here. "Auto-schedule"
+ * asks the backend for free slots in the working hours from Settings, with
+ * heavy work kept out of usually-stressed hours; the accepted ones go on the
+ * calendar and `onScheduled(res, firstStart)` is called. Keeps itself up to
+ * date from the `planner:task` events.
+ */
+export default function BacklogPanel({ onDeleted, onScheduled }) {
+  const [tasks, setTasks] = useState([]);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [errors, setErrors] = useState({});
+  const [proposal, setProposal] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const listRef = useRef(null);
+
+  const load = async () => {
+    try {
+      const res = await axios.get('/api/tasks/backlog');
+      setTasks(res.data);
+    } catch (err) {
+      console.error('Error loading the backlog:', err);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  // tasks that lose their time join the list; scheduled or deleted ones leave it
+  useEffect(() => {
+    const applyChange = (e) => {
+      const { type, tasks: changed = [], ids = [] } = e.detail;
+      if (type === 'resync') {
+        load();
+        return;
+      }
+      const gone = new Set([...ids, ...changed.map((t) => t._id)]);
+      setTasks((list) => [
+        ...list.filter((t) => !gone.has(t._id)),
+        ...(type === 'deleted' ? [] : changed.filter((t) => !t.start && !t.seriesId)),
+      ]);
+    };
+    window.addEventListener('planner:task', applyChange);
+    return () => window.removeEventListener('planner:task', applyChange);
+  }, []);
+
+  // every `.backlog-item` can be dropped on the calendar as an event of its own length
+  useEffect(() => {
+    const draggable = new Draggable(listRef.current, {
+      itemSelector: '.backlog-item',
+      eventData: (el) => ({
+        id: el.dataset.id,
+        title: el.dataset.title,
+        duration: { minutes: Number(el.dataset.duration) },
+        create: true,
+      }),
+    });
+    return () => draggable.destroy();
+  }, []);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setErrors({});
+    try {
+      const res = await axios.post('/api/tasks/backlog', {
+        ...draft,
+        deadline: draft.deadline ? dayjs.tz(draft.deadline, currentTimeZone()).toISOString() : null,
+      });
+      setTasks((list) => (list.some((t) => t._id === res.data._id) ? list : [...list, res.data]));
+      setDraft(emptyDraft);
+    } catch (err) {
+      const invalid = fieldErrors(err);
+      setErrors(invalid);
+      if (!Object.keys(invalid).length) alert(`❌ ${errorMessage(err, 'Failed to add the task.')}`);
+    }
+  };
+
+  const handleDelete = async (task) => {
+    try {
+      const res = await axios.delete(`/api/tasks/${task._id}`);
+      setTasks((list) => list.filter((t) => t._id !== task._id));
+      onDeleted(`🗑️ "${task.title}" deleted.`, res);
+    } catch (err) {
+      alert(`❌ ${errorMessage(err, 'Failed to delete the task.')}`);
+    }
+  };
+
+  const handleAutoSchedule = async () => {
+    setBusy(true);
+    try {
+      const res = await axios.post('/api/tasks/backlog/auto-schedule', {});
+      setProposal({ ...res.data, proposal: res.data.proposal.map((it) => ({ ...it, accepted: true })) });
+    } catch (err) {
+      alert(`❌ ${errorMessage(err, 'Auto-scheduling failed.')}`);
+    }
+    setBusy(false);
+  };
+
+  const toggleAccepted = (taskId) =>
+    setProposal((p) => ({
+      ...p,
+      proposal: p.proposal.map((it) => (it.taskId === taskId ? { ...it, accepted: !it.accepted } : it)),
+    }));
+
+  const handleAccept = async () => {
+    const accepted = proposal.proposal.filter((it) => it.accepted);
+    if (!accepted.length) return;
+    setBusy(true);
+    try {
+      const res = await axios.post('/api/tasks/backlog/auto-schedule/commit', {
+        items: accepted.map(({ taskId, start, end }) => ({ taskId, start, end })),
+      });
+      setProposal(null);
+      onScheduled(res, accepted[0].start);
+    } catch (err) {
+      alert(`❌ ${errorMessage(err, 'Could not save the schedule.')}`);
+    }
+    setBusy(false);
+  };
+
+  const set = (field) => (e) => setDraft((d) => ({ ...d, [field]: e.target.value }));
+  const tz = currentTimeZone();
+  const stressedHours = (proposal?.moodByHour || []).filter((h) => h.stressRate >= 0.5).map((h) => h.hour);
+
+  return (
+    <div className="backlog-panel">
+      <h3>📥 Unscheduled</h3>
+      <form className="backlog-add" onSubmit={handleAdd}>
+        <input type="text" value={draft.title} onChange={set('title')} placeholder="Someday task…" />
+        <select
+          value={draft.durationMinutes}
+          onChange={(e) => setDraft((d) => ({ ...d, durationMinutes: Number(e.target.value) }))}
+          aria-label="Duration"
+        >
+          {DURATION_OPTIONS.map((m) => (
+            <option key={m} value={m}>
+              {durationLabel(m)}
+            </option>
+          ))}
+        </select>
+        <button type="submit" className="save-btn" disabled={!draft.title.trim()}>
+          ➕
+        </button>
+        <div className="backlog-options">
+          <label>
+            📌 Due
+            <input type="datetime-local" value={draft.deadline} onChange={set('deadline')} />
+          </label>
+          <select value={draft.priority} onChange={set('priority')} aria-label="Priority">
+            <option value="low">Low priority</option>
+            <option value="medium">Medium priority</option>
+            <option value="high">High priority</option>
+          </select>
+          <select value={draft.effort} onChange={set('effort')} aria-label="Effort">
+            {Object.entries(EFFORT_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </form>
+      <FieldError errors={errors} except={[]} />
+
+      <ul ref={listRef} className="backlog-list">
+        {tasks.map((t) => (
+          <li
+            key={t._id}
+            className="backlog-item"
+            data-id={t._id}
+            data-title={t.title}
+            data-duration={t.durationMinutes || 60}
+          >
+            <span className="backlog-title">{PRIORITY_ICONS[t.priority]} {t.title}</span>
+            <span className="backlog-duration">
+              {durationLabel(t.durationMinutes || 60)}
+              {t.deadline && ` · 📌 ${dayjs(t.deadline).tz(tz).format('D MMM')}`}
+            </span>
+            <button type="button" onClick={() => handleDelete(t)} aria-label={`Delete ${t.title}`}>
+              🗑️
+            </button>
+          </li>
+        ))}
+      </ul>
+      <p className="hint">
+        {tasks.length
+          ? 'Drag a task onto the calendar to schedule it; drag an event here to unschedule it.'
+          : 'Nothing here. Add a task without a time, or drag an event here.'}
+      </p>
+      <button type="button" disabled={busy || !tasks.length} onClick={handleAutoSchedule}>
+        {busy && !proposal ? 'Finding slots…' : '🪄 Auto-schedule'}
+      </button>
+
+      {proposal && (
+        <div className="backlog-proposal">
+          <h3>Proposed slots</h3>
+          {stressedHours.length > 0 && (
+            <p className="hint">
+              Heavy work kept away from {stressedHours.map((h) => `${String(h).padStart(2, '0')}:00`).join(', ')}, when
+              you usually log “Stressed”.
+            </p>
+          )}
+          <ul>
+            {proposal.proposal.map((it) => (
+              <li key={it.taskId} className={it.late ? 'late' : ''}>
+                <label>
+                  <input type="checkbox" checked={it.accepted} onChange={() => toggleAccepted(it.taskId)} />
+                  <strong>{it.title}</strong>{' '}
+                  {dayjs(it.start).tz(tz).format('ddd D MMM HH:mm')}–{dayjs(it.end).tz(tz).format('HH:mm')}
+                </label>
+                {it.reasons.map((r) => (
+                  <p key={r} className="backlog-reason">
+                    {it.late ? '⚠️' : '💡'} {r}
+                  </p>
+                ))}
+              </li>
+            ))}
+          </ul>
+          {proposal.unscheduled.length > 0 && (
+            <p className="draft-conflict">
+              ⚠️ No room for {proposal.unscheduled.map((u) => u.title).join(', ')} this week.
+            </p>
+          )}
+          <button type="button" disabled={busy || !proposal.proposal.some((it) => it.accepted)} onClick={handleAccept}>
+            💾 Add {proposal.proposal.filter((it) => it.accepted).length} to calendar
+          </button>
+          <button type="button" onClick={() => setProposal(null)}>
+            Discard
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import dayjs from 'dayjs';
+import { errorMessage } from './FieldErrors';
+
+const DATA_LABELS = { all: 'Tasks + journal', tasks: 'Tasks', schedules: 'Journal' };
+const MAX_SHOWN_DUPLICATES = 5;
+
+/** `from`/`to` query params for the chosen days (both optional, `to` inclusive). */
+function rangeParams({ from, to }) {
+  const params = {};
+  if (from) params.from = dayjs(from).startOf('day').toISOString();
+  if (to) params.to = dayjs(to).add(1, 'day').startOf('day').toISOString();
+  return params;
+}
+
+/** A CSV export holds one collection; tell which from its header. */
+const csvCollection = (text) => (/^\W*(_id,)?title,/.test(text) ? 'tasks' : 'schedules');
+
+/**
+ * Download the user's tasks and journal (JSON backup or CSV) and restore a
+ * backup. An import is checked with a dry run first, so the user sees the
+ * duplicates before choosing to merge or replace.
+ */
+export default function BackupPanel({ onImported, onClose }) {
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [format, setFormat] = useState('json');
+  const [data, setData] = useState('all');
+  const [pending, setPending] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState('');
+
+  const handleExport = async () => {
+    setErr('');
+    try {
+      const res = await axios.get('http://localhost:5000/api/export', {
+        params: { format, data, ...rangeParams(range) },
+        responseType: 'blob',
+      });
+      const name = /filename="([^"]+)"/.exec(res.headers['content-disposition'] || '');
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = name ? name[1] : `planner-${data}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setErr(errorMessage(error, 'Export failed.'));
+    }
+  };
+
+  const sendImport = (file, params) =>
+    file.csv
+      ? axios.post('http://localhost:5000/api/import', file.body, {
+          params: { ...params, data: file.csv },
+          headers: { 'Content-Type': 'text/csv' },
+        })
+      : axios.post('http://localhost:5000/api/import', file.body, { params });
+
+  const handleFile = async (e) => {
+    const picked = e.target.files[0];
+    e.target.value = ''; // allow picking the same file again
+    if (!picked) return;
+    setErr('');
+    setPending(null);
+
+    const text = await picked.text();
+    let file;
+    if (/\.csv$/i.test(picked.name)) {
+      file = { name: picked.name, body: text, csv: csvCollection(text) };
+    } else {
+      try {
+        file = { name: picked.name, body: JSON.parse(text) };
+      } catch {
+        setErr(`${picked.name} is not a JSON backup or a CSV export.`);
+        return;
+      }
+    }
+
+    setBusy(true);
+    try {
+      const res = await sendImport(file, { dryRun: true });
+      setPending({ file, report: res.data });
+    } catch (error) {
+      setErr(errorMessage(error, 'Could not read the file.'));
+    }
+    setBusy(false);
+  };
+
+  const handleImport = async (mode) => {
+    if (
+      mode === 'replace' &&
+      !window.confirm(
+        'Replace your data with this file? Your current tasks go to the trash; journal entries are deleted.'
+      )
+    ) {
+      return;
+    }
+    setBusy(true);
+    try {
+      const res = await sendImport(pending.file, { mode });
+      setPending(null);
+      onImported?.(res.data);
+    } catch (error) {
+      setErr(errorMessage(error, 'Import failed.'));
+    }
+    setBusy(false);
+  };
+
+  const report = pending?.report;
+
+  return (
+    <div className="card backup-panel">
+      <div className="backup-head">
+        <h3>💾 Backup</h3>
+        <button type="button" className="backup-close" onClick={onClose} aria-label="Close backup">
+          ✖
+        </button>
+      </div>
+
+      <div className="backup-row">
+        <label>
+          From <input type="date" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} />
+        </label>
+        <label>
+          To <input type="date" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} />
+        </label>
+        <select
+          value={format}
+          onChange={(e) => {
+            setFormat(e.target.value);
+            // a CSV file holds one collection
+            if (e.target.value === 'csv' && data === 'all') setData('tasks');
+          }}
+        >
+          <option value="json">JSON</option>
+          <option value="csv">CSV</option>
+        </select>
+        <select value={data} onChange={(e) => setData(e.target.value)}>
+          {Object.entries(DATA_LABELS)
+            .filter(([value]) => format === 'json' || value !== 'all')
+            .map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+        </select>
+        <button type="button" onClick={handleExport}>
+          ⬇️ Export
+        </button>
+        <label className="backup-import">
+          ⬆️ Import…
+          <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFile} hidden />
+        </label>
+      </div>
+
+      {busy && <p className="timestamp">Working…</p>}
+      {err && <div className="error-box">{err}</div>}
+
+      {report && (
+        <div className="backup-report">
+          <p>
+            <strong>{pending.file.name}</strong>: {report.message}
+          </p>
+          {report.duplicates.length > 0 && (
+            <ul>
+              {report.duplicates.slice(0, MAX_SHOWN_DUPLICATES).map((d) => (
+                <li key={`${d.collection}-${d.index}`} className="timestamp">
+                  {d.collection === 'tasks' ? '🗓️' : '📝'} {d.title || d.text || d.id} — {d.reason}
+                </li>
+              ))}
+              {report.duplicateCount > MAX_SHOWN_DUPLICATES && (
+                <li className="timestamp">…and {report.duplicateCount - MAX_SHOWN_DUPLICATES} more</li>
+              )}
+            </ul>
+          )}
+          <div className="backup-row">
+            <button type="button" disabled={busy} onClick={() => handleImport('merge')}>
+              Merge
+            </button>
+            <button type="button" disabled={busy} onClick={() => handleImport('replace')}>
+              Replace
+            </button>
+            <button type="button" onClick={() => setPending(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,48 +1,310 @@
 import React, { useEffect, useState } from 'react';
 import axios from 'axios';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc';
+import timezone from 'dayjs/plugin/timezone';
+import FieldError, { errorMessage, fieldErrors } from './FieldErrors';
+import { currentTimeZone } from './TimeZoneSelect';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const MOODS = {
+  Happy: '😄',
+  Calm: '😌',
+  Balanced: '🙂',
+  Tired: '🥱',
+  Sad: '😢',
+  Anxious: '😟',
+  Stressed: '😣',
+  Angry: '😠',
+};
+const KIND_LABELS = { analysis: '🧠 Analysis', plan: '🗓️ Plan', 'check-in': '📝 Check-in' };
+const MAX_INTENSITY = 5;
+
+const emptyCheckIn = { text: '', selfReportedEmotion: '', intensity: 3 };
+
+/** "Today", "Yesterday" or "Mon 19 Oct 2026" for a day key, on the calendar's clock. */
+function dayHeading(key, tz) {
+  const today = dayjs().tz(tz).format('YYYY-MM-DD');
+  if (key === today) return 'Today';
+  if (key === dayjs().tz(tz).subtract(1, 'day').format('YYYY-MM-DD')) return 'Yesterday';
+  return dayjs.tz(key, tz).format('ddd D MMM YYYY');
+}
+
+/** Entries (newest first) as `[{ key, entries }]`, one group per day. */
+function groupByDay(items, tz) {
+  const groups = [];
+  for (const it of items) {
+    const key = dayjs(it.createdAt).tz(tz).format('YYYY-MM-DD');
+    if (groups.length && groups[groups.length - 1].key === key) groups[groups.length - 1].entries.push(it);
+    else groups.push({ key, entries: [it] });
+  }
+  return groups;
+}
+
+/** Emotion buttons plus an intensity slider, shared by the check-in and edit forms. */
+function MoodPicker({ value, onChange }) {
+  return (
+    <div className="mood-picker">
+      {Object.entries(MOODS).map(([mood, icon]) => (
+        <button
+          key={mood}
+          type="button"
+          className={value.selfReportedEmotion === mood ? 'active' : ''}
+          onClick={() =>
+            onChange({ ...value, selfReportedEmotion: value.selfReportedEmotion === mood ? '' : mood })
+          }
+        >
+          {icon} {mood}
+        </button>
+      ))}
+      {value.selfReportedEmotion && (
+        <label>
+          Intensity
+          <input
+            type="range"
+            min={1}
+            max={MAX_INTENSITY}
+            value={value.intensity}
+            onChange={(e) => onChange({ ...value, intensity: Number(e.target.value) })}
+          />
+          {value.intensity}/{MAX_INTENSITY}
+        </label>
+      )}
+    </div>
+  );
+}
 
 export default function EmotionLog() {
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [err, setErr] = useState('');
+  const [filters, setFilters] = useState({ q: '', emotion: '', sentiment: '' });
+  const [search, setSearch] = useState('');
+  const [draft, setDraft] = useState(emptyCheckIn);
+  const [formErrors, setFormErrors] = useState({});
+  const [editing, setEditing] = useState(null);
+  const tz = currentTimeZone();
+
+  const load = async (current) => {
+    try {
+      const params = Object.fromEntries(Object.entries(current).filter(([, v]) => v));
+      const res = await axios.get('http://localhost:5000/api/schedules', { params });
+      setItems(res.data || []);
+      setErr('');
+    } catch (error) {
+      setErr(errorMessage(error, 'Failed to fetch emotion log.'));
+    } finally {
+      setLoading(false);
+    }
+  };
 
   useEffect(() => {
-    (async () => {
-      try {
-        const res = await axios.get('http://localhost:5000/api/schedules');
-        setItems(res.data || []);
-      } catch {
-        setErr('Failed to fetch emotion log.');
-      } finally {
-        setLoading(false);
-      }
-    })();
-  }, []);
-
-  if (loading) return <div className="card">Loading logs…</div>;
-  if (err) return <div className="card error">{err}</div>;
-  if (!items.length) return <div className="card">No entries yet. Analyze something to see it here.</div>;
+    load(filters);
+  }, [filters]);
+
+  const handleCheckIn = async (e) => {
+    e.preventDefault();
+    setFormErrors({});
+    try {
+      await axios.post('http://localhost:5000/api/schedules', {
+        text: draft.text || undefined,
+        selfReportedEmotion: draft.selfReportedEmotion || undefined,
+        intensity: draft.selfReportedEmotion ? draft.intensity : undefined,
+      });
+      setDraft(emptyCheckIn);
+      load(filters);
+    } catch (error) {
+      const invalid = fieldErrors(error);
+      setFormErrors(invalid);
+      if (!Object.keys(invalid).length) alert(`❌ ${errorMessage(error, 'Could not save check-in.')}`);
+    }
+  };
+
+  const startEdit = (entry) =>
+    setEditing({
+      _id: entry._id,
+      text: entry.text || '',
+      selfReportedEmotion: entry.selfReportedEmotion || '',
+      intensity: entry.intensity || 3,
+      errors: {},
+    });
+
+  const handleSaveEdit = async () => {
+    try {
+      // '' and null clear a field
+      const res = await axios.put(`http://localhost:5000/api/schedules/${editing._id}`, {
+        text: editing.text,
+        selfReportedEmotion: editing.selfReportedEmotion || null,
+        intensity: editing.selfReportedEmotion ? editing.intensity : null,
+      });
+      setItems((list) => list.map((it) => (it._id === editing._id ? res.data : it)));
+      setEditing(null);
+    } catch (error) {
+      const invalid = fieldErrors(error);
+      if (Object.keys(invalid).length) setEditing((ed) => ({ ...ed, errors: invalid }));
+      else alert(`❌ ${errorMessage(error, 'Could not update entry.')}`);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    const linked = entry.tasks?.length ? ' Its tasks stay on the calendar.' : '';
+    if (!window.confirm(`Delete this entry?${linked}`)) return;
+    try {
+      await axios.delete(`http://localhost:5000/api/schedules/${entry._id}`);
+      setItems((list) => list.filter((it) => it._id !== entry._id));
+    } catch (error) {
+      alert(`❌ ${errorMessage(error, 'Could not delete entry.')}`);
+    }
+  };
+
+  const filtered = Boolean(filters.q || filters.emotion || filters.sentiment);
 
   return (
     <div className="log">
       <h2>Emotion Log</h2>
-      <ul className="log-list">
-        {items.map((it) => (
-          <li key={it._id} className="log-item">
-            <div className="log-top">
-              <span className={`badge ${it.detectedEmotion?.toLowerCase() || 'neutral'}`}>
-                {it.detectedEmotion || 'Neutral'}
-              </span>
-              <span className="timestamp">{new Date(it.createdAt).toLocaleString()}</span>
-            </div>
-            <div className="log-text">{it.text}</div>
-            <div className="log-meta">
-              <span className="pill">Sentiment: {it.sentiment}</span>
-              {it.score && <span className="pill">Score: {it.score.toFixed(2)}</span>}
-            </div>
-          </li>
-        ))}
-      </ul>
+
+      <form className="card check-in" onSubmit={handleCheckIn}>
+        <h3>How are you feeling?</h3>
+        <MoodPicker value={draft} onChange={setDraft} />
+        <FieldError errors={formErrors} path={['selfReportedEmotion', 'intensity']} />
+        <textarea
+          rows={3}
+          value={draft.text}
+          onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+          placeholder="Write a few words about your day (optional)"
+        />
+        <FieldError errors={formErrors} path="text" />
+        <button type="submit">💾 Save check-in</button>
+      </form>
+
+      <form
+        className="log-filters"
+        onSubmit={(e) => {
+          e.preventDefault();
+          setFilters({ ...filters, q: search.trim() });
+        }}
+      >
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search entries…"
+        />
+        <select value={filters.emotion} onChange={(e) => setFilters({ ...filters, emotion: e.target.value })}>
+          <option value="">Any emotion</option>
+          {Object.keys(MOODS).map((mood) => (
+            <option key={mood} value={mood}>
+              {mood}
+            </option>
+          ))}
+        </select>
+        <select value={filters.sentiment} onChange={(e) => setFilters({ ...filters, sentiment: e.target.value })}>
+          <option value="">Any sentiment</option>
+          <option value="POSITIVE">Positive</option>
+          <option value="NEGATIVE">Negative</option>
+        </select>
+        <button type="submit">🔍 Search</button>
+        {filtered && (
+          <button
+            type="button"
+            onClick={() => {
+              setSearch('');
+              setFilters({ q: '', emotion: '', sentiment: '' });
+            }}
+          >
+            Clear
+          </button>
+        )}
+      </form>
+
+      {loading && <div className="card">Loading logs…</div>}
+      {err && <div className="card error">{err}</div>}
+      {!loading && !err && !items.length && (
+        <div className="card">
+          {filtered ? 'No entries match these filters.' : 'No entries yet. Check in above or plan your day.'}
+        </div>
+      )}
+
+      {groupByDay(items, tz).map((group) => (
+        <section key={group.key} className="log-day">
+          <h3>{dayHeading(group.key, tz)}</h3>
+          <ul className="log-list">
+            {group.entries.map((it) => (
+              <li key={it._id} className="log-item">
+                <div className="log-top">
+                  <span>
+                    {it.detectedEmotion && (
+                      <span className={`badge ${it.detectedEmotion.toLowerCase()}`} title="Detected from your text">
+                        {it.detectedEmotion}
+                      </span>
+                    )}{' '}
+                    {it.selfReportedEmotion && (
+                      <span className="badge self" title="How you said you feel">
+                        {MOODS[it.selfReportedEmotion] || '🙋'} {it.selfReportedEmotion}
+                        {it.intensity && ` ${'●'.repeat(it.intensity)}${'○'.repeat(MAX_INTENSITY - it.intensity)}`}
+                      </span>
+                    )}
+                  </span>
+                  <span className="timestamp">
+                    {dayjs(it.createdAt).tz(tz).format('HH:mm')}
+                    {it.updatedAt && ' · edited'}
+                  </span>
+                </div>
+
+                {editing?._id === it._id ? (
+                  <div className="log-edit">
+                    <MoodPicker value={editing} onChange={setEditing} />
+                    <FieldError errors={editing.errors} path={['selfReportedEmotion', 'intensity']} />
+                    <textarea
+                      rows={3}
+                      value={editing.text}
+                      onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                    />
+                    <FieldError errors={editing.errors} path="text" />
+                    <button type="button" onClick={handleSaveEdit}>
+                      💾 Save
+                    </button>
+                    <button type="button" onClick={() => setEditing(null)}>
+                      Cancel
+                    </button>
+                  </div>
+                ) : (
+                  it.text && <div className="log-text">{it.text}</div>
+                )}
+
+                {it.tasks?.length > 0 && (
+                  <ul className="log-tasks">
+                    {it.tasks.map((t) => (
+                      <li key={t._id}>
+                        {t.status === 'done' ? '✅' : '🗓️'} {t.title}{' '}
+                        <span className="timestamp">{dayjs(t.start).tz(tz).format('ddd D MMM HH:mm')}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                <div className="log-meta">
+                  <span className="pill">{KIND_LABELS[it.kind] || KIND_LABELS.analysis}</span>
+                  {it.sentiment && <span className="pill">Sentiment: {it.sentiment}</span>}
+                  {typeof it.score === 'number' && <span className="pill">Score: {it.score.toFixed(2)}</span>}
+                  {editing?._id !== it._id && (
+                    <span className="log-actions">
+                      <button type="button" onClick={() => startEdit(it)} aria-label="Edit entry">
+                        ✏️
+                      </button>
+                      <button type="button" onClick={() => handleDelete(it)} aria-label="Delete entry">
+                        🗑️
+                      </button>
+                    </span>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
     </div>
   );
 }
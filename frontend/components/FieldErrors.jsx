@@ -0,0 +1,49 @@
+import React from 'react';
+
+/**
+ * Helpers for the backend's error contract:
+ *   { error: 'human readable', code: 'VALIDATION_FAILED', fields?: [{ path, message }] }
+ */
+
+/** `{ path: message }` for every invalid field in an axios error (empty when there are none). */
+export function fieldErrors(err) {
+  const fields = err?.response?.data?.fields || [];
+  return Object.fromEntries(fields.map((f) => [f.path, f.message]));
+}
+
+/** One line (or one line per field) to show when there's no form field to attach errors to. */
+export function errorMessage(err, fallback) {
+  const data = err?.response?.data;
+  if (data?.fields?.length > 1) return data.fields.map((f) => `${f.path}: ${f.message}`).join('\n');
+  return data?.error || fallback;
+}
+
+/**
+ * The error for `path` (or the first of several paths) under a form field.
+ * With `except` instead, every error whose path isn't listed there: the ones
+ * that have no input of their own.
+ */
+export default function FieldError({ errors, path, except }) {
+  if (!errors) return null;
+  if (except) {
+    const left = Object.entries(errors).filter(([p]) => !except.includes(p));
+    if (!left.length) return null;
+    return (
+      <div className="field-error" role="alert">
+        {left.map(([p, message]) => (
+          <div key={p}>
+            {p}: {message}
+          </div>
+        ))}
+      </div>
+    );
+  }
+  const paths = Array.isArray(path) ? path : [path];
+  const hit = paths.find((p) => errors[p]);
+  if (!hit) return null;
+  return (
+    <div className="field-error" role="alert">
+      {errors[hit]}
+    </div>
+  );
+}
@@ -1,11 +1,23 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import FullCalendar from '@fullcalendar/react';
 import dayGridPlugin from '@fullcalendar/daygrid';
 import timeGridPlugin from '@fullcalendar/timegrid';
 import interactionPlugin from '@fullcalendar/interaction';
+import luxonPlugin from '@fullcalendar/luxon3';
 import axios from 'axios';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc';
+import timezone from 'dayjs/plugin/timezone';
+import BacklogPanel from './BacklogPanel';
+import FieldError, { errorMessage, fieldErrors } from './FieldErrors';
+import TemplatePanel from './TemplatePanel';
+import TimeZoneSelect, { currentTimeZone, storeTimeZone } from './TimeZoneSelect';
+import UndoToast from './UndoToast';
 import './PlannerCalendar.css';
 
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
 /* ==========================================================
    🔐 Axios Global Auth Setup
    (Ensures all requests carry your JWT token)
@@ -14,147 +26,735 @@ axios.defaults.baseURL = "http://localhost:5000";
 axios.interceptors.request.use((config) => {
   const token = localStorage.getItem("token");
   if (token) config.headers.Authorization = `Bearer ${token}`;
+  config.headers["X-Time-Zone"] = currentTimeZone();
   return config;
 });
 
-export default function PlannerCalendar({ refreshKey }) {
-  const [events, setEvents] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [selectedEvent, setSelectedEvent] = useState(null);
-  const [newTitle, setNewTitle] = useState('');
-  const calendarRef = useRef(null);
+// On a 401, trade the refresh token for a new pair once and replay the request.
+// If that fails too, drop the session so App.js shows the login screen again.
+// Only the calls that hand out or drop tokens are never retried; /api/auth/me is.
+const NO_REFRESH_RX = /\/api\/auth\/(refresh|login|register|logout)\b/;
+let refreshing = null;
+axios.interceptors.response.use(
+  (res) => res,
+  async (error) => {
+    const original = error.config;
+    const refreshToken = localStorage.getItem("refreshToken");
+    const isAuthCall = NO_REFRESH_RX.test(original?.url || "");
+    if (error.response?.status !== 401 || !original || original._retried || isAuthCall) {
+      return Promise.reject(error);
+    }
+    if (!refreshToken) {
+      window.dispatchEvent(new Event("auth:logout"));
+      return Promise.reject(error);
+    }
+    original._retried = true;
+    try {
+      refreshing =
+        refreshing ||
+        axios.post("/api/auth/refresh", { refreshToken }).finally(() => {
+          refreshing = null;
+        });
+      const { data } = await refreshing;
+      localStorage.setItem("token", data.token);
+      localStorage.setItem("refreshToken", data.refreshToken);
+      return axios(original);
+    } catch (e) {
+      window.dispatchEvent(new Event("auth:logout"));
+      return Promise.reject(error);
+    }
+  }
+);
 
-  // detect AI suggestion
-  const isSuggestionFlag = (t) => {
-    const notes = (t.notes || '').toLowerCase();
-    return (
-      t.source === 'suggestion' ||
-      t.isSuggestion === true ||
-      notes.includes('ai suggestion') ||
-      notes.includes('recommended')
-    );
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const emptyRepeat = { freq: '', interval: 1, byWeekday: [], until: '', count: '' };
+
+// modal form state <-> API recurrence rule; the "until" day is read on the calendar's clock
+const repeatFromRule = (rule, tz) =>
+  rule && rule.freq
+    ? {
+        freq: rule.freq,
+        interval: rule.interval || 1,
+        byWeekday: rule.byWeekday || [],
+        until: rule.until ? dayjs(rule.until).tz(tz).format('YYYY-MM-DD') : '',
+        count: rule.count || '',
+      }
+    : emptyRepeat;
+
+const ruleFromRepeat = (r, tz) =>
+  r.freq
+    ? {
+        freq: r.freq,
+        interval: Number(r.interval) || 1,
+        byWeekday: r.freq === 'weekly' ? r.byWeekday : [],
+        until: r.until ? dayjs.tz(r.until, tz).endOf('day').toISOString() : undefined,
+        count: r.count ? Number(r.count) : undefined,
+      }
+    : null;
+
+const STATUS_OPTIONS = [
+  ['planned', 'Planned'],
+  ['in_progress', 'In progress'],
+  ['done', 'Done'],
+  ['skipped', 'Skipped'],
+];
+const STATUS_ICONS = { in_progress: '⏳', done: '✅', skipped: '⏭️' };
+const PRIORITY_ICONS = { high: '🔺', low: '🔹' };
+const EMOTIONS = ['Happy', 'Balanced', 'Calm', 'Neutral', 'Tired', 'Stressed', 'Sad'];
+const REMINDER_OPTIONS = [
+  [0, 'At start'],
+  [5, '5 min'],
+  [10, '10 min'],
+  [15, '15 min'],
+  [30, '30 min'],
+  [60, '1 hour'],
+];
+// server field errors shown next to their inputs; anything else is listed above the buttons
+const REMINDER_ERROR_PATHS = ['reminders', ...REMINDER_OPTIONS.map((_, i) => `reminders[${i}]`)];
+const FORM_ERROR_PATHS = [
+  'title', 'start', 'end', 'allDay', 'notes',
+  'emotion', 'status', 'priority', 'category', 'tags',
+  ...REMINDER_ERROR_PATHS,
+];
+const DATE_FMT = 'YYYY-MM-DD';
+const DATETIME_FMT = 'YYYY-MM-DDTHH:mm';
+const emptyDetails = {
+  start: '',
+  end: '',
+  allDay: false,
+  notes: '',
+  emotion: '',
+  status: 'planned',
+  priority: 'medium',
+  category: '',
+  tags: '',
+  reminders: [],
+};
+
+// FullCalendar leaves `end` empty for default-length events
+const eventEnd = (event) =>
+  event.end || dayjs(event.start).add(1, event.allDay ? 'day' : 'hour').toDate();
+
+// modal form state <-> API task fields; all-day end dates are shown inclusive.
+// The form shows wall-clock times in the calendar's time zone `tz`.
+const detailsFromEvent = (event, tz) => {
+  const props = event.extendedProps;
+  const end = dayjs(eventEnd(event)).tz(tz);
+  return {
+    start: dayjs(event.start).tz(tz).format(event.allDay ? DATE_FMT : DATETIME_FMT),
+    end: event.allDay ? end.subtract(1, 'day').format(DATE_FMT) : end.format(DATETIME_FMT),
+    allDay: event.allDay,
+    notes: props.notes || '',
+    emotion: props.emotion || '',
+    status: props.status || 'planned',
+    priority: props.priority || 'medium',
+    category: props.category || '',
+    tags: (props.tags || []).join(', '),
+    reminders: (props.reminders || []).map((r) => r.minutesBefore),
   };
+};
+const inZone = (value, tz) => (value && dayjs(value).isValid() ? dayjs.tz(value, tz) : dayjs(null));
+const timesFromDetails = (d, tz) =>
+  d.allDay
+    ? { start: inZone(d.start, tz).startOf('day'), end: inZone(d.end, tz).startOf('day').add(1, 'day') }
+    : { start: inZone(d.start, tz), end: inZone(d.end, tz) };
+const fieldsFromDetails = (d) => ({
+  notes: d.notes,
+  emotion: d.emotion.trim() || undefined,
+  status: d.status,
+  priority: d.priority,
+  category: d.category.trim(),
+  tags: d.tags.split(',').map((t) => t.trim()).filter(Boolean),
+  reminders: d.reminders,
+});
 
-  // assign consistent pastel color by index
-  const getColorPair = (index) => {
-    const pastelPairs = [
-      ['#a1c4fd', '#c2e9fb'],
-      ['#fbc2eb', '#a6c1ee'],
-      ['#fad0c4', '#ffd1ff'],
-      ['#84fab0', '#8fd3f4'],
-      ['#ffecd2', '#fcb69f'],
-      ['#d4fc79', '#96e6a1'],
-    ];
-    return pastelPairs[index % pastelPairs.length];
+// assign consistent pastel color by index
+const getColorPair = (index) => {
+  const pastelPairs = [
+    ['#a1c4fd', '#c2e9fb'],
+    ['#fbc2eb', '#a6c1ee'],
+    ['#fad0c4', '#ffd1ff'],
+    ['#84fab0', '#8fd3f4'],
+    ['#ffecd2', '#fcb69f'],
+    ['#d4fc79', '#96e6a1'],
+  ];
+  return pastelPairs[index % pastelPairs.length];
+};
+
+// ids of timed tasks that overlap at least one other task
+const findOverlapping = (tasks) => {
+  const sorted = tasks
+    .filter((t) => t.start && t.end)
+    .map((t) => ({ id: t._id, start: new Date(t.start), end: new Date(t.end) }))
+    .sort((a, b) => a.start - b.start);
+  const ids = new Set();
+  sorted.forEach((a, i) => {
+    for (let j = i + 1; j < sorted.length && sorted[j].start < a.end; j++) {
+      ids.add(a.id);
+      ids.add(sorted[j].id);
+    }
+  });
+  return ids;
+};
+
+// API task (or expanded occurrence) -> FullCalendar event
+const toCalendarEvent = (t, index, hasConflict) => {
+  const [bg1, bg2] = getColorPair(index);
+  return {
+    id: t._id,
+    title: t.title,
+    start: t.start,
+    end: t.end,
+    allDay: Boolean(t.allDay),
+    notes: t.notes,
+    emotion: t.emotion,
+    isSuggestion: t.source === 'ai_suggestion',
+    taskSource: t.source,
+    status: t.status,
+    priority: t.priority,
+    category: t.category,
+    tags: t.tags,
+    reminders: t.reminders,
+    version: t.version,
+    seriesId: t.seriesId,
+    occurrenceStart: t.occurrenceStart,
+    recurrence: t.recurrence,
+    hasConflict,
+    bg1,
+    bg2,
+  };
+};
+
+// availability settings -> FullCalendar: shaded working hours, the hours on
+// screen (an hour either side of the working week), and background blocks
+// for focus time and for breaks on working days
+const FULL_DAY = { slotMinTime: '00:00:00', slotMaxTime: '24:00:00' };
+const clockMinutes = (clock) => {
+  const [h, m] = clock.split(':').map(Number);
+  return h * 60 + m;
+};
+const businessHoursOf = (settings) =>
+  settings.workingHours.map((h) => ({ daysOfWeek: [h.day], startTime: h.start, endTime: h.end }));
+const visibleHours = (settings) => {
+  if (!settings.workingHours.length) return FULL_DAY;
+  const first = Math.min(...settings.workingHours.map((h) => clockMinutes(h.start)));
+  const last = Math.max(...settings.workingHours.map((h) => clockMinutes(h.end)));
+  const hour = (h) => `${String(h).padStart(2, '0')}:00:00`;
+  return {
+    slotMinTime: hour(Math.max(Math.floor(first / 60) - 1, 0)),
+    slotMaxTime: hour(Math.min(Math.ceil(last / 60) + 1, 24)),
   };
+};
+const protectedEvents = (settings) => [
+  ...settings.focusBlocks.map((f) => ({
+    title: `🎯 ${f.label || 'Focus'}`,
+    daysOfWeek: f.days,
+    startTime: f.start,
+    endTime: f.end,
+    display: 'background',
+    classNames: ['protected-block', 'focus-block'],
+  })),
+  ...settings.breakTimes.map((b) => ({
+    title: `☕ ${b.label || 'Break'}`,
+    daysOfWeek: settings.workingHours.map((h) => h.day),
+    startTime: b.start,
+    endTime: b.end,
+    display: 'background',
+    classNames: ['protected-block', 'break-block'],
+  })),
+];
+const isBackground = (event) => event.display === 'background';
 
-  // fetch all events
-  const fetchEvents = async () => {
+// hand a change to the live-update listener, same as one pushed by the server
+const announce = (detail) => window.dispatchEvent(new CustomEvent('planner:task', { detail }));
+
+const STALE_MESSAGE =
+  '⚠️ This task was changed in another tab or device. The calendar now shows the latest version.';
+
+// "Task moved." -> "Task moved. ⚠️ Overlaps Standup, Lunch"
+const withConflicts = (message, res) => {
+  const conflicts = res.data?.conflicts || [];
+  if (!conflicts.length) return message;
+  return `${message} ⚠️ Overlaps ${conflicts.map((c) => c.title).join(', ')}`;
+};
+
+export default function PlannerCalendar({ initialDate }) {
+  const [loading, setLoading] = useState(true);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const [newTitle, setNewTitle] = useState('');
+  const [repeat, setRepeat] = useState(emptyRepeat);
+  const [details, setDetails] = useState(emptyDetails);
+  const [duplicateDate, setDuplicateDate] = useState('');
+  // validation errors from the server (or readTimes), keyed by field path
+  const [formErrors, setFormErrors] = useState({});
+  const [scopePrompt, setScopePrompt] = useState(null);
+  const [undo, setUndo] = useState(null);
+  const [timeZone, setTimeZone] = useState(currentTimeZone);
+  // the day the template panel saves or fills ("YYYY-MM-DD"); null while it's closed
+  const [templateDay, setTemplateDay] = useState(null);
+  // working hours, focus blocks and breaks from Settings; `fullDay` shows all 24 hours anyway
+  const [availability, setAvailability] = useState(null);
+  const [fullDay, setFullDay] = useState(false);
+  const calendarRef = useRef(null);
+  const importInputRef = useRef(null);
+  const backlogRef = useRef(null);
+
+  // FullCalendar event source: only fetch the range currently on screen
+  // (memoised so FullCalendar doesn't treat every render as a new source)
+  const fetchEvents = useCallback(async (info, successCallback, failureCallback) => {
     try {
-      const res = await axios.get('/api/tasks');  // no need to include baseURL now
-      const evts = res.data.map((t, i) => {
-        const [bg1, bg2] = getColorPair(i);
-        return {
-          id: t._id,
-          title: t.title,
-          start: t.start,
-          end: t.end,
-          isSuggestion: isSuggestionFlag(t),
-          bg1,
-          bg2,
-        };
+      const res = await axios.get('/api/tasks', {
+        params: { from: info.start.toISOString(), to: info.end.toISOString() },
       });
-      setEvents(evts);
-      if (evts.length && calendarRef.current) {
-        const earliest = evts.reduce(
-          (min, e) => (new Date(e.start) < new Date(min.start) ? e : min),
-          evts[0]
-        );
-        calendarRef.current.getApi().gotoDate(new Date(earliest.start));
-      }
+      const overlapping = findOverlapping(res.data);
+      successCallback(res.data.map((t, i) => toCalendarEvent(t, i, overlapping.has(t._id))));
     } catch (e) {
-      console.log('No tasks found yet.', e.message);
-    } finally {
-      setLoading(false);
+      console.error('Error loading tasks:', e);
+      failureCallback(e);
     }
-  };
+  }, []);
+
+  const refetch = () => calendarRef.current?.getApi().refetchEvents();
+
+  useEffect(() => {
+    axios
+      .get('/api/settings')
+      .then((res) => setAvailability(res.data))
+      .catch((e) => console.error('Error loading settings:', e));
+  }, []);
+
+  // tasks, plus the focus blocks and breaks drawn behind them
+  const eventSources = useMemo(
+    () => [
+      { id: 'tasks', events: fetchEvents },
+      { id: 'availability', events: availability ? protectedEvents(availability) : [] },
+    ],
+    [fetchEvents, availability]
+  );
+  const shownHours = availability && !fullDay ? visibleHours(availability) : FULL_DAY;
 
+  // 📡 apply task changes pushed by the server (see App.js) without reloading
   useEffect(() => {
-    setLoading(true);
-    fetchEvents();
-  }, [refreshKey]);
+    const applyChange = (e) => {
+      const api = calendarRef.current?.getApi();
+      if (!api) return;
+      const { type, tasks = [], ids = [] } = e.detail;
+      // series expand into occurrences server-side, so reload the range for those
+      if (type === 'resync' || tasks.some((t) => t.recurrence?.freq)) {
+        api.refetchEvents();
+        return;
+      }
+      if (type === 'deleted') {
+        ids.forEach((id) => api.getEventById(id)?.remove());
+      } else {
+        const source = api.getEventSourceById('tasks');
+        tasks.forEach((t) => {
+          const existing = api.getEventById(t._id);
+          // an older copy than what's already on screen (events can cross)
+          if (existing && existing.extendedProps.version > t.version) return;
+          existing?.remove();
+          if (!t.start) return; // moved to the backlog
+          // added to the source so the next refetch replaces it instead of duplicating it
+          api.addEvent(toCalendarEvent(t, api.getEvents().length, false), source);
+        });
+      }
+      // overlap flags depend on the neighbours
+      const events = api.getEvents().filter((ev) => !isBackground(ev));
+      const overlapping = findOverlapping(
+        events.map((ev) => ({ _id: ev.id, start: ev.start, end: ev.end }))
+      );
+      events.forEach((ev) => {
+        const flag = overlapping.has(ev.id);
+        if (ev.extendedProps.hasConflict !== flag) ev.setExtendedProp('hasConflict', flag);
+      });
+    };
+    window.addEventListener('planner:task', applyChange);
+    return () => window.removeEventListener('planner:task', applyChange);
+  }, []);
+
+  // offer to undo the batch a mutating request just recorded
+  const offerUndo = (message, res) => {
+    if (res.data?.batchId) setUndo({ message: withConflicts(message, res), batchId: res.data.batchId });
+  };
+  const closeUndo = useCallback(() => setUndo(null), []);
 
   const handleSelect = async (selectInfo) => {
     const title = prompt('Task title?');
+    selectInfo.view.calendar.unselect();
     if (!title) return;
-    const tempId = `temp-${Date.now()}`;
-    const [bg1, bg2] = getColorPair(events.length);
-    const newEvent = {
-      id: tempId,
+    const [bg1, bg2] = getColorPair(0);
+    const temp = selectInfo.view.calendar.addEvent({
+      id: `temp-${Date.now()}`,
       title,
       start: selectInfo.startStr,
       end: selectInfo.endStr,
       bg1,
       bg2,
-    };
-    setEvents((prev) => [...prev, newEvent]);
+    });
     try {
+      // real instants: an all-day `startStr` ("2026-10-20") would be read as UTC midnight
       const res = await axios.post('/api/tasks', {
         title,
-        start: selectInfo.startStr,
-        end: selectInfo.endStr,
+        start: selectInfo.start.toISOString(),
+        end: selectInfo.end.toISOString(),
+        allDay: selectInfo.allDay,
       });
-      setEvents((prev) =>
-        prev.map((e) => (e.id === tempId ? { ...e, id: res.data._id } : e))
-      );
-    } catch {
-      setEvents((prev) => prev.filter((e) => e.id !== tempId));
+      temp.remove();
+      announce({ type: 'created', tasks: [res.data] });
+      if (res.data.conflicts?.length) alert(withConflicts('Task created.', res));
+    } catch (err) {
+      temp.remove();
+      alert(`❌ ${errorMessage(err, 'Failed to create task.')}`);
     }
   };
 
   const handleEventClick = (clickInfo) => {
     setSelectedEvent(clickInfo.event);
     setNewTitle(clickInfo.event.title);
+    setRepeat(repeatFromRule(clickInfo.event.extendedProps.recurrence, timeZone));
+    setDetails(detailsFromEvent(clickInfo.event, timeZone));
+    setDuplicateDate('');
+    setFormErrors({});
   };
 
-  const handleEventDrop = async (info) => {
+  const closeModal = () => {
+    setSelectedEvent(null);
+    setFormErrors({});
+  };
+
+  // resolves to 'this' | 'following' | 'all', or null when cancelled
+  const askScope = (action) =>
+    new Promise((resolve) => setScopePrompt({ action, resolve }));
+
+  const answerScope = (scope) => {
+    scopePrompt.resolve(scope);
+    setScopePrompt(null);
+  };
+
+  const isRecurring = (event) => Boolean(event.extendedProps.seriesId);
+
+  // eventDrop and eventResize: persist the new times through PUT
+  const handleEventChange = async (info) => {
+    const resized = 'endDelta' in info;
+    const start = info.event.start;
+    const end = eventEnd(info.event);
+    if (end <= start) {
+      info.revert();
+      return alert('❌ A task has to end after it starts.');
+    }
+    const body = {
+      start: start.toISOString(),
+      end: end.toISOString(),
+      allDay: info.event.allDay,
+      version: info.event.extendedProps.version,
+    };
+    const message = resized ? 'Task resized.' : 'Task moved.';
     try {
-      await axios.put(`/api/tasks/${info.event.id}`, {
+      if (isRecurring(info.event)) {
+        const scope = await askScope(resized ? 'Resize' : 'Move');
+        if (!scope) return info.revert();
+        const { seriesId, occurrenceStart } = info.event.extendedProps;
+        const res = await axios.put(`/api/tasks/${seriesId}`, { ...body, scope, occurrenceStart });
+        refetch();
+        offerUndo(message, res);
+      } else {
+        const res = await axios.put(`/api/tasks/${info.event.id}`, body);
+        announce({ type: 'updated', tasks: [res.data] });
+        offerUndo(message, res);
+      }
+    } catch (err) {
+      info.revert();
+      if (err.response?.status === 409) {
+        alert(STALE_MESSAGE);
+        refetch();
+      } else {
+        alert(`❌ ${errorMessage(err, 'Failed to save the new time.')}`);
+      }
+    }
+  };
+
+  // 📥 a backlog task dropped on the grid takes the time it was dropped at
+  const handleEventReceive = async (info) => {
+    try {
+      const res = await axios.put(`/api/tasks/${info.event.id}`, {
         start: info.event.start.toISOString(),
-        end: info.event.end.toISOString(),
+        end: eventEnd(info.event).toISOString(),
+        allDay: info.event.allDay,
       });
-    } catch {
+      // swaps the dropped placeholder for the saved task
+      announce({ type: 'updated', tasks: [res.data] });
+      offerUndo('Task scheduled.', res);
+    } catch (err) {
       info.revert();
+      alert(`❌ ${errorMessage(err, 'Failed to schedule the task.')}`);
+    }
+  };
+
+  // an event let go over the backlog panel loses its time
+  const isOverBacklog = ({ clientX, clientY }) => {
+    const box = backlogRef.current?.getBoundingClientRect();
+    return Boolean(box) && clientX >= box.left && clientX <= box.right && clientY >= box.top && clientY <= box.bottom;
+  };
+
+  const handleEventDragStop = async (info) => {
+    if (!isOverBacklog(info.jsEvent)) return;
+    if (isRecurring(info.event)) {
+      alert("🔁 Repeating tasks can't be unscheduled. Delete the occurrence instead.");
+      return;
+    }
+    try {
+      const res = await axios.put(`/api/tasks/${info.event.id}`, {
+        start: null,
+        end: null,
+        version: info.event.extendedProps.version,
+      });
+      announce({ type: 'updated', tasks: [res.data] });
+      offerUndo('📥 Task unscheduled.', res);
+    } catch (err) {
+      if (err.response?.status === 409) {
+        alert(STALE_MESSAGE);
+        refetch();
+      } else {
+        alert(`❌ ${errorMessage(err, 'Failed to unschedule the task.')}`);
+      }
+    }
+  };
+
+  // times from the form, checked before anything is sent
+  const readTimes = () => {
+    const { start, end } = timesFromDetails(details, timeZone);
+    if (!start.isValid() || !end.isValid()) {
+      setFormErrors({
+        ...(start.isValid() ? {} : { start: 'Please pick a start.' }),
+        ...(end.isValid() ? {} : { end: 'Please pick an end.' }),
+      });
+      return null;
     }
+    if (!end.isAfter(start)) {
+      setFormErrors({ end: 'The end has to be after the start.' });
+      return null;
+    }
+    return { start: start.toISOString(), end: end.toISOString(), allDay: details.allDay };
+  };
+
+  // only send times that were changed, so saving a series doesn't shift it
+  const changedTimes = (event, times) => {
+    const original = detailsFromEvent(event, timeZone);
+    return original.start !== details.start ||
+      original.end !== details.end ||
+      original.allDay !== details.allDay
+      ? times
+      : {};
   };
 
   const handleEditSave = async () => {
     if (!selectedEvent) return;
-    const oldTitle = selectedEvent.title;
-    selectedEvent.setProp('title', newTitle);
+    const recurrence = ruleFromRepeat(repeat, timeZone);
+    const times = readTimes();
+    if (!times) return;
+    const fields = {
+      title: newTitle,
+      ...changedTimes(selectedEvent, times),
+      ...fieldsFromDetails(details),
+      version: selectedEvent.extendedProps.version,
+    };
+    const failed = (err) => {
+      if (err.response?.status === 409) {
+        closeModal();
+        alert(STALE_MESSAGE);
+        refetch();
+      } else if (err.response?.data?.fields) {
+        setFormErrors(fieldErrors(err));
+      } else {
+        alert(`❌ ${errorMessage(err, 'Failed to update task.')}`);
+      }
+    };
+
+    if (isRecurring(selectedEvent)) {
+      const scope = await askScope('Edit');
+      if (!scope) return;
+      const { seriesId, occurrenceStart } = selectedEvent.extendedProps;
+      const body = { ...fields, scope, occurrenceStart };
+      // a single occurrence can't carry its own repeat rule
+      if (scope !== 'this') body.recurrence = recurrence;
+      try {
+        const res = await axios.put(`/api/tasks/${seriesId}`, body);
+        closeModal();
+        refetch();
+        offerUndo('Task updated.', res);
+      } catch (err) {
+        failed(err);
+      }
+      return;
+    }
+
     try {
-      await axios.put(`/api/tasks/${selectedEvent.id}`, { title: newTitle });
-      setSelectedEvent(null);
-    } catch {
-      selectedEvent.setProp('title', oldTitle);
-      alert('❌ Failed to update task.');
+      const res = await axios.put(`/api/tasks/${selectedEvent.id}`, { ...fields, recurrence });
+      closeModal();
+      announce({ type: 'updated', tasks: [res.data] });
+      offerUndo('Task updated.', res);
+    } catch (err) {
+      failed(err);
+    }
+  };
+
+  // copy the task (as edited in the form) to another day, same time of day
+  const handleDuplicate = async () => {
+    if (!selectedEvent || !duplicateDate) return;
+    const times = readTimes();
+    if (!times) return;
+    const shift = dayjs(duplicateDate).diff(dayjs(times.start).tz(timeZone).format(DATE_FMT), 'day');
+    try {
+      const res = await axios.post('/api/tasks', {
+        title: newTitle,
+        ...fieldsFromDetails(details),
+        status: 'planned',
+        allDay: times.allDay,
+        start: dayjs(times.start).tz(timeZone).add(shift, 'day').toISOString(),
+        end: dayjs(times.end).tz(timeZone).add(shift, 'day').toISOString(),
+      });
+      closeModal();
+      refetch();
+      alert(withConflicts(`📄 Copied to ${dayjs(duplicateDate).format('ddd D MMM')}.`, res));
+    } catch (err) {
+      if (err.response?.data?.fields) setFormErrors(fieldErrors(err));
+      else alert(`❌ ${errorMessage(err, 'Failed to duplicate task.')}`);
     }
   };
 
   const handleDelete = async () => {
     if (!selectedEvent) return;
+
+    if (isRecurring(selectedEvent)) {
+      const scope = await askScope('Delete');
+      if (!scope) return;
+      const { seriesId, occurrenceStart } = selectedEvent.extendedProps;
+      try {
+        const res = await axios.delete(`/api/tasks/${seriesId}`, {
+          params: { scope, occurrenceStart },
+        });
+        closeModal();
+        refetch();
+        offerUndo('Task deleted.', res);
+      } catch (err) {
+        alert(`❌ ${errorMessage(err, 'Failed to delete task.')}`);
+      }
+      return;
+    }
+
     if (!window.confirm('Are you sure you want to delete this task?')) return;
     try {
-      await axios.delete(`/api/tasks/${selectedEvent.id}`);
-      setEvents((prev) => prev.filter((e) => e.id !== selectedEvent.id));
-      setSelectedEvent(null);
-    } catch {
-      alert('❌ Failed to delete task.');
+      const res = await axios.delete(`/api/tasks/${selectedEvent.id}`);
+      selectedEvent.remove();
+      closeModal();
+      offerUndo('Task deleted.', res);
+    } catch (err) {
+      alert(`❌ ${errorMessage(err, 'Failed to delete task.')}`);
     }
   };
 
-  const eventClassNames = () => ['planner-event'];
+  // 📆 iCalendar export / import
+  // the calendar re-renders (and refetches) in the new zone; the server keeps it for other devices
+  const handleTimeZoneChange = async (zone) => {
+    storeTimeZone(zone);
+    setTimeZone(zone);
+    try {
+      await axios.put('/api/auth/me', { timeZone: zone });
+    } catch (err) {
+      console.error('Failed to save time zone:', err);
+    }
+  };
+
+  const handleExportIcs = async () => {
+    try {
+      const res = await axios.get('/api/tasks/export.ics', { responseType: 'blob' });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'planner.ics';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(`❌ ${errorMessage(err, 'Failed to export calendar.')}`);
+    }
+  };
+
+  const handleImportIcs = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow picking the same file again
+    if (!file) return;
+    try {
+      const res = await axios.post('/api/tasks/import', await file.text(), {
+        headers: { 'Content-Type': 'text/calendar' },
+      });
+      refetch();
+      const problems = res.data.errors.map((err) => `• ${err.title || err.uid}: ${err.error}`);
+      if (problems.length) alert(`${res.data.message}\n${problems.join('\n')}`);
+      offerUndo(res.data.message, res);
+    } catch (err) {
+      alert(`❌ ${errorMessage(err, 'Failed to import calendar.')}`);
+    }
+  };
+
+  // 📋 Day templates, starting from the day the calendar is on
+  const toggleTemplates = () =>
+    setTemplateDay((open) =>
+      open ? null : dayjs(calendarRef.current?.getApi().getDate()).tz(timeZone).format(DATE_FMT)
+    );
+
+  // 🪄 accepted auto-schedule slots: show them and jump to the first one
+  const handleBacklogScheduled = (res, firstStart) => {
+    announce({ type: 'updated', tasks: res.data.tasks });
+    offerUndo(res.data.message, res);
+    calendarRef.current?.getApi().gotoDate(firstStart);
+  };
+
+  const handleTemplateApplied = (message, res) => {
+    refetch();
+    offerUndo(message, res);
+  };
+
+  // switch the pickers between dates and date-times, keeping the chosen days
+  const toggleAllDay = (allDay) =>
+    setDetails((d) => {
+      const start = dayjs(d.start);
+      const end = dayjs(d.end);
+      if (!start.isValid() || !end.isValid()) return { ...d, allDay };
+      return allDay
+        ? { ...d, allDay, start: start.format(DATE_FMT), end: end.format(DATE_FMT) }
+        : {
+            ...d,
+            allDay,
+            start: start.hour(9).format(DATETIME_FMT),
+            end: start.hour(10).format(DATETIME_FMT),
+          };
+    });
+
+  const toggleReminder = (minutes) =>
+    setDetails((d) => ({
+      ...d,
+      reminders: d.reminders.includes(minutes)
+        ? d.reminders.filter((m) => m !== minutes)
+        : [...d.reminders, minutes],
+    }));
+
+  const toggleWeekday = (day) =>
+    setRepeat((r) => ({
+      ...r,
+      byWeekday: r.byWeekday.includes(day)
+        ? r.byWeekday.filter((d) => d !== day)
+        : [...r.byWeekday, day].sort(),
+    }));
+
+  const eventClassNames = (arg) => {
+    if (isBackground(arg.event)) return [];
+    const { hasConflict, status, priority } = arg.event.extendedProps;
+    const names = ['planner-event', `status-${status || 'planned'}`, `priority-${priority || 'medium'}`];
+    if (hasConflict) names.push('has-conflict');
+    return names;
+  };
   const eventContent = (arg) => {
+    if (isBackground(arg.event)) return <div className="protected-title">{arg.event.title}</div>;
     const props = arg.event.extendedProps;
     return (
       <div
@@ -166,7 +766,16 @@ export default function PlannerCalendar({ refreshKey }) {
         }}
       >
         <div className="evt-time">{arg.timeText}</div>
-        <div className="evt-title">{arg.event.title}</div>
+        <div className="evt-title">
+          {props.hasConflict && <span title="Overlaps another task">⚠️ </span>}
+          {props.seriesId && <span title="Repeats">🔁 </span>}
+          {STATUS_ICONS[props.status] && <span title={props.status}>{STATUS_ICONS[props.status]} </span>}
+          {PRIORITY_ICONS[props.priority] && (
+            <span title={`${props.priority} priority`}>{PRIORITY_ICONS[props.priority]} </span>
+          )}
+          {arg.event.title}
+        </div>
+        {props.category && <div className="evt-category">{props.category}</div>}
       </div>
     );
   };
@@ -174,34 +783,79 @@ export default function PlannerCalendar({ refreshKey }) {
   return (
     <div className="calendar-wrap">
       <h2>Planner Calendar</h2>
+      <TimeZoneSelect value={timeZone} onChange={handleTimeZoneChange} />
 
-      {loading ? (
-        <div className="card">Loading calendar…</div>
-      ) : (
-        <FullCalendar
-          ref={calendarRef}
-          plugins={[dayGridPlugin, timeGridPlugin, interactionPlugin]}
-          initialView="timeGridWeek"
-          headerToolbar={{
-            left: 'prev,next today',
-            center: 'title',
-            right: 'dayGridMonth,timeGridWeek,timeGridDay',
-          }}
-          selectable
-          select={handleSelect}
-          editable
-          eventClick={handleEventClick}
-          eventDrop={handleEventDrop}
-          events={events}
-          eventClassNames={eventClassNames}
-          eventContent={eventContent}
-          nowIndicator
-          height="auto"
-        />
-      )}
+      {loading && <div className="calendar-loading">Loading calendar…</div>}
+      <div className="calendar-layout">
+        <div className="calendar-main">
+          <FullCalendar
+            ref={calendarRef}
+            plugins={[dayGridPlugin, timeGridPlugin, interactionPlugin, luxonPlugin]}
+            timeZone={timeZone}
+            initialView="timeGridWeek"
+            initialDate={initialDate}
+            headerToolbar={{
+              left: 'prev,next today',
+              center: 'title',
+              right: 'fullDay templates importIcs,exportIcs dayGridMonth,timeGridWeek,timeGridDay',
+            }}
+            customButtons={{
+              fullDay: {
+                text: fullDay ? '🕘 Working hours' : '🌙 Full day',
+                hint: fullDay ? 'Show only around your working hours' : 'Show all 24 hours',
+                click: () => setFullDay((v) => !v),
+              },
+              templates: { text: '📋 Templates', hint: 'Save or apply a day template', click: toggleTemplates },
+              exportIcs: { text: '⬇ .ics', hint: 'Export to iCalendar', click: handleExportIcs },
+              importIcs: {
+                text: '⬆ .ics',
+                hint: 'Import an iCalendar file',
+                click: () => importInputRef.current?.click(),
+              },
+            }}
+            selectable
+            select={handleSelect}
+            editable
+            eventClick={handleEventClick}
+            eventDrop={handleEventChange}
+            eventResize={handleEventChange}
+            droppable
+            eventReceive={handleEventReceive}
+            eventDragStop={handleEventDragStop}
+            eventSources={eventSources}
+            businessHours={availability ? businessHoursOf(availability) : false}
+            slotMinTime={shownHours.slotMinTime}
+            slotMaxTime={shownHours.slotMaxTime}
+            loading={setLoading}
+            eventClassNames={eventClassNames}
+            eventContent={eventContent}
+            nowIndicator
+            height="auto"
+          />
+        </div>
+        <aside ref={backlogRef} className="backlog-aside">
+          <BacklogPanel onDeleted={offerUndo} onScheduled={handleBacklogScheduled} />
+        </aside>
+      </div>
+
+      <input
+        ref={importInputRef}
+        type="file"
+        accept=".ics,text/calendar"
+        style={{ display: 'none' }}
+        onChange={handleImportIcs}
+      />
 
       <p className="hint">💡 Tip: Drag to create events or click to edit/delete.</p>
 
+      {templateDay && (
+        <TemplatePanel
+          day={templateDay}
+          onApplied={handleTemplateApplied}
+          onClose={() => setTemplateDay(null)}
+        />
+      )}
+
       {selectedEvent && (
         <div className="modal-backdrop">
           <div className="modal-card">
@@ -212,10 +866,221 @@ export default function PlannerCalendar({ refreshKey }) {
               onChange={(e) => setNewTitle(e.target.value)}
               placeholder="Task title"
             />
+            <FieldError errors={formErrors} path="title" />
+
+            <div className="task-times">
+              <label className="all-day-toggle">
+                <input
+                  type="checkbox"
+                  checked={details.allDay}
+                  onChange={(e) => toggleAllDay(e.target.checked)}
+                />{' '}
+                All day
+              </label>
+              <label>
+                Start{' '}
+                <input
+                  type={details.allDay ? 'date' : 'datetime-local'}
+                  value={details.start}
+                  onChange={(e) => setDetails({ ...details, start: e.target.value })}
+                />
+              </label>
+              <label>
+                End{' '}
+                <input
+                  type={details.allDay ? 'date' : 'datetime-local'}
+                  value={details.end}
+                  onChange={(e) => setDetails({ ...details, end: e.target.value })}
+                />
+              </label>
+            </div>
+            <FieldError errors={formErrors} path={['start', 'end', 'allDay']} />
+
+            <textarea
+              className="task-notes"
+              rows={3}
+              value={details.notes}
+              onChange={(e) => setDetails({ ...details, notes: e.target.value })}
+              placeholder="Notes"
+            />
+            <FieldError errors={formErrors} path="notes" />
+
+            <div className="task-details">
+              <input
+                type="text"
+                list="task-emotions"
+                value={details.emotion}
+                onChange={(e) => setDetails({ ...details, emotion: e.target.value })}
+                placeholder="Emotion (e.g. Calm)"
+              />
+              <datalist id="task-emotions">
+                {EMOTIONS.map((e) => (
+                  <option key={e} value={e} />
+                ))}
+              </datalist>
+              <label>
+                Status{' '}
+                <select
+                  value={details.status}
+                  onChange={(e) => setDetails({ ...details, status: e.target.value })}
+                >
+                  {STATUS_OPTIONS.map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Priority{' '}
+                <select
+                  value={details.priority}
+                  onChange={(e) => setDetails({ ...details, priority: e.target.value })}
+                >
+                  <option value="low">Low</option>
+                  <option value="medium">Medium</option>
+                  <option value="high">High</option>
+                </select>
+              </label>
+              <input
+                type="text"
+                value={details.category}
+                onChange={(e) => setDetails({ ...details, category: e.target.value })}
+                placeholder="Category (e.g. Work)"
+              />
+              <input
+                type="text"
+                value={details.tags}
+                onChange={(e) => setDetails({ ...details, tags: e.target.value })}
+                placeholder="Tags, comma separated"
+              />
+              {selectedEvent.extendedProps.taskSource && selectedEvent.extendedProps.taskSource !== 'user' && (
+                <p className="task-source">
+                  {selectedEvent.extendedProps.taskSource === 'ai_suggestion' ? '✨ AI suggestion' : '🤖 Planned by AI'}
+                </p>
+              )}
+            </div>
+            <FieldError errors={formErrors} path={['emotion', 'status', 'priority', 'category', 'tags']} />
+
+            <div className="repeat-editor">
+              <label>
+                Repeat{' '}
+                <select
+                  value={repeat.freq}
+                  onChange={(e) => setRepeat({ ...repeat, freq: e.target.value })}
+                >
+                  <option value="">Does not repeat</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+              </label>
+
+              {repeat.freq && (
+                <>
+                  <label>
+                    Every{' '}
+                    <input
+                      type="number"
+                      min="1"
+                      value={repeat.interval}
+                      onChange={(e) => setRepeat({ ...repeat, interval: e.target.value })}
+                    />{' '}
+                    {repeat.freq === 'daily' ? 'day(s)' : repeat.freq === 'weekly' ? 'week(s)' : 'month(s)'}
+                  </label>
+
+                  {repeat.freq === 'weekly' && (
+                    <div className="weekday-picker">
+                      {WEEKDAY_LABELS.map((label, day) => (
+                        <button
+                          key={label}
+                          type="button"
+                          className={repeat.byWeekday.includes(day) ? 'active' : ''}
+                          onClick={() => toggleWeekday(day)}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
+                  <label>
+                    Until{' '}
+                    <input
+                      type="date"
+                      value={repeat.until}
+                      onChange={(e) => setRepeat({ ...repeat, until: e.target.value })}
+                    />
+                  </label>
+                  <label>
+                    or after{' '}
+                    <input
+                      type="number"
+                      min="1"
+                      value={repeat.count}
+                      onChange={(e) => setRepeat({ ...repeat, count: e.target.value })}
+                    />{' '}
+                    occurrences
+                  </label>
+                </>
+              )}
+            </div>
+
+            <div className="reminder-picker">
+              <span>⏰ Remind me</span>
+              {REMINDER_OPTIONS.map(([minutes, label]) => (
+                <button
+                  key={minutes}
+                  type="button"
+                  className={details.reminders.includes(minutes) ? 'active' : ''}
+                  onClick={() => toggleReminder(minutes)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <FieldError errors={formErrors} path={REMINDER_ERROR_PATHS} />
+
+            <div className="duplicate-row">
+              <input
+                type="date"
+                value={duplicateDate}
+                onChange={(e) => setDuplicateDate(e.target.value)}
+                aria-label="Duplicate to day"
+              />
+              <button type="button" onClick={handleDuplicate} disabled={!duplicateDate}>
+                📄 Duplicate to this day
+              </button>
+            </div>
+
+            <FieldError errors={formErrors} except={FORM_ERROR_PATHS} />
             <div className="modal-buttons">
               <button onClick={handleEditSave} className="save-btn">💾 Save</button>
               <button onClick={handleDelete} className="delete-btn">🗑️ Delete</button>
-              <button onClick={() => setSelectedEvent(null)} className="cancel-btn">Cancel</button>
+              <button onClick={closeModal} className="cancel-btn">Cancel</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {undo && (
+        <UndoToast
+          message={undo.message}
+          batchId={undo.batchId}
+          onUndone={refetch}
+          onClose={closeUndo}
+        />
+      )}
+
+      {scopePrompt && (
+        <div className="modal-backdrop">
+          <div className="modal-card">
+            <h3>{scopePrompt.action} recurring task</h3>
+            <div className="scope-buttons">
+              <button onClick={() => answerScope('this')} className="save-btn">This event</button>
+              <button onClick={() => answerScope('following')} className="save-btn">
+                This and following
+              </button>
+              <button onClick={() => answerScope('all')} className="save-btn">All events</button>
+              <button onClick={() => answerScope(null)} className="cancel-btn">Cancel</button>
             </div>
           </div>
         </div>
@@ -0,0 +1,199 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import FieldError, { errorMessage, fieldErrors } from './FieldErrors';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// rows run Monday to Sunday; values are JS weekday numbers like the backend's
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// errors shown next to their own row; anything else is listed under the form
+const ROW_ERROR_RX = /^(workingHours|focusBlocks|breakTimes)\[\d+\]\.|^minBreakMinutes$/;
+
+const emptyFocus = { label: '', days: [1, 2, 3, 4, 5], start: '09:00', end: '11:00' };
+const emptyBreak = { label: '', start: '12:30', end: '13:15' };
+
+/** `workingHours` from the API -> one row per weekday, switched off on days off. */
+const toRows = (workingHours) =>
+  Object.fromEntries(
+    WEEK_ORDER.map((day) => {
+      const h = workingHours.find((w) => w.day === day);
+      return [day, h ? { on: true, start: h.start, end: h.end } : { on: false, start: '09:00', end: '18:00' }];
+    })
+  );
+
+/**
+ * Availability settings: working hours per weekday, protected focus blocks,
+ * preferred breaks and the minimum break between blocks. The calendar shades
+ * the working hours and the planners fill time around the rest.
+ */
+export default function SettingsPanel() {
+  const [rows, setRows] = useState(null);
+  const [focusBlocks, setFocusBlocks] = useState([]);
+  const [breakTimes, setBreakTimes] = useState([]);
+  const [minBreakMinutes, setMinBreakMinutes] = useState(10);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const apply = (settings) => {
+    setRows(toRows(settings.workingHours));
+    setFocusBlocks(settings.focusBlocks);
+    setBreakTimes(settings.breakTimes);
+    setMinBreakMinutes(settings.minBreakMinutes);
+  };
+
+  useEffect(() => {
+    axios
+      .get('http://localhost:5000/api/settings')
+      .then((res) => apply(res.data))
+      .catch((err) => alert(`❌ ${errorMessage(err, 'Failed to load settings.')}`));
+  }, []);
+
+  if (!rows) return <div className="card settings-panel">Loading settings…</div>;
+
+  // error paths index the lists as sent, so working hours use the order of the days switched on
+  const workingDays = WEEK_ORDER.filter((day) => rows[day].on);
+  const hoursPath = (day, field) => `workingHours[${workingDays.indexOf(day)}].${field}`;
+
+  const setRow = (day, changes) => setRows((r) => ({ ...r, [day]: { ...r[day], ...changes } }));
+  const setItem = (setList, i, changes) =>
+    setList((list) => list.map((item, j) => (j === i ? { ...item, ...changes } : item)));
+  const toggleFocusDay = (i, day) => {
+    const { days } = focusBlocks[i];
+    setItem(setFocusBlocks, i, { days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day] });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setErrors({});
+    setSaving(true);
+    try {
+      const res = await axios.put('http://localhost:5000/api/settings', {
+        workingHours: workingDays.map((day) => ({ day, start: rows[day].start, end: rows[day].end })),
+        focusBlocks: focusBlocks.map((f) => ({ ...f, label: f.label || undefined })),
+        breakTimes: breakTimes.map((b) => ({ ...b, label: b.label || undefined })),
+        minBreakMinutes: Number(minBreakMinutes),
+      });
+      apply(res.data);
+      alert('✅ Settings saved.');
+    } catch (err) {
+      const invalid = fieldErrors(err);
+      setErrors(invalid);
+      if (!Object.keys(invalid).length) alert(`❌ ${errorMessage(err, 'Failed to save settings.')}`);
+    }
+    setSaving(false);
+  };
+
+  return (
+    <form className="card settings-panel" onSubmit={handleSave}>
+      <h3>🕘 Working hours</h3>
+      <p className="hint">The calendar highlights these hours; backlog tasks and AI suggestions are placed inside them.</p>
+      {WEEK_ORDER.map((day) => (
+        <div key={day} className={`settings-row ${rows[day].on ? '' : 'off'}`}>
+          <label className="settings-day">
+            <input type="checkbox" checked={rows[day].on} onChange={(e) => setRow(day, { on: e.target.checked })} />
+            {WEEKDAYS[day]}
+          </label>
+          {rows[day].on ? (
+            <>
+              <input type="time" value={rows[day].start} onChange={(e) => setRow(day, { start: e.target.value })} />
+              –
+              <input type="time" value={rows[day].end} onChange={(e) => setRow(day, { end: e.target.value })} />
+              <FieldError errors={errors} path={[hoursPath(day, 'start'), hoursPath(day, 'end'), hoursPath(day, 'day')]} />
+            </>
+          ) : (
+            <span className="hint">Day off</span>
+          )}
+        </div>
+      ))}
+
+      <h3>🎯 Focus blocks</h3>
+      <p className="hint">Protected time: nothing is auto-scheduled here and plans that land on it are flagged.</p>
+      {focusBlocks.map((f, i) => (
+        <div key={i} className="settings-row">
+          <input
+            type="text"
+            value={f.label || ''}
+            onChange={(e) => setItem(setFocusBlocks, i, { label: e.target.value })}
+            placeholder="Deep work"
+          />
+          <span className="settings-days">
+            {WEEK_ORDER.map((day) => (
+              <button
+                key={day}
+                type="button"
+                className={f.days.includes(day) ? 'active' : ''}
+                onClick={() => toggleFocusDay(i, day)}
+              >
+                {WEEKDAYS[day]}
+              </button>
+            ))}
+          </span>
+          <input type="time" value={f.start} onChange={(e) => setItem(setFocusBlocks, i, { start: e.target.value })} />
+          –
+          <input type="time" value={f.end} onChange={(e) => setItem(setFocusBlocks, i, { end: e.target.value })} />
+          <button
+            type="button"
+            className="delete-btn"
+            onClick={() => setFocusBlocks((list) => list.filter((_, j) => j !== i))}
+            aria-label="Remove focus block"
+          >
+            🗑️
+          </button>
+          <FieldError
+            errors={errors}
+            path={['label', 'days', 'start', 'end'].map((field) => `focusBlocks[${i}].${field}`)}
+          />
+        </div>
+      ))}
+      <button type="button" onClick={() => setFocusBlocks((list) => [...list, emptyFocus])}>
+        ➕ Add focus block
+      </button>
+
+      <h3>☕ Breaks</h3>
+      <p className="hint">Kept free on working days.</p>
+      {breakTimes.map((b, i) => (
+        <div key={i} className="settings-row">
+          <input
+            type="text"
+            value={b.label || ''}
+            onChange={(e) => setItem(setBreakTimes, i, { label: e.target.value })}
+            placeholder="Lunch"
+          />
+          <input type="time" value={b.start} onChange={(e) => setItem(setBreakTimes, i, { start: e.target.value })} />
+          –
+          <input type="time" value={b.end} onChange={(e) => setItem(setBreakTimes, i, { end: e.target.value })} />
+          <button
+            type="button"
+            className="delete-btn"
+            onClick={() => setBreakTimes((list) => list.filter((_, j) => j !== i))}
+            aria-label="Remove break"
+          >
+            🗑️
+          </button>
+          <FieldError errors={errors} path={['label', 'start', 'end'].map((field) => `breakTimes[${i}].${field}`)} />
+        </div>
+      ))}
+      <button type="button" onClick={() => setBreakTimes((list) => [...list, emptyBreak])}>
+        ➕ Add break
+      </button>
+
+      <label className="settings-row">
+        Minimum break between blocks
+        <input
+          type="number"
+          min="0"
+          max="120"
+          value={minBreakMinutes}
+          onChange={(e) => setMinBreakMinutes(e.target.value)}
+        />
+        min
+      </label>
+      <FieldError errors={errors} path="minBreakMinutes" />
+      <FieldError errors={errors} except={Object.keys(errors).filter((p) => ROW_ERROR_RX.test(p))} />
+
+      <button type="submit" className="save-btn" disabled={saving}>
+        {saving ? 'Saving…' : '💾 Save settings'}
+      </button>
+    </form>
+  );
+}
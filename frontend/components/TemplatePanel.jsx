@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import FieldError, { errorMessage, fieldErrors } from './FieldErrors';
+
+const clock = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Day templates for the calendar: save the chosen day's tasks as a named
+ * template, or put a saved template on that day. `day` is "YYYY-MM-DD" on
+ * the calendar's clock; `onApplied(message, res)` runs after an apply.
+ */
+export default function TemplatePanel({ day, onApplied, onClose }) {
+  const [templates, setTemplates] = useState([]);
+  const [date, setDate] = useState(day);
+  const [name, setName] = useState('');
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    axios
+      .get('/api/templates')
+      .then((res) => setTemplates(res.data))
+      .catch((err) => alert(`❌ ${errorMessage(err, 'Failed to load templates.')}`));
+  }, []);
+
+  useEffect(() => setDate(day), [day]);
+
+  const handleSaveDay = async (e) => {
+    e.preventDefault();
+    setErrors({});
+    try {
+      const res = await axios.post('/api/templates/from-day', { name, date });
+      setTemplates((list) => [...list, res.data].sort((a, b) => a.name.localeCompare(b.name)));
+      setName('');
+    } catch (err) {
+      const invalid = fieldErrors(err);
+      setErrors(invalid);
+      if (!Object.keys(invalid).length) alert(`❌ ${errorMessage(err, 'Failed to save template.')}`);
+    }
+  };
+
+  const handleApply = async (template) => {
+    try {
+      const res = await axios.post(`/api/templates/${template._id}/apply`, { date });
+      onApplied(res.data.message, res);
+    } catch (err) {
+      alert(`❌ ${errorMessage(err, 'Failed to apply template.')}`);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the "${template.name}" template? Tasks made from it stay on the calendar.`)) return;
+    try {
+      await axios.delete(`/api/templates/${template._id}`);
+      setTemplates((list) => list.filter((t) => t._id !== template._id));
+    } catch (err) {
+      alert(`❌ ${errorMessage(err, 'Failed to delete template.')}`);
+    }
+  };
+
+  return (
+    <div className="template-panel">
+      <div className="template-head">
+        <h3>📋 Day templates</h3>
+        <label>
+          Day <input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+        </label>
+        <button type="button" className="cancel-btn" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      <FieldError errors={errors} path="date" />
+
+      <form className="template-save" onSubmit={handleSaveDay}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Template name, e.g. Focus day"
+        />
+        <button type="submit" className="save-btn" disabled={!name.trim() || !date}>
+          💾 Save this day as template
+        </button>
+      </form>
+      <FieldError errors={errors} path="name" />
+
+      {!templates.length && <p className="hint">No templates yet. Plan a day you like, then save it here.</p>}
+      <ul className="template-list">
+        {templates.map((t) => (
+          <li key={t._id}>
+            <div>
+              <strong>{t.name}</strong>
+              <div className="template-blocks">
+                {t.blocks.map((b) => `${clock(b.offsetMinutes)} ${b.title}`).join(' · ')}
+              </div>
+            </div>
+            <button type="button" className="save-btn" onClick={() => handleApply(t)} disabled={!date}>
+              Apply
+            </button>
+            <button type="button" className="delete-btn" onClick={() => handleDelete(t)} aria-label="Delete template">
+              🗑️
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
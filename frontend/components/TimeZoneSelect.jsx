@@ -0,0 +1,34 @@
+import React from 'react';
+
+/**
+ * The IANA time zone the calendar is shown in. It is kept in localStorage,
+ * sent with every API call as `X-Time-Zone` (so "tomorrow at 3pm" means 3pm
+ * here) and saved on the user so other devices pick it up.
+ */
+export const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+export const currentTimeZone = () => localStorage.getItem('timeZone') || browserTimeZone();
+
+export const storeTimeZone = (timeZone) => {
+  if (timeZone) localStorage.setItem('timeZone', timeZone);
+};
+
+const ZONES =
+  typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [browserTimeZone(), 'UTC'];
+
+export default function TimeZoneSelect({ value, onChange }) {
+  const zones = ZONES.includes(value) ? ZONES : [value, ...ZONES];
+  return (
+    <label className="tz-select">
+      🌍 Time zone{' '}
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        {zones.map((zone) => (
+          <option key={zone} value={zone}>
+            {zone.replace(/_/g, ' ')}
+            {zone === browserTimeZone() ? ' (this device)' : ''}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
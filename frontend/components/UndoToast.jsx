@@ -0,0 +1,40 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { errorMessage } from './FieldErrors';
+
+const TOAST_MS = 8000;
+
+/** Toast shown after a delete/edit/drag, with an "Undo" button for that batch. */
+export default function UndoToast({ message, batchId, onUndone, onClose }) {
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const timer = setTimeout(onClose, TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [batchId, onClose]);
+
+  const handleUndo = async () => {
+    setBusy(true);
+    try {
+      await axios.post('http://localhost:5000/api/tasks/undo', { batchId });
+      onUndone();
+    } catch (error) {
+      console.error('Error undoing change:', error);
+      alert(`❌ ${errorMessage(error, 'Could not undo.')}`);
+    }
+    setBusy(false);
+    onClose();
+  };
+
+  return (
+    <div className="undo-toast" role="status">
+      <span>{message}</span>
+      <button type="button" onClick={handleUndo} disabled={busy}>
+        {busy ? 'Undoing…' : 'Undo'}
+      </button>
+      <button type="button" className="undo-close" onClick={onClose} aria-label="Dismiss">
+        ✕
+      </button>
+    </div>
+  );
+}